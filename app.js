@@ -27,6 +27,12 @@ const featuresSelect = document.getElementById('featuresSelect');
 const trainLRBtn = document.getElementById('trainLRBtn');
 const trainLogisticBtn = document.getElementById('trainLogisticBtn');
 const kmeansBtn = document.getElementById('kmeansBtn');
+const kInput = document.getElementById('kInput');
+const kRestarts = document.getElementById('kRestarts');
+const kSweepMin = document.getElementById('kSweepMin');
+const kSweepMax = document.getElementById('kSweepMax');
+const kSweepBtn = document.getElementById('kSweepBtn');
+const kSweepCanvas = document.getElementById('kSweepChart');
 const exportCsvBtn = document.getElementById('exportCsvBtn');
 const exportModelBtn = document.getElementById('exportModelBtn');
 const histColSelect = document.getElementById('histColSelect');
@@ -37,20 +43,30 @@ const ySelect = document.getElementById('ySelect');
 const scatterChartCanvas = document.getElementById('scatterChart');
 const corrCanvas = document.getElementById('corrCanvas');
 const pcaChartCanvas = document.getElementById('pcaChart');
+const screeChartCanvas = document.getElementById('screeChart');
+const pcaStandardize = document.getElementById('pcaStandardize');
+const pcaAppendK = document.getElementById('pcaAppendK');
+const pcaAppendBtn = document.getElementById('pcaAppendBtn');
 const dataTableDiv = document.getElementById('dataTable');
 const summaryPre = document.getElementById('summaryPre');
 const suggestionsList = document.getElementById('suggestionsList');
 const modelPre = document.getElementById('modelPre');
+const jobProgress = document.getElementById('jobProgress');
+const jobLabel = document.getElementById('jobLabel');
+const cancelJobBtn = document.getElementById('cancelJobBtn');
 
 // ------------------
 // App state
 // ------------------
 let rawData = [];       // parsed raw rows (objects)
-let workingData = [];   // transformed rows (objects)
+let baseData = [];      // pipeline output before the active query
+let workingData = [];   // rows everything else works on: baseData, or the query's view of it
+let queryIndex = null;  // baseData position of each workingData row while a query is active
 let columns = [];       // ordered column names
 let colTypes = {};      // inferred types
 let models = {};        // store trained models for export
 let chartInstances = {}; // Chart.js instances keyed by id
+let stateGeneration = 0; // bumped on every refresh so late worker results can be discarded
 
 // ------------------
 // Utilities
@@ -63,6 +79,14 @@ function toNumberIfPossible(v) {
   const n = parseFloat(String(v).replace(/[^0-9eE+.-]/g, ''));
   return Number.isFinite(n) ? n : NaN;
 }
+// Feature Builder inputs: tolerates currency symbols, thousands separators, percent signs and
+// spaces, but not other text, so "10kg" or a bin label such as "[10, 20)" is not a number
+function toStrictNumber(v) {
+  const s = String(v).replace(/[$€£¥,%\s]/g, '');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return NaN;
+  const n = parseFloat(s);
+  return Number.isFinite(n) ? n : NaN;
+}
 function unique(arr) {
   return Array.from(new Set(arr));
 }
@@ -73,15 +97,16 @@ function escapeHtml(s) {
 // ------------------
 // CSV parsing
 // - prefer Papa.parse if loaded; fallback to a robust in-file parser that handles quotes/newlines
+// - `delimiter` defaults to comma; see sniffDelimiter for TSV / semicolon / pipe files
 // ------------------
-function parseCSVtext(text) {
+function parseCSVtext(text, delimiter = ',') {
   if (!text) return [];
   if (window.Papa && typeof window.Papa.parse === 'function') {
     // Use PapaParse for robust parsing when available
-    const parsed = Papa.parse(text.trim(), { header: true, skipEmptyLines: true });
+    const parsed = Papa.parse(text.trim(), { header: true, skipEmptyLines: true, delimiter });
     return parsed.data;
   }
-  // Fallback CSV parser (handles quoted fields, commas/newlines inside quotes)
+  // Fallback CSV parser (handles quoted fields, delimiters/newlines inside quotes)
   const rows = [];
   let cur = '';
   let row = [];
@@ -91,7 +116,7 @@ function parseCSVtext(text) {
     const nch = text[i+1];
     if (ch === '"') {
       if (inQuotes && nch === '"') { cur += '"'; i++; } else { inQuotes = !inQuotes; }
-    } else if (ch === ',' && !inQuotes) {
+    } else if (ch === delimiter && !inQuotes) {
       row.push(cur);
       cur = '';
     } else if ((ch === '\n' || ch === '\r') && !inQuotes) {
@@ -124,29 +149,228 @@ function parseCSVtext(text) {
   return data;
 }
 
+// ------------------
+// Format detection & import
+// - JSON (array of objects, or an object wrapping one), NDJSON (one object per line) and
+//   delimited text with the delimiter sniffed from the first lines.
+// - Nested objects are flattened into dotted column names (address.city); arrays are kept as JSON text.
+// - Files are decoded from bytes so the encoding can be detected (BOM, UTF-8 validity) and overridden.
+// ------------------
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+
+function countOutsideQuotes(line, ch) {
+  let n = 0, inQuotes = false;
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === ch && !inQuotes) n++;
+  }
+  return n;
+}
+
+// Pick the candidate that appears in the header and the same number of times on most lines.
+function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '').slice(0, 20);
+  let best = ',', bestScore = -1;
+  for (const d of DELIMITER_CANDIDATES) {
+    const counts = lines.map(l => countOutsideQuotes(l, d));
+    if (!counts.length || counts[0] === 0) continue;
+    const consistency = counts.filter(c => c === counts[0]).length / counts.length;
+    const score = consistency * 1000 + Math.min(counts[0], 999);
+    if (score > bestScore) { bestScore = score; best = d; }
+  }
+  return best;
+}
+
+function flattenObject(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v !== null && typeof v === 'object' && !Array.isArray(v)) flattenObject(v, key, out);
+    else if (Array.isArray(v)) out[key] = JSON.stringify(v);
+    else out[key] = v === null || v === undefined ? '' : v;
+  }
+  return out;
+}
+
+// Records can have different keys; give every row the union so Object.keys(rows[0]) lists all columns.
+function normalizeRecords(records) {
+  const flat = records.map(r => (r !== null && typeof r === 'object' && !Array.isArray(r)) ? flattenObject(r) : { value: r });
+  const cols = [];
+  const seen = new Set();
+  for (const r of flat) for (const k of Object.keys(r)) if (!seen.has(k)) { seen.add(k); cols.push(k); }
+  return flat.map(r => { const o = {}; for (const c of cols) o[c] = r[c] !== undefined ? r[c] : ''; return o; });
+}
+
+function parseJSONRecords(text) {
+  const obj = JSON.parse(text);
+  if (Array.isArray(obj)) return normalizeRecords(obj);
+  if (obj && typeof obj === 'object') {
+    // { "data": [ ... ] } style wrappers: use the first array of objects found at the top level
+    const inner = Object.values(obj).find(v => Array.isArray(v) && v.length && typeof v[0] === 'object');
+    return normalizeRecords(inner || [obj]);
+  }
+  throw new Error('JSON does not contain records');
+}
+
+function parseNDJSON(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try { records.push(JSON.parse(line)); } catch (err) { throw new Error(`NDJSON line ${i + 1}: ${err.message}`); }
+  });
+  return normalizeRecords(records);
+}
+
+function detectFormat(text, filename = '') {
+  const ext = (filename.match(/\.([a-z0-9]+)$/i) || [])[1];
+  if (ext) {
+    const e = ext.toLowerCase();
+    if (e === 'json') return 'json';
+    if (e === 'ndjson' || e === 'jsonl') return 'ndjson';
+    if (e === 'tsv' || e === 'tab') return 'delimited';
+  }
+  const head = text.trimStart();
+  if (head.startsWith('[')) return 'json';
+  if (head.startsWith('{')) {
+    const lines = head.split(/\r?\n/).filter(l => l.trim());
+    try { JSON.parse(lines[0]); return lines.length > 1 ? 'ndjson' : 'json'; } catch (err) { return 'json'; }
+  }
+  return 'delimited';
+}
+
+// "1.234,5" -> "1234.5". Only applied when the file looks European (see looksDecimalComma).
+const DECIMAL_COMMA_RE = /^-?\d{1,3}(\.\d{3})*,\d+$|^-?\d+,\d+$/;
+function looksDecimalComma(rows) {
+  let comma = 0, dot = 0;
+  for (const r of rows.slice(0, 200)) {
+    for (const v of Object.values(r)) {
+      const s = String(v).trim();
+      if (DECIMAL_COMMA_RE.test(s)) comma++;
+      else if (/^-?\d+\.\d+$/.test(s)) dot++;
+    }
+  }
+  return comma > dot;
+}
+function convertDecimalCommas(rows) {
+  for (const r of rows) {
+    for (const [k, v] of Object.entries(r)) {
+      const s = String(v).trim();
+      if (DECIMAL_COMMA_RE.test(s)) r[k] = s.replace(/\./g, '').replace(',', '.');
+    }
+  }
+  return rows;
+}
+
+// Parse text in any supported format. opts: { filename, format: 'auto'|..., delimiter: 'auto'|..., decimalComma: 'auto'|true|false }
+// Returns { rows, format, delimiter, decimalComma }.
+function parseDataText(text, opts = {}) {
+  const format = !opts.format || opts.format === 'auto' ? detectFormat(text, opts.filename) : opts.format;
+  if (format === 'json') return { rows: parseJSONRecords(text), format, delimiter: null, decimalComma: false };
+  if (format === 'ndjson') return { rows: parseNDJSON(text), format, delimiter: null, decimalComma: false };
+  const delimiter = !opts.delimiter || opts.delimiter === 'auto' ? sniffDelimiter(text) : opts.delimiter;
+  const rows = parseCSVtext(text, delimiter);
+  // a comma-delimited file cannot use decimal commas unquoted, so only consider it for other delimiters
+  const decimalComma = opts.decimalComma === undefined || opts.decimalComma === 'auto'
+    ? delimiter !== ',' && looksDecimalComma(rows)
+    : !!opts.decimalComma;
+  if (decimalComma) convertDecimalCommas(rows);
+  return { rows, format, delimiter, decimalComma };
+}
+
+// Decode file bytes. 'auto' honours a BOM, then tries strict UTF-8 and falls back to Windows-1252.
+function decodeBytes(buffer, encoding = 'auto') {
+  const bytes = new Uint8Array(buffer);
+  if (encoding === 'auto') {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) encoding = 'utf-8';
+    else if (bytes[0] === 0xFF && bytes[1] === 0xFE) encoding = 'utf-16le';
+    else if (bytes[0] === 0xFE && bytes[1] === 0xFF) encoding = 'utf-16be';
+    else {
+      try { new TextDecoder('utf-8', { fatal: true }).decode(bytes); encoding = 'utf-8'; } catch (err) { encoding = 'windows-1252'; }
+    }
+  }
+  return { text: new TextDecoder(encoding).decode(bytes), encoding };
+}
+
 // ------------------
 // Type inference & summarization
+// Types: integer, float, boolean, datetime, identifier, text (free text) and categorical.
+// - integer/float are the "numeric" types used by stats, scaling, correlation, PCA and models.
+// - identifiers (row ids, keys) are never averaged, scaled or encoded.
+// - colTypeOverrides (set from the Column Types card) win over inference everywhere.
 // ------------------
+const COLUMN_TYPES = ['integer', 'float', 'boolean', 'datetime', 'identifier', 'text', 'categorical'];
+const BOOLEAN_VALUES = { true: 1, false: 0, yes: 1, no: 0, y: 1, n: 0, t: 1, f: 0, '1': 1, '0': 0 };
+const DATE_RE = /^\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}( \d{1,2}:\d{2}(:\d{2})?)?$|^[A-Za-z]{3,9}\.? \d{1,2},? \d{4}$|^\d{1,2} [A-Za-z]{3,9}\.? \d{4}$/;
+// case-insensitive id/uuid/guid/key names and suffixes, plus camelCase userId / userID (but not "paid")
+const ID_NAME_RE = /^([Ii][Dd]|[Uu][Uu][Ii][Dd]|[Gg][Uu][Ii][Dd]|[Kk][Ee][Yy])$|[_\s-]([Ii][Dd]|[Uu][Uu][Ii][Dd]|[Kk][Ee][Yy])$|[a-z]Id$|ID$/;
+
+let colTypeOverrides = {}; // column -> type chosen by the user
+
+// 'numeric' was the only numeric type before integer/float existed; old saved projects still carry it
+function isNumericType(t) { return t === 'integer' || t === 'float' || t === 'numeric'; }
+
+function parseBoolean(v) {
+  const b = BOOLEAN_VALUES[String(v).trim().toLowerCase()];
+  return b === undefined ? NaN : b;
+}
+
+// Milliseconds since epoch, or NaN. Bare numbers are never dates.
+function parseDate(v) {
+  const s = String(v).trim();
+  if (!DATE_RE.test(s)) return NaN;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+// Numeric view of a value for its column type (timestamps for dates, 0/1 for booleans).
+function numericValue(v, type) {
+  if (isMissing(v)) return NaN;
+  if (type === 'datetime') return parseDate(v);
+  if (type === 'boolean') return parseBoolean(v);
+  return toNumberIfPossible(v);
+}
+
 function inferColumnTypes(sampleData, threshold=0.8) {
   if (!sampleData || sampleData.length === 0) return {};
   const cols = Object.keys(sampleData[0]);
   const types = {};
   for (const col of cols) {
-    const vals = sampleData.map(r => r[col]);
-    let numericCount = 0, count = 0;
-    for (const v of vals) {
-      if (isMissing(v)) continue;
-      count++;
-      if (!Number.isNaN(toNumberIfPossible(v))) numericCount++;
+    const vals = sampleData.map(r => r[col]).filter(v => !isMissing(v));
+    const count = vals.length;
+    if (count === 0) { types[col] = 'categorical'; continue; }
+    const distinct = unique(vals.map(v => String(v).trim()));
+    const uniqueRatio = distinct.length / count;
+    // yes/no, true/false, ... are booleans; plain 0/1 columns (one-hot dummies, flags) stay numeric
+    const booleanLike = distinct.length <= 2 && distinct.every(v => !Number.isNaN(parseBoolean(v)));
+    if (booleanLike && distinct.some(v => Number.isNaN(toNumberIfPossible(v)))) { types[col] = 'boolean'; continue; }
+    if (vals.filter(v => !Number.isNaN(parseDate(v))).length / count >= threshold) { types[col] = 'datetime'; continue; }
+    const nums = vals.map(v => toNumberIfPossible(v)).filter(n => !Number.isNaN(n));
+    if (nums.length / count >= threshold) {
+      const integer = nums.every(n => Number.isInteger(n));
+      // named like an id, or a run of distinct consecutive integers
+      const min = nums.reduce((a, b) => Math.min(a, b), Infinity), max = nums.reduce((a, b) => Math.max(a, b), -Infinity);
+      const sequence = integer && uniqueRatio === 1 && count >= 10 && max - min + 1 === count;
+      types[col] = integer && ((ID_NAME_RE.test(col) && uniqueRatio > 0.9) || sequence) ? 'identifier' : (integer ? 'integer' : 'float');
+      continue;
     }
-    types[col] = (count === 0) ? 'categorical' : (numericCount / count >= threshold ? 'numeric' : 'categorical');
+    const avgLen = vals.reduce((s, v) => s + String(v).length, 0) / count;
+    const avgWords = vals.reduce((s, v) => s + String(v).trim().split(/\s+/).length, 0) / count;
+    if ((avgLen > 30 || avgWords > 4) && uniqueRatio > 0.5) types[col] = 'text';
+    else if ((ID_NAME_RE.test(col) && uniqueRatio > 0.9) || (uniqueRatio === 1 && count >= 10 && avgWords <= 1)) types[col] = 'identifier';
+    else types[col] = 'categorical';
   }
   return types;
 }
 
+// Inferred types with the user's overrides applied (only for columns the rows actually have).
+function resolveColumnTypes(rows) {
+  const types = inferColumnTypes(rows);
+  for (const [col, t] of Object.entries(colTypeOverrides)) if (col in types) types[col] = t;
+  return types;
+}
+
 function summarizeColumn(values, type) {
   const cleaned = values.filter(v => !isMissing(v));
-  if (type === 'numeric') {
+  if (isNumericType(type)) {
     const nums = cleaned.map(v=>toNumberIfPossible(v)).filter(n=>!Number.isNaN(n));
     if (nums.length === 0) return {count:0};
     nums.sort((a,b)=>a-b);
@@ -159,6 +383,21 @@ function summarizeColumn(values, type) {
     const q1 = nums[Math.floor((nums.length-1)/4)];
     const q3 = nums[Math.ceil((nums.length-1)*3/4)];
     return {count: nums.length, mean, median, std, min: nums[0], max: nums[nums.length-1], q1, q3};
+  } else if (type === 'boolean') {
+    const bools = cleaned.map(parseBoolean).filter(b => !Number.isNaN(b));
+    const trues = bools.filter(b => b === 1).length;
+    return {count: bools.length, true: trues, false: bools.length - trues, trueRate: bools.length ? trues / bools.length : null};
+  } else if (type === 'datetime') {
+    const times = cleaned.map(parseDate).filter(t => !Number.isNaN(t)).sort((a,b)=>a-b);
+    if (times.length === 0) return {count:0};
+    return {count: times.length, min: new Date(times[0]).toISOString(), max: new Date(times[times.length-1]).toISOString(),
+            rangeDays: (times[times.length-1] - times[0]) / 86400000};
+  } else if (type === 'identifier') {
+    const distinct = unique(cleaned.map(v => String(v)));
+    return {count: cleaned.length, unique: distinct.length, duplicates: cleaned.length - distinct.length};
+  } else if (type === 'text') {
+    const lens = cleaned.map(v => String(v).length);
+    return {count: cleaned.length, unique: unique(cleaned).length, avgLength: lens.reduce((a,b)=>a+b,0) / (lens.length || 1), maxLength: Math.max(0, ...lens)};
   } else {
     const freq = {};
     for (const v of cleaned) freq[v] = (freq[v] || 0) + 1;
@@ -216,14 +455,169 @@ function fillSelect(sel, options, includeBlank=false) {
 function fillMultiSelect(sel, options) {
   sel.innerHTML = options.map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('');
 }
-function renderTable(data) {
-  if (!data || data.length === 0) { dataTableDiv.innerHTML = '<div class="note">No data to display</div>'; return; }
-  const cols = Object.keys(data[0]);
-  const thead = `<thead><tr>${cols.map(c=>`<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>`;
-  const rows = data.map(r => `<tr>${cols.map(c=>`<td>${escapeHtml(String(r[c]===undefined? '': r[c]))}</td>`).join('')}</tr>`).join('');
-  dataTableDiv.innerHTML = `<table class="table">${thead}<tbody>${rows}</tbody></table>`;
+
+// ------------------
+// Data table: virtual-scrolling grid over the full workingData
+// - only the rows in view (plus a margin) are in the DOM; spacer rows keep the scrollbar honest
+// - click a header to sort, type in the second header row to filter; numeric/date columns accept
+//   comparisons (>5, <=2020-01-01, 10..20), everything else matches case-insensitive substrings
+// - double-click a cell to edit; edits are recorded as pipeline steps so undo/redo covers them
+//   (against the row's position in baseData when a query is active)
+// - missing values, values that do not fit the column type and IQR outliers are highlighted
+// ------------------
+const TABLE_ROW_HEIGHT = 26;
+const tableView = { sortCol: null, sortDir: 1, filters: {}, order: [], fences: {} };
+
+function matchesFilter(value, filter, type) {
+  const f = filter.trim();
+  if (!f) return true;
+  if (isNumericType(type) || type === 'datetime') {
+    const parse = v => type === 'datetime' ? parseDate(v) : toNumberIfPossible(v);
+    const range = f.match(/^(.+?)\.\.(.+)$/);
+    const cmp = f.match(/^(<=|>=|<|>|=|!=)\s*(.+)$/);
+    const x = numericValue(value, type);
+    if (range) return x >= parse(range[1]) && x <= parse(range[2]);
+    if (cmp) {
+      const y = parse(cmp[2]);
+      if (Number.isNaN(y)) return false;
+      return { '<': x < y, '<=': x <= y, '>': x > y, '>=': x >= y, '=': x === y, '!=': x !== y }[cmp[1]];
+    }
+  }
+  return String(value === undefined || value === null ? '' : value).toLowerCase().includes(f.toLowerCase());
+}
+
+function computeTableOrder() {
+  const active = Object.entries(tableView.filters).filter(([c, f]) => f && columns.includes(c));
+  let order = [];
+  workingData.forEach((r, i) => { if (active.every(([c, f]) => matchesFilter(r[c], f, colTypes[c]))) order.push(i); });
+  const col = tableView.sortCol;
+  if (col && columns.includes(col)) {
+    const type = colTypes[col];
+    const numeric = isNumericType(type) || type === 'datetime' || type === 'boolean';
+    const key = i => numeric ? numericValue(workingData[i][col], type) : String(workingData[i][col] === undefined ? '' : workingData[i][col]);
+    const keys = new Map(order.map(i => [i, key(i)]));
+    order.sort((a, b) => {
+      const ka = keys.get(a), kb = keys.get(b);
+      // missing values sort last in both directions
+      const ma = numeric ? Number.isNaN(ka) : isMissing(ka), mb = numeric ? Number.isNaN(kb) : isMissing(kb);
+      if (ma || mb) return ma === mb ? 0 : (ma ? 1 : -1);
+      return tableView.sortDir * (numeric ? ka - kb : ka.localeCompare(kb, undefined, { numeric: true }));
+    });
+  }
+  tableView.order = order;
+}
+
+// Tukey fences per numeric column for outlier highlighting
+function computeTableFences() {
+  tableView.fences = {};
+  for (const c of columns) {
+    if (!isNumericType(colTypes[c])) continue;
+    const st = summarizeColumn(workingData.map(r => r[c]), colTypes[c]);
+    if (!st.count) continue;
+    const iqr = st.q3 - st.q1;
+    tableView.fences[c] = { lo: st.q1 - 1.5 * iqr, hi: st.q3 + 1.5 * iqr };
+  }
+}
+
+function cellClass(value, col) {
+  if (isMissing(value)) return 'cell-missing';
+  const type = colTypes[col];
+  const x = numericValue(value, type);
+  if ((isNumericType(type) || type === 'datetime' || type === 'boolean') && Number.isNaN(x)) return 'cell-invalid';
+  const fence = tableView.fences[col];
+  if (fence && (x < fence.lo || x > fence.hi)) return 'cell-outlier';
+  return '';
+}
+
+function renderTable() {
+  if (!workingData || workingData.length === 0) { dataTableDiv.innerHTML = '<div class="note">No data to display</div>'; return; }
+  const arrow = c => tableView.sortCol === c ? (tableView.sortDir === 1 ? ' ▲' : ' ▼') : '';
+  dataTableDiv.innerHTML = `<div id="tableInfo" class="note"></div>
+    <table class="table grid"><thead>
+      <tr>${columns.map(c => `<th data-col="${escapeHtml(c)}" title="${escapeHtml(colTypes[c])}">${escapeHtml(c)}${arrow(c)}</th>`).join('')}</tr>
+      <tr>${columns.map(c => `<th><input data-filter="${escapeHtml(c)}" value="${escapeHtml(tableView.filters[c] || '')}" placeholder="filter"></th>`).join('')}</tr>
+    </thead><tbody></tbody></table>`;
+  computeTableOrder();
+  computeTableFences();
+  renderTableRows();
+}
+
+function renderTableRows() {
+  const tbody = dataTableDiv.querySelector('tbody');
+  if (!tbody) return;
+  const order = tableView.order;
+  const viewH = dataTableDiv.clientHeight || 360;
+  const start = Math.max(0, Math.floor(dataTableDiv.scrollTop / TABLE_ROW_HEIGHT) - 10);
+  const end = Math.min(order.length, start + Math.ceil(viewH / TABLE_ROW_HEIGHT) + 20);
+  const rows = [];
+  for (let k = start; k < end; k++) {
+    const i = order[k], r = workingData[i];
+    rows.push(`<tr>${columns.map(c => {
+      const v = r[c] === undefined ? '' : r[c];
+      const cls = cellClass(v, c);
+      return `<td data-row="${i}" data-col="${escapeHtml(c)}"${cls ? ` class="${cls}"` : ''}>${escapeHtml(String(v))}</td>`;
+    }).join('')}</tr>`);
+  }
+  tbody.innerHTML = `<tr style="height:${start * TABLE_ROW_HEIGHT}px"></tr>${rows.join('')}<tr style="height:${(order.length - end) * TABLE_ROW_HEIGHT}px"></tr>`;
+  const info = document.getElementById('tableInfo');
+  if (info) info.textContent = `${order.length === workingData.length ? '' : `${order.length} of `}${workingData.length} rows · double-click a cell to edit`;
+}
+
+function startCellEdit(td) {
+  const row = parseInt(td.dataset.row), col = td.dataset.col;
+  // edits are recorded against baseData, so columns the query computes cannot take them
+  const source = queryColumnSource(col);
+  if (source === null) return alert(`'${col}' is computed by the query; edit the columns it is built from instead`);
+  const original = workingData[row][col] === undefined ? '' : String(workingData[row][col]);
+  td.innerHTML = `<input value="${escapeHtml(original)}">`;
+  const input = td.querySelector('input');
+  input.focus();
+  input.select();
+  let done = false;
+  const finish = commit => {
+    if (done) return;
+    done = true;
+    if (commit && input.value !== original) recordStep('editCell', { row: queryIndex ? queryIndex[row] : row, col: source, value: input.value });
+    else renderTableRows();
+  };
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    else if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
 }
 
+(function wireDataTable() {
+  let pending = false;
+  dataTableDiv.addEventListener('scroll', () => {
+    if (pending) return;
+    pending = true;
+    requestAnimationFrame(() => { pending = false; renderTableRows(); });
+  });
+  dataTableDiv.addEventListener('click', e => {
+    const th = e.target.closest('th[data-col]');
+    if (!th) return;
+    const col = th.dataset.col;
+    if (tableView.sortCol === col) tableView.sortDir = -tableView.sortDir; else { tableView.sortCol = col; tableView.sortDir = 1; }
+    const ths = dataTableDiv.querySelectorAll('th[data-col]');
+    ths.forEach(h => { h.textContent = h.dataset.col + (tableView.sortCol === h.dataset.col ? (tableView.sortDir === 1 ? ' ▲' : ' ▼') : ''); });
+    computeTableOrder();
+    renderTableRows();
+  });
+  dataTableDiv.addEventListener('input', e => {
+    const col = e.target.dataset && e.target.dataset.filter;
+    if (col === undefined) return;
+    tableView.filters[col] = e.target.value;
+    computeTableOrder();
+    dataTableDiv.scrollTop = 0;
+    renderTableRows();
+  });
+  dataTableDiv.addEventListener('dblclick', e => {
+    const td = e.target.closest('td[data-row]');
+    if (td) startCellEdit(td);
+  });
+})();
+
 // ------------------
 // Charts: histogram+box, scatter with optional regression overlay, correlation heatmap, PCA scatter
 // ------------------
@@ -231,51 +625,131 @@ function destroyChart(id) {
   if (chartInstances[id]) { chartInstances[id].destroy(); delete chartInstances[id]; }
 }
 
-function drawHistogramAndBox(column) {
-  if (!column) return;
-  const values = workingData.map(r => r[column]).filter(v => !isMissing(v)).map(v => toNumberIfPossible(v)).filter(n => !Number.isNaN(n));
-  destroyChart('hist'); destroyChart('box');
-  if (values.length === 0) return;
-  // histogram
-  const bins = 12;
-  const min = Math.min(...values), max = Math.max(...values);
+// k-means writes its assignments to this column; scatter and PCA charts color points by it
+const CLUSTER_COLUMN = 'cluster';
+const CLUSTER_COLORS = ['#7dd3fc','#fca5a5','#86efac','#fde047','#c4b5fd','#fdba74','#f9a8d4','#5eead4','#a3e635','#cbd5e1'];
+
+// Split points into one dataset per cluster when `clusters` (aligned with points) holds labels.
+function clusterDatasets(points, clusters, label, pointRadius) {
+  const labelled = clusters && clusters.some(c => c !== '' && c !== null && c !== undefined);
+  if (!labelled) return [{ label, data: points, pointRadius }];
+  const groups = new Map();
+  points.forEach((p, i) => {
+    const c = clusters[i] === '' || clusters[i] === null || clusters[i] === undefined ? 'none' : String(clusters[i]);
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(p);
+  });
+  return Array.from(groups.keys()).sort().map(c => {
+    const color = c === 'none' ? '#64748b' : CLUSTER_COLORS[(parseInt(c) || 0) % CLUSTER_COLORS.length];
+    return { label: `cluster ${c}`, data: groups.get(c), pointRadius, backgroundColor: color, borderColor: color };
+  });
+}
+
+// Top-N value frequencies for non-numeric columns (categorical, boolean, text, identifier).
+function drawValueCounts(column, topN = 20) {
+  const freq = {};
+  for (const r of workingData) if (!isMissing(r[column])) { const v = String(r[column]).trim(); freq[v] = (freq[v] || 0) + 1; }
+  const entries = Object.entries(freq).sort((a,b)=>b[1]-a[1]).slice(0, topN);
+  chartInstances['hist'] = new Chart(histChartCanvas.getContext('2d'), {
+    type: 'bar',
+    data: { labels: entries.map(e => e[0]), datasets: [{ label: `${column} (top ${entries.length})`, data: entries.map(e => e[1]) }] },
+    options: { responsive: true, maintainAspectRatio: false }
+  });
+}
+
+function formatDateTick(v) { return new Date(v).toISOString().slice(0, 10); }
+
+// Equal-width bins over the value range; labels read 'lo - hi'.
+function histogramBins(values, bins = 12, fmt = v => v.toFixed(2)) {
+  const min = values.reduce((a, b) => Math.min(a, b), Infinity), max = values.reduce((a, b) => Math.max(a, b), -Infinity);
   const width = (max - min) / bins || 1;
   const counts = new Array(bins).fill(0);
   const labels = [];
-  for (let i=0;i<bins;i++) labels.push(`${(min + i*width).toFixed(2)} - ${(min + (i+1)*width).toFixed(2)}`);
+  for (let i=0;i<bins;i++) labels.push(`${fmt(min + i*width)} - ${fmt(min + (i+1)*width)}`);
   for (const v of values) {
     const idx = Math.min(bins-1, Math.floor((v - min)/width));
     counts[idx]++;
   }
+  return { labels, counts };
+}
+
+function drawHistogramAndBox(column) {
+  if (!column) return;
+  const type = colTypes[column];
+  destroyChart('hist'); destroyChart('box');
+  if (!isNumericType(type) && type !== 'datetime') { drawValueCounts(column); return; }
+  const values = workingData.map(r => numericValue(r[column], type)).filter(n => !Number.isNaN(n));
+  if (values.length === 0) return;
+  // histogram (dates are binned on their timestamps)
+  const { labels, counts } = histogramBins(values, 12, type === 'datetime' ? formatDateTick : v => v.toFixed(2));
   chartInstances['hist'] = new Chart(histChartCanvas.getContext('2d'), {
     type: 'bar',
     data: { labels, datasets: [{ label: column, data: counts }] },
     options: { responsive: true, maintainAspectRatio: false }
   });
+  if (type === 'datetime') return;
 
-  // boxplot-like: we draw a simple IQR bar; Chart.js doesn't provide native boxplot without plugins
-  const nums = values.slice().sort((a,b)=>a-b);
-  const q1 = nums[Math.floor((nums.length-1)/4)];
-  const median = nums.length % 2 ? nums[(nums.length-1)/2] : (nums[nums.length/2-1]+nums[nums.length/2])/2;
-  const q3 = nums[Math.ceil((nums.length-1)*3/4)];
-  const iqr = q3 - q1;
-  destroyChart('box');
+  // box-and-whisker: outliers are scatter points, the box itself is painted by boxPlotPlugin
+  const st = boxStats(values);
   chartInstances['box'] = new Chart(boxChartCanvas.getContext('2d'), {
-    type: 'bar',
-    data: { labels: [column], datasets: [{ label: 'IQR', data: [q3 - q1] }] },
-    options: { indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { display: false } }, responsive: true, maintainAspectRatio: false }
+    type: 'scatter',
+    data: { datasets: [
+      { label: 'outliers', data: st.outliers.map(x => ({ x, y: 0 })), pointRadius: 3, backgroundColor: '#fca5a5' },
+      // invisible whisker ends keep them inside the axis range
+      { label: 'whiskers', data: [{ x: st.whiskerLo, y: 0 }, { x: st.whiskerHi, y: 0 }], pointRadius: 0 }
+    ] },
+    options: {
+      scales: { y: { display: false, min: -1, max: 1 }, x: { title: { display: true, text: column } } },
+      plugins: {
+        legend: { display: false },
+        title: { display: true, text: `median ${+st.median.toFixed(4)} · IQR ${+st.iqr.toFixed(4)} · ${st.outliers.length} outlier(s)` }
+      },
+      responsive: true, maintainAspectRatio: false
+    },
+    plugins: [boxPlotPlugin(st)]
   });
 }
 
+// Inline Chart.js plugin drawing the box (q1..q3), median and whiskers of boxStats() output on a
+// chart whose x scale is the value axis and y runs -1..1.
+function boxPlotPlugin(st) {
+  return {
+    id: 'boxplot',
+    afterDatasetsDraw(chart) {
+      const { ctx, scales: { x, y } } = chart;
+      const px = v => x.getPixelForValue(v), cy = y.getPixelForValue(0), h = Math.abs(y.getPixelForValue(0.4) - cy);
+      ctx.save();
+      ctx.strokeStyle = '#7dd3fc';
+      ctx.fillStyle = 'rgba(125,211,252,0.25)';
+      ctx.lineWidth = 1.5;
+      ctx.fillRect(px(st.q1), cy - h, px(st.q3) - px(st.q1), 2 * h);
+      ctx.strokeRect(px(st.q1), cy - h, px(st.q3) - px(st.q1), 2 * h);
+      ctx.beginPath();
+      ctx.moveTo(px(st.median), cy - h); ctx.lineTo(px(st.median), cy + h);
+      ctx.moveTo(px(st.whiskerLo), cy); ctx.lineTo(px(st.q1), cy);
+      ctx.moveTo(px(st.q3), cy); ctx.lineTo(px(st.whiskerHi), cy);
+      ctx.moveTo(px(st.whiskerLo), cy - h / 2); ctx.lineTo(px(st.whiskerLo), cy + h / 2);
+      ctx.moveTo(px(st.whiskerHi), cy - h / 2); ctx.lineTo(px(st.whiskerHi), cy + h / 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+  };
+}
+
 function drawScatterWithRegression(xCol, yCol, regression=null) {
   if (!xCol || !yCol) return;
   destroyChart('scatter');
-  const pts = workingData.map(r => ({ x: toNumberIfPossible(r[xCol]), y: toNumberIfPossible(r[yCol]) }))
-                         .filter(p => !Number.isNaN(p.x) && !Number.isNaN(p.y));
+  // dates plot on their timestamps and booleans as 0/1
+  const xType = colTypes[xCol], yType = colTypes[yCol];
+  const valid = workingData.filter(r => !Number.isNaN(numericValue(r[xCol], xType)) && !Number.isNaN(numericValue(r[yCol], yType)));
+  const pts = valid.map(r => ({ x: numericValue(r[xCol], xType), y: numericValue(r[yCol], yType) }));
+  const clusters = columns.includes(CLUSTER_COLUMN) ? valid.map(r => r[CLUSTER_COLUMN]) : null;
+  const datasets = clusterDatasets(pts, clusters, `${yCol} vs ${xCol}`, 4);
+  const axis = (col, type) => ({ title: { display: true, text: col }, ...(type === 'datetime' ? { ticks: { callback: formatDateTick } } : {}) });
   chartInstances['scatter'] = new Chart(scatterChartCanvas.getContext('2d'), {
     type: 'scatter',
-    data: { datasets: [{ label: `${yCol} vs ${xCol}`, data: pts, pointRadius: 4 }] },
-    options: { scales: { x: { title: { display: true, text: xCol } }, y: { title: { display: true, text: yCol } } }, plugins: { legend: { display: false } }, responsive: true, maintainAspectRatio: false }
+    data: { datasets },
+    options: { scales: { x: axis(xCol, xType), y: axis(yCol, yType) }, plugins: { legend: { display: datasets.length > 1 } }, responsive: true, maintainAspectRatio: false }
   });
 
   if (regression && pts.length > 1) {
@@ -308,16 +782,16 @@ function drawScatterWithRegression(xCol, yCol, regression=null) {
   }
 }
 
-function drawCorrelationHeatmap() {
-  destroyChart('corr');
-  const numericCols = columns.filter(c => colTypes[c] === 'numeric');
-  if (numericCols.length === 0) return;
+// Pairwise Pearson correlation over complete pairs. Runs in the compute worker (see runJob),
+// so it reads the snapshot of workingData the worker was handed.
+function computeCorrelationMatrix(numericCols) {
   const n = numericCols.length;
+  const colValues = numericCols.map(c => workingData.map(r => toNumberIfPossible(r[c])));
   const matrix = Array.from({length: n}, () => Array(n).fill(0));
   for (let i=0;i<n;i++) {
-    for (let j=0;j<n;j++) {
-      const a = workingData.map(r => toNumberIfPossible(r[numericCols[i]]));
-      const b = workingData.map(r => toNumberIfPossible(r[numericCols[j]]));
+    reportProgress(i / n);
+    for (let j=i;j<n;j++) {
+      const a = colValues[i], b = colValues[j];
       const paired = a.map((v,k)=>({a:v, b:b[k]})).filter(p => !Number.isNaN(p.a) && !Number.isNaN(p.b));
       if (paired.length < 2) matrix[i][j] = 0;
       else {
@@ -328,13 +802,32 @@ function drawCorrelationHeatmap() {
         const denB = Math.sqrt(paired.reduce((s,p)=>s + Math.pow(p.b - meanB,2),0));
         matrix[i][j] = num / (denA * denB || 1);
       }
+      matrix[j][i] = matrix[i][j];
     }
   }
+  return matrix;
+}
+
+async function drawCorrelationHeatmap() {
+  destroyChart('corr');
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]));
+  if (numericCols.length === 0) return;
+  const generation = stateGeneration;
+  let matrix;
+  try {
+    matrix = await runJob('computeCorrelationMatrix', [numericCols], { label: 'Correlation matrix', key: 'corr' });
+  } catch (err) {
+    if (!err.cancelled) console.warn('Correlation failed: ' + err.message);
+    return;
+  }
+  if (generation !== stateGeneration) return;
+  paintCorrelationHeatmap(corrCanvas, matrix, numericCols, corrCanvas.clientWidth, corrCanvas.clientHeight);
+}
 
-  // draw onto canvas
-  const canvas = corrCanvas;
+// Paints the matrix as colored cells (blue -1 … red +1) on a w×h CSS-pixel area at 2× resolution.
+function paintCorrelationHeatmap(canvas, matrix, numericCols, w, h) {
+  const n = numericCols.length;
   const ctx = canvas.getContext('2d');
-  const w = canvas.clientWidth, h = canvas.clientHeight;
   // scale for high DPI
   canvas.width = w * 2; canvas.height = h * 2; ctx.scale(2,2);
   const cellW = w / n, cellH = h / n;
@@ -363,8 +856,50 @@ function drawCorrelationHeatmap() {
 }
 
 //
-// PCA: compute covariance, power iterate for eigenvectors (small-scale, educational approach).
+// PCA: covariance matrix + Jacobi eigen-decomposition (exact for symmetric matrices, fine for the
+// tens of columns this app handles). The caller centers (and optionally standardizes) the data.
 //
+// Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations.
+// Returns { values, vectors } sorted by decreasing eigenvalue; vectors[i] is the i-th eigenvector.
+function jacobiEigen(S, maxSweeps = 100) {
+  const n = S.length;
+  const A = S.map(r => r.slice());
+  const V = Array.from({length: n}, (_, i) => Array.from({length: n}, (_, j) => i === j ? 1 : 0));
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    for (let i=0;i<n;i++) for (let j=i+1;j<n;j++) off += A[i][j] * A[i][j];
+    if (off < 1e-22) break;
+    for (let p=0;p<n-1;p++) {
+      for (let q=p+1;q<n;q++) {
+        if (Math.abs(A[p][q]) < 1e-300) continue;
+        // rotation angle that zeroes A[p][q]
+        const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+        for (let k=0;k<n;k++) {
+          const akp = A[k][p], akq = A[k][q];
+          A[k][p] = c * akp - s * akq; A[k][q] = s * akp + c * akq;
+        }
+        for (let k=0;k<n;k++) {
+          const apk = A[p][k], aqk = A[q][k];
+          A[p][k] = c * apk - s * aqk; A[q][k] = s * apk + c * aqk;
+        }
+        for (let k=0;k<n;k++) {
+          const vkp = V[k][p], vkq = V[k][q];
+          V[k][p] = c * vkp - s * vkq; V[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  const order = Array.from({length: n}, (_, i) => i).sort((a, b) => A[b][b] - A[a][a]);
+  return {
+    values: order.map(i => A[i][i]),
+    vectors: order.map(i => V.map(row => row[i]))
+  };
+}
+
+// dataMatrix: n x p, already centered. Returns all p components (largest loading made positive so
+// signs are stable between runs), eigenvalues, explained variance ratios and the n x k projection.
 function computePCA(dataMatrix, k=2) {
   const n = dataMatrix.length;
   if (n === 0) return null;
@@ -372,605 +907,6440 @@ function computePCA(dataMatrix, k=2) {
   // covariance
   const C = Array.from({length:p}, () => Array(p).fill(0));
   for (let i=0;i<p;i++) {
-    for (let j=0;j<p;j++) {
+    reportProgress(0.8 * i / p);
+    for (let j=i;j<p;j++) {
       let s = 0;
       for (let r=0;r<n;r++) s += dataMatrix[r][i] * dataMatrix[r][j];
-      C[i][j] = s / (n - 1 || 1);
-    }
-  }
-  function powerIteration(A, iter=500) {
-    let v = Array.from({length: A.length}, () => Math.random());
-    // normalize
-    let norm = Math.sqrt(v.reduce((s,x)=>s + x*x, 0));
-    v = v.map(x => x / (norm || 1));
-    for (let it=0; it<iter; it++) {
-      const Av = A.map(row => row.reduce((s,val,j) => s + val * v[j], 0));
-      const anorm = Math.sqrt(Av.reduce((s,x)=>s + x*x, 0));
-      v = Av.map(x => x / (anorm || 1));
-    }
-    // eigenvalue approx
-    const Av = A.map(row => row.reduce((s,val,j) => s + val * v[j], 0));
-    const lambda = v.reduce((s,vi,i) => s + vi * Av[i], 0);
-    return {vector: v, value: lambda};
-  }
-  const comps = [];
-  const Acopy = C.map(r => r.slice());
-  for (let comp=0; comp<k; comp++) {
-    const {vector} = powerIteration(Acopy, 500);
-    // minor deflation so next iteration finds different vector
-    for (let i=0;i<p;i++) for (let j=0;j<p;j++) Acopy[i][j] -= vector[i] * vector[j] * 1e-6;
-    comps.push(vector);
-  }
-  // projection: n x k
-  const projection = dataMatrix.map(row => comps.map(c => row.reduce((s,v,i) => s + v * row[i], 0)));
-  return {components: comps, projection};
-}
-
-function drawPCA() {
-  const numericCols = columns.filter(c => colTypes[c] === 'numeric');
-  if (numericCols.length < 2) return;
-  const matrix = workingData.map(r => numericCols.map(c => toNumberIfPossible(r[c]))).map(row => row.map(v => Number.isNaN(v) ? 0 : v));
-  const p = numericCols.length, n = matrix.length;
-  const means = Array(p).fill(0);
-  if (n === 0) return;
-  for (let j=0;j<p;j++) means[j] = matrix.reduce((s,row)=>s + row[j], 0) / n;
-  const centered = matrix.map(row => row.map((v,j) => v - means[j]));
-  const pca = computePCA(centered, 2);
-  if (!pca) return;
+      C[i][j] = C[j][i] = s / (n - 1 || 1);
+    }
+  }
+  const { values, vectors } = jacobiEigen(C);
+  reportProgress(0.9);
+  const components = vectors.map(v => {
+    const big = v.reduce((m, x) => Math.abs(x) > Math.abs(m) ? x : m, 0);
+    return big < 0 ? v.map(x => -x) : v;
+  });
+  const eigenvalues = values.map(v => Math.max(0, v));
+  const total = eigenvalues.reduce((a, b) => a + b, 0) || 1;
+  const kk = Math.min(k, p);
+  // projection: n x k scores
+  const projection = dataMatrix.map(row => components.slice(0, kk).map(c => row.reduce((s, v, i) => s + v * c[i], 0)));
+  return { components, eigenvalues, explainedVarianceRatio: eigenvalues.map(v => v / total), projection };
+}
+
+// Center (and optionally scale to unit variance) the numeric columns. Missing values are
+// replaced by the column mean, i.e. 0 after centering.
+function preparePCAMatrix(rows, numericCols, standardize) {
+  const raw = rows.map(r => numericCols.map(c => toNumberIfPossible(r[c])));
+  const means = numericCols.map((_, j) => {
+    const vals = raw.map(row => row[j]).filter(v => !Number.isNaN(v));
+    return vals.reduce((a, b) => a + b, 0) / (vals.length || 1);
+  });
+  const stds = numericCols.map((_, j) => {
+    if (!standardize) return 1;
+    const vals = raw.map(row => row[j]).filter(v => !Number.isNaN(v));
+    const sd = Math.sqrt(vals.reduce((s, v) => s + Math.pow(v - means[j], 2), 0) / (vals.length - 1 || 1));
+    return sd || 1;
+  });
+  const matrix = raw.map(row => row.map((v, j) => Number.isNaN(v) ? 0 : (v - means[j]) / stds[j]));
+  return { matrix, means, stds };
+}
+
+let lastPCA = null; // { numericCols, means, stds, standardize, result } from the latest drawPCA
+
+async function drawPCA() {
+  // cluster ids are labels, not measurements
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]) && c !== CLUSTER_COLUMN);
+  if (numericCols.length < 2 || workingData.length === 0) { lastPCA = null; return; }
+  const standardize = pcaStandardize.checked;
+  const { matrix, means, stds } = preparePCAMatrix(workingData, numericCols, standardize);
+  const generation = stateGeneration;
+  let pca;
+  try {
+    // the prepared matrix travels as an argument, so the worker does not need workingData
+    pca = await runJob('computePCA', [matrix, 2], { label: 'PCA', key: 'pca', data: [] });
+  } catch (err) {
+    if (!err.cancelled) console.warn('PCA failed: ' + err.message);
+    return;
+  }
+  if (!pca || generation !== stateGeneration) return;
+  lastPCA = { numericCols, means, stds, standardize, result: pca };
+
+  // biplot: scores plus loading vectors scaled to the score range
   destroyChart('pca');
   const pts = pca.projection.map(v => ({ x: v[0], y: v[1] }));
+  const clusters = columns.includes(CLUSTER_COLUMN) ? workingData.map(r => r[CLUSTER_COLUMN]) : null;
+  const scoreSets = clusterDatasets(pts, clusters, 'Scores', 3);
+  const maxScore = Math.max(...pts.map(p => Math.max(Math.abs(p.x), Math.abs(p.y))), 1e-9);
+  const maxLoad = Math.max(...numericCols.map((_, j) => Math.hypot(pca.components[0][j], pca.components[1][j])), 1e-9);
+  const scale = 0.8 * maxScore / maxLoad;
+  const loadings = numericCols.map((c, j) => ({
+    label: c,
+    data: [{ x: 0, y: 0 }, { x: pca.components[0][j] * scale, y: pca.components[1][j] * scale }],
+    showLine: true, pointRadius: [0, 3], borderWidth: 2, borderColor: 'rgba(253,186,116,0.9)', backgroundColor: 'rgba(253,186,116,0.9)'
+  }));
+  const pct = i => (pca.explainedVarianceRatio[i] * 100).toFixed(1);
   chartInstances['pca'] = new Chart(pcaChartCanvas.getContext('2d'), {
     type: 'scatter',
-    data: { datasets: [{ label: 'PCA (2D)', data: pts, pointRadius: 4 }] },
-    options: { plugins: { legend: { display: false } }, responsive: true, maintainAspectRatio: false }
+    data: { datasets: [...scoreSets, ...loadings] },
+    options: {
+      scales: { x: { title: { display: true, text: `PC1 (${pct(0)}%)` } }, y: { title: { display: true, text: `PC2 (${pct(1)}%)` } } },
+      plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => ctx.datasetIndex < scoreSets.length ? `(${ctx.parsed.x.toFixed(2)}, ${ctx.parsed.y.toFixed(2)})` : ctx.dataset.label } } },
+      responsive: true, maintainAspectRatio: false
+    }
+  });
+
+  // scree: variance explained per component and cumulative
+  destroyChart('scree');
+  let cum = 0;
+  const cumulative = pca.explainedVarianceRatio.map(r => (cum += r));
+  chartInstances['scree'] = new Chart(screeChartCanvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: pca.explainedVarianceRatio.map((_, i) => `PC${i + 1}`),
+      datasets: [
+        { label: 'Explained variance', data: pca.explainedVarianceRatio },
+        { label: 'Cumulative', data: cumulative, type: 'line' }
+      ]
+    },
+    options: { scales: { y: { min: 0, max: 1 } }, responsive: true, maintainAspectRatio: false }
   });
 }
 
 // ------------------
 // Preprocessing functions
+// - Every transform is split into fit (compute parameters from the rows) and apply (use them).
+// - The parameters are stored as a step in `pipeline`, so a step can be undone, edited and
+//   replayed on rawData or a freshly loaded file with exactly the same means/stds/levels.
 // ------------------
-function autoClean() {
-  if (!workingData || workingData.length === 0) return;
-  const cols = Object.keys(workingData[0]);
-  for (const col of cols) {
-    if (colTypes[col] === 'numeric') {
-      const nums = workingData.map(r => toNumberIfPossible(r[col])).filter(n => !Number.isNaN(n));
-      const mean = nums.reduce((a,b)=>a+b,0) / (nums.length || 1);
-      for (const r of workingData) {
-        if (isMissing(r[col]) || Number.isNaN(toNumberIfPossible(r[col]))) r[col] = mean;
+const PIPELINE_OPS = {
+  autoClean: {
+    label: 'Auto clean (impute numeric with mean, trim strings)',
+    fit(rows) {
+      const types = resolveColumnTypes(rows);
+      const fill = {}, trim = [];
+      for (const col of Object.keys(rows[0] || {})) {
+        if (isNumericType(types[col])) {
+          const nums = rows.map(r => toNumberIfPossible(r[col])).filter(n => !Number.isNaN(n));
+          fill[col] = nums.reduce((a,b)=>a+b,0) / (nums.length || 1);
+        } else {
+          trim.push(col);
+        }
       }
-    } else {
-      for (const r of workingData) {
-        if (r[col] === undefined || r[col] === null) r[col] = '';
-        r[col] = String(r[col]).trim();
+      return { fill, trim };
+    },
+    apply(rows, params) {
+      for (const [col, value] of Object.entries(params.fill || {})) {
+        if (!hasColumn(rows, col)) continue;
+        for (const r of rows) {
+          if (isMissing(r[col]) || Number.isNaN(toNumberIfPossible(r[col]))) r[col] = value;
+        }
+      }
+      for (const col of params.trim || []) {
+        if (!hasColumn(rows, col)) continue;
+        for (const r of rows) {
+          if (r[col] === undefined || r[col] === null) r[col] = '';
+          r[col] = String(r[col]).trim();
+        }
+      }
+    }
+  },
+  scale: {
+    label: 'Scale numeric (z-score)',
+    fit(rows) {
+      const types = resolveColumnTypes(rows);
+      const stats = {};
+      for (const col of Object.keys(rows[0] || {}).filter(c => isNumericType(types[c]))) {
+        const vals = rows.map(r => toNumberIfPossible(r[col])).map(n => Number.isNaN(n) ? 0 : n);
+        const mean = vals.reduce((a,b)=>a+b,0) / vals.length;
+        const std = Math.sqrt(vals.map(v => Math.pow(v-mean,2)).reduce((a,b)=>a+b,0) / (vals.length - 1 || 1));
+        stats[col] = { mean, std };
+      }
+      return { stats };
+    },
+    apply(rows, params) {
+      for (const [col, { mean, std }] of Object.entries(params.stats || {})) {
+        if (!hasColumn(rows, col)) continue;
+        for (const r of rows) r[col] = (toNumberIfPossible(r[col]) - mean) / (std || 1);
+      }
+    }
+  },
+  oneHot: {
+    label: 'One-hot encode categorical',
+    // categoricals become col__value dummies; booleans are mapped to a single 0/1 column;
+    // identifiers, free text and dates are left alone
+    fit(rows) {
+      const types = resolveColumnTypes(rows);
+      const levels = {}, booleans = [];
+      for (const col of Object.keys(rows[0] || {})) {
+        if (types[col] === 'boolean') { booleans.push(col); continue; }
+        if (types[col] !== 'categorical') continue;
+        const vals = unique(rows.map(r => r[col]));
+        if (vals.length > 50) { console.warn(`Skipping one-hot for ${col} — high cardinality (${vals.length})`); continue; }
+        levels[col] = vals;
+      }
+      return { levels, booleans };
+    },
+    apply(rows, params) {
+      for (const col of params.booleans || []) {
+        if (!hasColumn(rows, col)) continue;
+        for (const r of rows) { const b = parseBoolean(r[col]); r[col] = Number.isNaN(b) ? '' : b; }
+      }
+      for (const [col, vals] of Object.entries(params.levels || {})) {
+        if (!hasColumn(rows, col)) continue;
+        for (const v of vals) {
+          const key = `${col}__${v}`;
+          for (const r of rows) r[key] = (r[col] === v) ? 1 : 0;
+        }
+        // drop original
+        for (const r of rows) delete r[col];
+      }
+    }
+  },
+  assignClusters: {
+    label: 'Assign k-means clusters',
+    // parameters come from a trained k-means model (see kmeansBtn)
+    fit() { throw new Error('assignClusters is recorded with precomputed parameters'); },
+    apply(rows, params) {
+      if (!params.featureCols.every(c => hasColumn(rows, c))) return;
+      for (const r of rows) {
+        const x = params.featureCols.map(c => toNumberIfPossible(r[c]));
+        if (x.some(v => Number.isNaN(v))) { r[params.column] = ''; continue; }
+        let best = -1, bestd = Infinity;
+        params.centroids.forEach((c, i) => { const d = euclidean(x, c); if (d < bestd) { bestd = d; best = i; } });
+        r[params.column] = best;
+      }
+    }
+  },
+  editCell: {
+    label: 'Edit cell',
+    describe: p => `Edit ${p.col} in row ${p.row + 1} → "${p.value}"`,
+    // recorded by the data table; the row index refers to the rows as they are at this step
+    fit() { throw new Error('editCell is recorded from the data table'); },
+    apply(rows, params) {
+      if (rows[params.row] && hasColumn(rows, params.col)) rows[params.row][params.col] = params.value;
+    }
+  },
+  outliers: {
+    label: 'Handle outliers',
+    describe: p => `${p.action === 'remove' ? 'Remove' : (p.action === 'winsorize' ? 'Winsorize' : 'Flag')} outliers (${OUTLIER_METHODS[p.method].label}: ${p.columns.join(', ')})`,
+    // fitted in the Outliers card (the forest needs the worker); params: detector from
+    // fitOutlierDetector plus action 'keep' | 'winsorize' | 'remove' and the flag column
+    fit() { throw new Error('outliers is recorded from the Outliers card'); },
+    apply(rows, params) {
+      if (!rows.length) return;
+      const flags = outlierFlags(rows, params);
+      if (params.action === 'remove') {
+        let kept = 0;
+        rows.forEach((r, i) => { if (!flags[i]) rows[kept++] = r; });
+        rows.length = kept;
+        return;
+      }
+      rows.forEach((r, i) => { r[params.flagColumn] = flags[i] ? 1 : 0; });
+      if (params.action !== 'winsorize') return;
+      for (const [c, b] of Object.entries(params.bounds)) {
+        if (!hasColumn(rows, c)) continue;
+        for (const r of rows) {
+          const v = toNumberIfPossible(r[c]);
+          if (!isMissing(r[c]) && !Number.isNaN(v)) r[c] = Math.min(b.hi, Math.max(b.lo, v));
+        }
+      }
+    }
+  },
+  impute: {
+    label: 'Impute missing values',
+    describe: p => `Impute ${Object.entries(p.columns).map(([c, s]) => `${c}: ${s.method}`).join(', ')}${p.indicators ? ' (+ was-missing flags)' : ''}`,
+    // fitted by fitImputation from the Imputation panel. Numeric columns also treat unparsable
+    // values as gaps. kNN runs first and compares rows as they were before this step.
+    fit() { throw new Error('impute is recorded from the Imputation panel'); },
+    apply(rows, params) {
+      const entries = Object.entries(params.columns).filter(([c]) => hasColumn(rows, c));
+      const gap = (v, numeric) => isMissing(v) || (numeric && Number.isNaN(toNumberIfPossible(v)));
+      const masks = {};
+      for (const [c, s] of entries) masks[c] = rows.map(r => gap(r[c], s.numeric));
+      // the Imputation panel computes the fills in the compute worker before recording the step
+      const pre = precomputedKnnFills;
+      precomputedKnnFills = null;
+      const knnFills = pre && pre.params === params && pre.rows === rows ? pre.fills : knnImputeFills(params, rows);
+      for (const [c, s] of entries) {
+        const mask = masks[c];
+        if (s.method === 'knn') rows.forEach((r, i) => { if (mask[i] && knnFills[c][i] !== undefined) r[c] = knnFills[c][i]; });
+        else if (s.method === 'ffill' || s.method === 'bfill') {
+          // carry the nearest earlier (ffill) or later (bfill) value; gaps at the edge stay
+          const order = s.method === 'ffill' ? rows.map((_, i) => i) : rows.map((_, i) => rows.length - 1 - i);
+          let last;
+          for (const i of order) { if (!mask[i]) last = rows[i][c]; else if (last !== undefined) rows[i][c] = last; }
+        } else rows.forEach((r, i) => { if (mask[i]) r[c] = s.value; });
+        if (params.indicators) rows.forEach((r, i) => { r[`${c}_was_missing`] = mask[i] ? 1 : 0; });
+      }
+    }
+  },
+  transformColumn: {
+    label: 'Transform column',
+    describe: p => `${p.fn} of ${p.col} → ${p.name}`,
+    // params from fitTransform: { col, fn: 'log'|'sqrt'|'boxcox', shift, lambda, name }
+    fit() { throw new Error('transformColumn is recorded from the Feature Builder'); },
+    apply(rows, params) {
+      if (!hasColumn(rows, params.col)) return;
+      for (const r of rows) {
+        const x = toStrictNumber(r[params.col]);
+        const v = isMissing(r[params.col]) || Number.isNaN(x) ? NaN : transformValue(params, x);
+        r[params.name] = Number.isFinite(v) ? v : '';
+      }
+    }
+  },
+  polynomialFeatures: {
+    label: 'Polynomial/interaction terms',
+    describe: p => `Add ${p.terms.map(t => t.name).join(', ')}`,
+    // params: { terms: [{ name, cols: [a, b, ...] }] }, each term the product of its columns
+    fit() { throw new Error('polynomialFeatures is recorded from the Feature Builder'); },
+    apply(rows, params) {
+      for (const term of params.terms) {
+        if (!term.cols.every(c => hasColumn(rows, c))) continue;
+        for (const r of rows) {
+          const xs = term.cols.map(c => isMissing(r[c]) ? NaN : toStrictNumber(r[c]));
+          r[term.name] = xs.some(Number.isNaN) ? '' : xs.reduce((a, b) => a * b, 1);
+        }
+      }
+    }
+  },
+  binColumn: {
+    label: 'Bin column',
+    describe: p => `${p.method === 'quantile' ? 'Quantile' : 'Equal-width'} bins of ${p.col} → ${p.name}`,
+    // params: { col, method, edges: ascending cut points, name }; values become '[lo, hi)' labels
+    fit() { throw new Error('binColumn is recorded from the Feature Builder'); },
+    apply(rows, params) {
+      if (!hasColumn(rows, params.col)) return;
+      const e = params.edges, fmt = v => +v.toPrecision(4);
+      for (const r of rows) {
+        const x = isMissing(r[params.col]) ? NaN : toStrictNumber(r[params.col]);
+        if (Number.isNaN(x)) { r[params.name] = ''; continue; }
+        // values beyond the fitted range fall into the outer bins
+        let b = 0;
+        while (b < e.length - 2 && x >= e[b + 1]) b++;
+        r[params.name] = `[${fmt(e[b])}, ${fmt(e[b + 1])}${b === e.length - 2 ? ']' : ')'}`;
+      }
+    }
+  },
+  dateParts: {
+    label: 'Extract date parts',
+    describe: p => `Date parts of ${p.col}: ${p.parts.join(', ')}`,
+    // params: { col, parts: subset of DATE_PARTS keys }; adds `${col}_${part}` columns
+    fit() { throw new Error('dateParts is recorded from the Feature Builder'); },
+    apply(rows, params) {
+      if (!hasColumn(rows, params.col)) return;
+      for (const r of rows) {
+        const t = parseDate(r[params.col]);
+        for (const part of params.parts) r[`${params.col}_${part}`] = Number.isNaN(t) ? '' : DATE_PARTS[part](new Date(t));
+      }
+    }
+  },
+  formulaColumn: {
+    label: 'Formula column',
+    describe: p => `${p.name} = ${p.expr}`,
+    // params: { name, expr } in the query expression language
+    fit() { throw new Error('formulaColumn is recorded from the Feature Builder'); },
+    apply(rows, params) {
+      if (!rows.length) return;
+      let fn;
+      try {
+        fn = parseQuery(params.expr, Object.keys(rows[0]), 'expression');
+      } catch (err) {
+        console.warn(`Formula '${params.name}' skipped: ${err.message}`);
+        return;
+      }
+      for (const r of rows) { const v = fn(r); r[params.name] = v === null || v === undefined ? '' : (typeof v === 'boolean' ? +v : v); }
+    }
+  },
+  lagFeatures: {
+    label: 'Add lag/lead features',
+    // params: { timeCol, valueCol, lags: [1, ...], leads: [1, ...] }; neighbours are taken in time
+    // order, rows without a parsable time get blanks
+    fit() { throw new Error('lagFeatures is recorded from the Time Series panel'); },
+    apply(rows, params) {
+      if (!hasColumn(rows, params.timeCol) || !hasColumn(rows, params.valueCol)) return;
+      const order = rows.map((r, i) => ({ i, t: parseDate(r[params.timeCol]) }))
+        .filter(o => !Number.isNaN(o.t)).sort((a, b) => a.t - b.t).map(o => o.i);
+      const shifts = params.lags.map(k => ({ k: -k, name: `${params.valueCol}_lag${k}` }))
+        .concat(params.leads.map(k => ({ k, name: `${params.valueCol}_lead${k}` })));
+      for (const { name } of shifts) for (const r of rows) r[name] = '';
+      order.forEach((rowIdx, pos) => {
+        for (const { k, name } of shifts) {
+          const src = order[pos + k];
+          if (src !== undefined) rows[rowIdx][name] = rows[src][params.valueCol];
+        }
+      });
+    }
+  },
+  appendPCs: {
+    label: 'Append principal components',
+    // fitted from the PCA panel (see pcaAppendBtn) rather than here, since PCA runs in the worker
+    fit() { throw new Error('appendPCs is recorded with precomputed parameters'); },
+    apply(rows, params) {
+      if (!params.columns.every(c => hasColumn(rows, c))) return;
+      for (const r of rows) {
+        const x = params.columns.map((c, j) => {
+          const v = toNumberIfPossible(r[c]);
+          return Number.isNaN(v) ? 0 : (v - params.means[j]) / params.stds[j];
+        });
+        params.components.forEach((comp, i) => { r[`PC${i + 1}`] = comp.reduce((s, w, j) => s + w * x[j], 0); });
       }
     }
   }
-  postProcessState();
+};
+
+// steps replayed on a different file only touch the columns that file actually has
+function hasColumn(rows, col) {
+  return rows.length > 0 && Object.prototype.hasOwnProperty.call(rows[0], col);
+}
+
+let pipeline = [];       // recorded steps: { op, params, enabled }
+let pipelineCursor = 0;  // steps before the cursor are applied; the rest can be redone
+
+function describeStep(step) {
+  const op = PIPELINE_OPS[step.op];
+  return op ? (op.describe ? op.describe(step.params) : op.label) : step.op;
 }
 
-function scaleNumericColumns() {
-  const numericCols = columns.filter(c => colTypes[c] === 'numeric');
-  for (const col of numericCols) {
-    const vals = workingData.map(r => toNumberIfPossible(r[col])).map(n => Number.isNaN(n) ? 0 : n);
-    const mean = vals.reduce((a,b)=>a+b,0) / vals.length;
-    const std = Math.sqrt(vals.map(v => Math.pow(v-mean,2)).reduce((a,b)=>a+b,0) / (vals.length - 1 || 1));
-    for (const r of workingData) r[col] = (toNumberIfPossible(r[col]) - mean) / (std || 1);
+// Apply the enabled steps in steps[0..upTo) to a copy of `rows`.
+function replayPipeline(rows, upTo = pipelineCursor, steps = pipeline) {
+  const out = rows.map(r => ({...r}));
+  for (const step of steps.slice(0, upTo)) {
+    if (!step.enabled) continue;
+    const op = PIPELINE_OPS[step.op];
+    if (!op) { console.warn(`Unknown pipeline step '${step.op}' skipped`); continue; }
+    op.apply(out, step.params);
   }
+  return out;
+}
+
+// Fit `opName` on the full data (unless `params` were computed elsewhere), record it as a step and
+// apply it. Steps apply to every row, so they are fitted on baseData rather than the query view.
+// Recording after an undo discards the steps that could have been redone.
+function recordStep(opName, params) {
+  if (!workingData || workingData.length === 0) return;
+  const op = PIPELINE_OPS[opName];
+  const step = { op: opName, params: params || op.fit(baseData), enabled: true };
+  pipeline = pipeline.slice(0, pipelineCursor);
+  pipeline.push(step);
+  pipelineCursor = pipeline.length;
+  op.apply(baseData, step.params);
+  applyActiveQuery();
   postProcessState();
 }
 
-function oneHotEncodeCategorical() {
-  const catCols = columns.filter(c => colTypes[c] === 'categorical');
-  for (const col of catCols) {
-    const vals = unique(workingData.map(r => r[col]));
-    if (vals.length > 50) { console.warn(`Skipping one-hot for ${col} — high cardinality (${vals.length})`); continue; }
-    for (const v of vals) {
-      const key = `${col}__${v}`;
-      for (const r of workingData) r[key] = (r[col] === v) ? 1 : 0;
-    }
-    // drop original
-    for (const r of workingData) delete r[col];
+function rebuildFromPipeline() {
+  baseData = replayPipeline(rawData);
+  applyActiveQuery();
+  postProcessState();
+}
+
+function undoStep() {
+  if (pipelineCursor === 0) return;
+  pipelineCursor--;
+  rebuildFromPipeline();
+}
+
+function redoStep() {
+  if (pipelineCursor >= pipeline.length) return;
+  pipelineCursor++;
+  rebuildFromPipeline();
+}
+
+// Entry point for every data source: keeps the recorded pipeline when replay is requested,
+// otherwise starts a fresh one.
+function loadDataset(rows, { replay = false } = {}) {
+  rawData = rows;
+  if (!replay) { pipeline = []; pipelineCursor = 0; colTypeOverrides = {}; activeQuery = ''; }
+  else {
+    // cell edits address rows of the data they were made on, so they do not carry over
+    const active = pipeline.slice(0, pipelineCursor).filter(s => s.op !== 'editCell');
+    pipeline = active.concat(pipeline.slice(pipelineCursor).filter(s => s.op !== 'editCell'));
+    pipelineCursor = active.length;
   }
+  baseData = replayPipeline(rawData);
+  applyActiveQuery();
   postProcessState();
 }
 
+function autoClean() { recordStep('autoClean'); }
+function scaleNumericColumns() { recordStep('scale'); }
+function oneHotEncodeCategorical() { recordStep('oneHot'); }
+
 // ------------------
-// Modeling
-//  - Linear regression closed form
-//  - Expanded linear regression with train/test, CV, Ridge
-//  - Logistic regression (GD)
-//  - k-means
+// Query language: a filter expression or a small SELECT ... WHERE ... ORDER BY ... LIMIT subset
+// evaluated over the pipeline output. The result becomes workingData, so charts, summaries and
+// models all see the derived view; pipeline steps still apply to the full data underneath.
+//   salary > 60000 and department in ('Engineering', 'Product')
+//   SELECT name, salary, salary * 12 AS annual WHERE hired >= '2020-01-01' ORDER BY salary DESC LIMIT 10
+// Strings take single or double quotes; column names with spaces go in `backticks` or [brackets].
+// Functions: abs sqrt exp log log10 pow round floor ceil min max year month day weekday lower
+// upper length coalesce.
+// Comparisons with a missing value are unknown (SQL NULL semantics), so use IS NULL to find them.
 // ------------------
-function linearRegressionClosedForm(featureCols, targetCol) {
-  const X = [], y = [];
-  for (const r of workingData) {
-    const row = [1]; let ok = true;
-    for (const c of featureCols) {
-      const v = toNumberIfPossible(r[c]);
-      if (Number.isNaN(v)) { ok = false; break; }
-      row.push(v);
+const QUERY_TOKEN_RE = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|`([^`]*)`|\[([^\]]*)\]|([A-Za-z_][\w.]*)|(<=|>=|<>|!=|==|[=<>(),*+\-/%]))/y;
+const QUERY_CLAUSES = ['select', 'from', 'where', 'order', 'limit'];
+
+function tokenizeQuery(text) {
+  const tokens = [];
+  QUERY_TOKEN_RE.lastIndex = 0;
+  while (QUERY_TOKEN_RE.lastIndex < text.length) {
+    const at = QUERY_TOKEN_RE.lastIndex;
+    const m = QUERY_TOKEN_RE.exec(text);
+    if (!m) {
+      if (!text.slice(at).trim()) break;
+      throw new Error(`Unexpected character '${text.slice(at).trim()[0]}' at position ${at + 1}`);
     }
-    const tv = toNumberIfPossible(r[targetCol]);
-    if (Number.isNaN(tv)) ok = false;
-    if (ok) { X.push(row); y.push([tv]); }
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'str', value: m[2].replace(/''/g, "'") });
+    else if (m[3] !== undefined) tokens.push({ type: 'str', value: m[3].replace(/""/g, '"') });
+    else if (m[4] !== undefined || m[5] !== undefined) tokens.push({ type: 'ident', value: m[4] !== undefined ? m[4] : m[5] });
+    else if (m[6] !== undefined) tokens.push({ type: 'word', value: m[6], lower: m[6].toLowerCase() });
+    else tokens.push({ type: 'op', value: m[7] });
   }
-  if (X.length === 0) throw new Error('No valid rows for training');
-  const Xt = transpose(X);
-  const XtX = matMul(Xt, X);
-  const XtXinv = matInverse(XtX);
-  const XtY = matMul(Xt, y);
-  const betaMat = matMul(XtXinv, XtY);
-  const coeffs = betaMat.map(r => r[0]);
-  const model = { type: 'linear', intercept: coeffs[0], coefficients: coeffs.slice(1), featureCols };
+  return tokens;
+}
 
-  // metrics
-  const preds = X.map(row => coeffs.reduce((s,b,i) => s + b * row[i], 0));
-  const yFlat = y.map(r => r[0]);
-  const ssRes = preds.map((p,i)=>Math.pow(p - yFlat[i],2)).reduce((a,b)=>a+b,0);
-  const meanY = yFlat.reduce((a,b)=>a+b,0) / yFlat.length;
-  const ssTot = yFlat.map(v=>Math.pow(v-meanY,2)).reduce((a,b)=>a+b,0) || 1;
-  const r2 = 1 - ssRes / ssTot;
-  const rmse = Math.sqrt(ssRes / yFlat.length);
-  return {...model, r2, rmse};
+// number if the value reads as one, otherwise NaN ("12" -> 12, "n4" -> NaN)
+function queryNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return +v;
+  const s = String(v).trim();
+  return s === '' ? NaN : Number(s);
 }
 
-// Expanded linear regression: CV, Ridge, train/test
-function fitLinearRegressionExpanded(featureCols, targetCol, options = { regularization: 0, cvFolds: 0, testFraction: 0.2 }) {
-  // gather valid rows
-  const rows = [];
-  for (const r of workingData) {
-    const x = [];
-    let ok = true;
-    for (const c of featureCols) {
-      const v = toNumberIfPossible(r[c]);
-      if (Number.isNaN(v)) { ok = false; break; }
-      x.push(v);
-    }
-    const yv = toNumberIfPossible(r[targetCol]);
-    if (Number.isNaN(yv)) ok = false;
-    if (ok) rows.push({ x, y: yv });
-  }
-  if (rows.length === 0) throw new Error('No valid rows for regression training');
+// <0, 0, >0, or null when either side is missing; numbers, then dates, then strings
+function compareQueryValues(a, b) {
+  if (isMissing(a) || isMissing(b)) return null;
+  const na = queryNumber(a), nb = queryNumber(b);
+  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  const da = parseDate(a), db = parseDate(b);
+  if (!Number.isNaN(da) && !Number.isNaN(db)) return da - db;
+  const sa = String(a), sb = String(b);
+  return sa < sb ? -1 : (sa > sb ? 1 : 0);
+}
 
-  function splitRows(rows, testFrac) {
-    const shuffled = rows.slice();
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    const cut = Math.floor(shuffled.length * (1 - testFrac));
-    return { train: shuffled.slice(0, cut), test: shuffled.slice(cut) };
+// Functions callable from queries and formulas; missing or non-numeric input gives a blank
+const numericFunction = f => (...args) => {
+  const xs = args.map(queryNumber);
+  if (xs.some(Number.isNaN)) return '';
+  const v = f(...xs);
+  return Number.isFinite(v) ? v : '';
+};
+const datePart = f => v => { const t = parseDate(v); return Number.isNaN(t) ? '' : f(new Date(t)); };
+const QUERY_FUNCTIONS = {
+  abs: numericFunction(Math.abs), sqrt: numericFunction(Math.sqrt), exp: numericFunction(Math.exp),
+  log: numericFunction(Math.log), log10: numericFunction(Math.log10), pow: numericFunction(Math.pow),
+  round: numericFunction((x, d = 0) => Math.round(x * 10 ** d) / 10 ** d),
+  floor: numericFunction(Math.floor), ceil: numericFunction(Math.ceil),
+  min: numericFunction(Math.min), max: numericFunction(Math.max),
+  year: datePart(d => d.getUTCFullYear()), month: datePart(d => d.getUTCMonth() + 1),
+  day: datePart(d => d.getUTCDate()), weekday: datePart(d => d.getUTCDay()),
+  lower: v => isMissing(v) ? '' : String(v).toLowerCase(), upper: v => isMissing(v) ? '' : String(v).toUpperCase(),
+  length: v => isMissing(v) ? '' : String(v).length,
+  coalesce: (...args) => { const v = args.find(a => !isMissing(a)); return v === undefined ? '' : v; }
+};
+
+// Parse `text` against the given column names into { select, where, orderBy, limit } where
+// select is null (all columns) or [{ name, fn }], where/fn are row => value closures.
+// With mode 'expression' the text is a single expression and its row => value closure is returned.
+function parseQuery(text, cols, mode = 'query') {
+  const tokens = tokenizeQuery(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isWord = (w, t = peek()) => !!t && t.type === 'word' && t.lower === w;
+  const isOp = (o, t = peek()) => !!t && t.type === 'op' && t.value === o;
+  const describe = t => t ? `'${t.value}'` : 'end of query';
+  const expectWord = w => { if (!isWord(w)) throw new Error(`Expected ${w.toUpperCase()} but found ${describe(peek())}`); pos++; };
+  const expectOp = o => { if (!isOp(o)) throw new Error(`Expected '${o}' but found ${describe(peek())}`); pos++; };
+
+  function column(name) {
+    if (cols.includes(name)) return name;
+    const matches = cols.filter(c => c.toLowerCase() === name.toLowerCase());
+    if (matches.length === 1) return matches[0];
+    throw new Error(`Unknown column '${name}'`);
   }
+  const and3 = (a, b) => (a === false || b === false) ? false : ((a === null || b === null) ? null : true);
+  const or3 = (a, b) => (a === true || b === true) ? true : ((a === null || b === null) ? null : false);
+  const truth = v => v === null || v === undefined ? null : !!v;
 
-  function fitClosedForm(rRows, lambda = 0) {
-    const X = rRows.map(r => [1, ...r.x]);
-    const y = rRows.map(r => [r.y]);
-    const Xt = transpose(X);
-    const XtX = matMul(Xt, X);
-    if (lambda && lambda > 0) {
-      for (let i=1;i<XtX.length;i++) XtX[i][i] += lambda;
+  function parseOr() {
+    let left = parseAnd();
+    while (isWord('or')) { pos++; const l = left, r = parseAnd(); left = row => or3(truth(l(row)), truth(r(row))); }
+    return left;
+  }
+  function parseAnd() {
+    let left = parseNot();
+    while (isWord('and')) { pos++; const l = left, r = parseNot(); left = row => and3(truth(l(row)), truth(r(row))); }
+    return left;
+  }
+  function parseNot() {
+    if (isWord('not')) { pos++; const inner = parseNot(); return row => { const v = truth(inner(row)); return v === null ? null : !v; }; }
+    return parseComparison();
+  }
+  function parseComparison() {
+    const left = parseAdditive();
+    let negate = false;
+    if (isWord('not') && tokens[pos + 1] && ['in', 'like', 'between'].includes(tokens[pos + 1].lower)) { pos++; negate = true; }
+    const neg = fn => negate ? (row => { const v = fn(row); return v === null ? null : !v; }) : fn;
+    const t = peek();
+    if (t && t.type === 'op' && ['=', '==', '!=', '<>', '<', '<=', '>', '>='].includes(t.value)) {
+      pos++;
+      const right = parseAdditive();
+      const test = { '=': c => c === 0, '==': c => c === 0, '!=': c => c !== 0, '<>': c => c !== 0,
+        '<': c => c < 0, '<=': c => c <= 0, '>': c => c > 0, '>=': c => c >= 0 }[t.value];
+      return row => { const c = compareQueryValues(left(row), right(row)); return c === null ? null : test(c); };
     }
-    const XtXinv = matInverse(XtX);
-    const XtY = matMul(Xt, y);
-    const beta = matMul(XtXinv, XtY).map(r => r[0]);
-    return beta;
+    if (isWord('in')) {
+      pos++;
+      expectOp('(');
+      const items = [parseAdditive()];
+      while (isOp(',')) { pos++; items.push(parseAdditive()); }
+      expectOp(')');
+      return neg(row => {
+        const v = left(row);
+        if (isMissing(v)) return null;
+        return items.some(item => compareQueryValues(v, item(row)) === 0);
+      });
+    }
+    if (isWord('like')) {
+      pos++;
+      const pattern = parseAdditive();
+      return neg(row => {
+        const v = left(row), p = pattern(row);
+        if (isMissing(v) || isMissing(p)) return null;
+        const re = new RegExp('^' + String(p).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$', 'i');
+        return re.test(String(v));
+      });
+    }
+    if (isWord('between')) {
+      pos++;
+      const lo = parseAdditive();
+      expectWord('and');
+      const hi = parseAdditive();
+      return neg(row => {
+        const v = left(row), a = compareQueryValues(v, lo(row)), b = compareQueryValues(v, hi(row));
+        return a === null || b === null ? null : (a >= 0 && b <= 0);
+      });
+    }
+    if (isWord('is')) {
+      pos++;
+      const not = isWord('not') ? (pos++, true) : false;
+      expectWord('null');
+      return row => isMissing(left(row)) !== not;
+    }
+    return left;
+  }
+  function arithmetic(op, l, r) {
+    return row => {
+      const a = queryNumber(l(row)), b = queryNumber(r(row));
+      if (Number.isNaN(a) || Number.isNaN(b)) return '';
+      const v = op === '+' ? a + b : op === '-' ? a - b : op === '*' ? a * b : op === '/' ? a / b : a % b;
+      return Number.isFinite(v) ? v : '';
+    };
+  }
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOp('+') || isOp('-')) { const op = tokens[pos++].value; left = arithmetic(op, left, parseMultiplicative()); }
+    return left;
+  }
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) { const op = tokens[pos++].value; left = arithmetic(op, left, parseUnary()); }
+    return left;
+  }
+  function parseUnary() {
+    if (isOp('-')) { pos++; const inner = parseUnary(); return arithmetic('-', () => 0, inner); }
+    return parsePrimary();
+  }
+  function parsePrimary() {
+    const t = peek();
+    if (!t) throw new Error('Unexpected end of query');
+    if (isOp('(')) { pos++; const e = parseOr(); expectOp(')'); return e; }
+    pos++;
+    if (t.type === 'num' || t.type === 'str') { const v = t.value; return () => v; }
+    if (t.type === 'ident') { const c = column(t.value); return row => row[c]; }
+    if (t.type === 'word') {
+      if (t.lower === 'true' || t.lower === 'false') { const v = t.lower === 'true'; return () => v; }
+      if (t.lower === 'null') return () => '';
+      if (QUERY_CLAUSES.includes(t.lower) || ['and', 'or', 'not', 'in', 'like', 'is', 'between'].includes(t.lower)) {
+        throw new Error(`Unexpected keyword ${t.value.toUpperCase()}`);
+      }
+      if (isOp('(')) {
+        const f = QUERY_FUNCTIONS[t.lower];
+        if (!f) throw new Error(`Unknown function '${t.value}'`);
+        pos++;
+        const args = [];
+        if (!isOp(')')) { args.push(parseOr()); while (isOp(',')) { pos++; args.push(parseOr()); } }
+        expectOp(')');
+        return row => f(...args.map(a => a(row)));
+      }
+      const c = column(t.value);
+      return row => row[c];
+    }
+    throw new Error(`Unexpected ${describe(t)}`);
   }
 
-  function metricsFromPreds(yTrue, yPred) {
-    const n = yTrue.length;
-    const ssRes = yTrue.reduce((s,v,i) => s + Math.pow(v - yPred[i], 2), 0);
-    const mean = yTrue.reduce((s,v) => s + v, 0) / n;
-    const ssTot = yTrue.reduce((s,v) => s + Math.pow(v - mean, 2), 0) || 1;
-    const r2 = 1 - ssRes / ssTot;
-    const rmse = Math.sqrt(ssRes / n);
-    return { r2, rmse };
+  if (mode === 'expression') {
+    if (!tokens.length) throw new Error('Empty expression');
+    const fn = parseOr();
+    if (peek()) throw new Error(`Unexpected ${describe(peek())}`);
+    return fn;
+  }
+  const query = { select: null, where: null, orderBy: [], limit: null };
+  if (isWord('select')) {
+    pos++;
+    if (isOp('*')) pos++;
+    else {
+      query.select = [];
+      do {
+        if (query.select.length) pos++;
+        const t = peek(), start = pos;
+        const fn = parseAdditive();
+        const name = pos === start + 1 && (t.type === 'ident' || t.type === 'word') ? column(t.value) : null;
+        if (isWord('as')) {
+          pos++;
+          const alias = peek();
+          if (!alias || (alias.type !== 'word' && alias.type !== 'ident' && alias.type !== 'str')) throw new Error(`Expected a column name after AS but found ${describe(alias)}`);
+          pos++;
+          query.select.push({ name: alias.value, fn, source: name });
+        } else if (name) query.select.push({ name, fn, source: name });
+        else throw new Error('Computed SELECT expressions need a name: add AS <name>');
+      } while (isOp(','));
+    }
+    // there is only one dataset to query, so FROM <name> is accepted and ignored
+    if (isWord('from')) { pos++; if (!peek()) throw new Error('Expected a dataset name after FROM'); pos++; }
+  }
+  const selected = pos > 0;
+  if (isWord('where')) { pos++; query.where = parseOr(); }
+  else if (!selected && peek() && !isWord('order') && !isWord('limit')) query.where = parseOr();
+  if (isWord('order')) {
+    pos++;
+    expectWord('by');
+    do {
+      if (query.orderBy.length) pos++;
+      const fn = parseAdditive();
+      let dir = 1;
+      if (isWord('asc')) pos++;
+      else if (isWord('desc')) { pos++; dir = -1; }
+      query.orderBy.push({ fn, dir });
+    } while (isOp(','));
   }
+  if (isWord('limit')) {
+    pos++;
+    const t = peek();
+    if (!t || t.type !== 'num' || !Number.isInteger(t.value) || t.value < 0) throw new Error('LIMIT expects a non-negative whole number');
+    pos++;
+    query.limit = t.value;
+  }
+  if (peek()) throw new Error(`Unexpected ${describe(peek())}`);
+  return query;
+}
 
-  const results = {};
-  if (options.cvFolds && options.cvFolds > 1) {
-    const k = options.cvFolds;
-    const foldSize = Math.floor(rows.length / k);
-    const allCoefs = [];
-    const allMetrics = [];
-    for (let i=0;i<k;i++) {
-      const testStart = i * foldSize;
-      const testEnd = (i+1) * foldSize;
-      const test = rows.slice(testStart, testEnd);
-      const train = rows.slice(0, testStart).concat(rows.slice(testEnd));
-      if (train.length === 0 || test.length === 0) continue;
-      const beta = fitClosedForm(train, options.regularization || 0);
-      const yPred = test.map(r => beta.reduce((s,b,idx) => s + b * (idx===0 ? 1 : r.x[idx-1]), 0));
-      const yTrue = test.map(r => r.y);
-      allCoefs.push(beta);
-      allMetrics.push(metricsFromPreds(yTrue, yPred));
+// Run a parsed query; `index` maps each result row back to its position in `rows`.
+function runQuery(query, rows) {
+  let index = [];
+  rows.forEach((r, i) => { if (!query.where || query.where(r) === true) index.push(i); });
+  if (query.orderBy.length) {
+    const keys = new Map(index.map(i => [i, query.orderBy.map(o => o.fn(rows[i]))]));
+    index.sort((a, b) => {
+      const ka = keys.get(a), kb = keys.get(b);
+      for (let j = 0; j < query.orderBy.length; j++) {
+        const ma = isMissing(ka[j]), mb = isMissing(kb[j]);
+        // missing values sort last in both directions
+        if (ma || mb) { if (ma !== mb) return ma ? 1 : -1; continue; }
+        const c = compareQueryValues(ka[j], kb[j]);
+        if (c) return query.orderBy[j].dir * c;
+      }
+      return a - b;
+    });
+  }
+  if (query.limit !== null) index = index.slice(0, query.limit);
+  const out = query.select
+    ? index.map(i => { const r = {}; for (const s of query.select) r[s.name] = s.fn(rows[i]); return r; })
+    : index.map(i => rows[i]);
+  return { rows: out, index };
+}
+
+let activeQuery = '';    // query text applied on top of the pipeline output ('' = none)
+let queryError = null;   // message from the last failed parse, shown under the query bar
+
+// -> { rows, index, error }. A query that no longer parses (e.g. its column went away) leaves
+// the rows as they are and reports the error.
+function evaluateQuery(rows, text) {
+  if (!text.trim() || rows.length === 0) return { rows, index: null, error: null };
+  try {
+    const result = runQuery(parseQuery(text, Object.keys(rows[0])), rows);
+    return { rows: result.rows, index: result.index, error: null };
+  } catch (err) {
+    return { rows, index: null, error: err.message };
+  }
+}
+
+// The baseData column shown as `col` in the grid: the column itself without a SELECT, the picked
+// column for plain (possibly aliased) selections, null for computed expressions.
+function queryColumnSource(col) {
+  const query = activeQuery.trim() && !queryError && baseData.length ? parseQuery(activeQuery, Object.keys(baseData[0])) : null;
+  if (!query || !query.select) return hasColumn(baseData, col) ? col : null;
+  const picked = query.select.find(s => s.name === col);
+  return picked ? picked.source : null;
+}
+
+// Derive workingData from baseData through the active query
+function applyActiveQuery() {
+  const view = evaluateQuery(baseData, activeQuery);
+  workingData = view.rows;
+  queryIndex = view.index;
+  queryError = view.error;
+}
+
+function setQuery(text) {
+  activeQuery = text || '';
+  applyActiveQuery();
+  postProcessState();
+}
+
+// ------------------
+// Workspace: named datasets, each with its own raw rows, pipeline, type overrides and query.
+// The active one lives in the usual globals (rawData, pipeline, ...); the others wait in
+// `datasets`. Joins and appends read each input's current view and add the result as a new dataset.
+// ------------------
+let datasets = {};          // name -> { rawData, pipeline, pipelineCursor, colTypeOverrides, query }
+let activeDataset = null;   // name of the dataset held in the globals (its `datasets` entry may be stale)
+let datasetRelations = [];  // lineage of derived datasets: { op: 'join'|'append', inputs, params, output }
+
+function stashActiveDataset() {
+  if (activeDataset === null) return;
+  datasets[activeDataset] = { rawData, pipeline, pipelineCursor, colTypeOverrides, query: activeQuery };
+}
+
+function restoreDataset(name) {
+  const d = datasets[name];
+  activeDataset = name;
+  rawData = d.rawData; pipeline = d.pipeline; pipelineCursor = d.pipelineCursor;
+  colTypeOverrides = d.colTypeOverrides || {}; activeQuery = d.query || '';
+  baseData = replayPipeline(rawData);
+  applyActiveQuery();
+}
+
+function switchDataset(name) {
+  if (name === activeDataset || !datasets[name]) return;
+  stashActiveDataset();
+  restoreDataset(name);
+  postProcessState();
+  renderWorkspace();
+}
+
+// Add `rows` as a new dataset and make it active. With `replay` the new dataset starts from a
+// copy of the active dataset's pipeline (the "apply pipeline to newly loaded data" option).
+function addDataset(name, rows, { replay = false } = {}) {
+  stashActiveDataset();
+  if (replay) { pipeline = pipeline.map(s => ({ ...s })); colTypeOverrides = { ...colTypeOverrides }; }
+  activeDataset = uniqueColumnName(Object.keys(datasets), name || 'dataset');
+  datasets[activeDataset] = null;
+  loadDataset(rows, { replay });
+  renderWorkspace();
+  return activeDataset;
+}
+
+function removeDataset(name) {
+  if (!(name in datasets)) return;
+  delete datasets[name];
+  if (name !== activeDataset) return renderWorkspace();
+  const next = Object.keys(datasets)[0];
+  if (next) restoreDataset(next);
+  else { activeDataset = null; rawData = []; pipeline = []; pipelineCursor = 0; colTypeOverrides = {}; activeQuery = ''; baseData = []; applyActiveQuery(); }
+  postProcessState();
+  renderWorkspace();
+}
+
+// Current rows of a dataset: its pipeline output seen through its query
+function datasetView(name) {
+  if (name === activeDataset) return workingData;
+  const d = datasets[name];
+  if (!d) throw new Error(`Unknown dataset '${name}'`);
+  return evaluateQuery(replayPipeline(d.rawData, d.pipelineCursor, d.pipeline), d.query || '').rows;
+}
+
+// The part of a saved project that describes the workspace; the active dataset itself is
+// saved in the top-level fields, so it is left out here.
+function workspaceSnapshot() {
+  const others = {};
+  for (const [name, d] of Object.entries(datasets)) if (name !== activeDataset) others[name] = d;
+  return { datasets: others, activeDataset, datasetRelations };
+}
+
+// Join `left` and `right` rows on pairs of key columns (how: inner|left|right|outer).
+// Keys compare as trimmed strings and missing keys never match. Key columns with the same name on
+// both sides merge into one; other clashing right-hand columns get a `_right` suffix.
+function joinRows(left, right, leftKeys, rightKeys, how = 'inner') {
+  if (!leftKeys.length || leftKeys.length !== rightKeys.length) throw new Error('Choose the same number of key columns on both sides');
+  const leftCols = left.length ? Object.keys(left[0]) : [], rightCols = right.length ? Object.keys(right[0]) : [];
+  leftKeys.forEach(k => { if (!leftCols.includes(k)) throw new Error(`Left dataset has no column '${k}'`); });
+  rightKeys.forEach(k => { if (!rightCols.includes(k)) throw new Error(`Right dataset has no column '${k}'`); });
+  const keyOf = (r, keys) => keys.some(k => isMissing(r[k])) ? null : JSON.stringify(keys.map(k => String(r[k]).trim()));
+  const merged = new Set(leftKeys.filter((k, i) => rightKeys[i] === k));
+  const outCols = leftCols.slice(), rightName = {}, renamed = [];
+  for (const c of rightCols) {
+    if (merged.has(c)) continue;
+    rightName[c] = leftCols.includes(c) ? uniqueColumnName(outCols, `${c}_right`) : c;
+    if (rightName[c] !== c) renamed.push(`${c} → ${rightName[c]}`);
+    outCols.push(rightName[c]);
+  }
+  const index = new Map();
+  right.forEach((r, j) => {
+    const key = keyOf(r, rightKeys);
+    if (key === null) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(j);
+  });
+  const leftCounts = new Map();
+  for (const l of left) { const key = keyOf(l, leftKeys); if (key !== null) leftCounts.set(key, (leftCounts.get(key) || 0) + 1); }
+
+  const combine = (l, r) => {
+    const o = {};
+    for (const c of leftCols) o[c] = l ? l[c] : '';
+    // merged keys come from whichever side is present
+    if (!l) leftKeys.forEach((k, i) => { if (merged.has(k)) o[k] = r[rightKeys[i]]; });
+    for (const c of rightCols) if (rightName[c]) o[rightName[c]] = r ? r[c] : '';
+    return o;
+  };
+  const rows = [], matchedRight = new Array(right.length).fill(false);
+  const unmatchedLeft = [], unmatchedRight = [];
+  let pairs = 0;
+  for (const l of left) {
+    const key = keyOf(l, leftKeys);
+    const matches = key === null ? [] : (index.get(key) || []);
+    if (!matches.length) {
+      unmatchedLeft.push(l);
+      if (how === 'left' || how === 'outer') rows.push(combine(l, null));
+      continue;
     }
-    // aggregate coefficients (mean) and metrics
-    const meanCoefs = allCoefs[0].map((_,i) => allCoefs.reduce((s,c) => s + c[i], 0) / allCoefs.length);
-    const meanR2 = allMetrics.reduce((s,m) => s + m.r2, 0) / allMetrics.length;
-    const meanRMSE = allMetrics.reduce((s,m) => s + m.rmse, 0) / allMetrics.length;
-    results.coefficients = meanCoefs.slice(1);
-    results.intercept = meanCoefs[0];
-    results.r2 = meanR2;
-    results.rmse = meanRMSE;
-    results.cv = true;
-    results.folds = allMetrics.length;
-    return results;
+    for (const j of matches) { matchedRight[j] = true; pairs++; rows.push(combine(l, right[j])); }
+  }
+  right.forEach((r, j) => {
+    if (matchedRight[j]) return;
+    unmatchedRight.push(r);
+    if (how === 'right' || how === 'outer') rows.push(combine(null, r));
+  });
+  const duplicates = counts => [...counts.values()].filter(n => n > 1).length;
+  const rightCounts = new Map([...index.entries()].map(([k, v]) => [k, v.length]));
+  const sampleKeys = (rs, keys) => unique(rs.map(r => keys.map(k => isMissing(r[k]) ? MISSING_KEY : String(r[k]).trim()).join(' / '))).slice(0, 5);
+  return {
+    rows,
+    report: {
+      how, leftRows: left.length, rightRows: right.length, resultRows: rows.length, matchedPairs: pairs,
+      unmatchedLeft: unmatchedLeft.length, unmatchedRight: unmatchedRight.length,
+      unmatchedLeftKeys: sampleKeys(unmatchedLeft, leftKeys), unmatchedRightKeys: sampleKeys(unmatchedRight, rightKeys),
+      duplicateLeftKeys: duplicates(leftCounts), duplicateRightKeys: duplicates(rightCounts),
+      manyToManyKeys: [...leftCounts.entries()].filter(([k, n]) => n > 1 && rightCounts.get(k) > 1).length, renamed
+    }
+  };
+}
+
+// Stack datasets vertically. Columns are aligned by name ignoring case and surrounding spaces
+// (the first spelling wins); columns a part lacks are left blank. parts: [{ name, rows }]
+function appendRows(parts, { sourceColumn = null } = {}) {
+  const norm = c => c.trim().toLowerCase();
+  const canonical = new Map(), cols = [], renamed = [], missing = [], typeConflicts = [];
+  const partCols = parts.map(p => Object.keys(p.rows[0] || {}));
+  parts.forEach((p, i) => {
+    for (const c of partCols[i]) {
+      if (!canonical.has(norm(c))) { canonical.set(norm(c), c); cols.push(c); }
+      else if (canonical.get(norm(c)) !== c) renamed.push(`${p.name}.${c} → ${canonical.get(norm(c))}`);
+    }
+  });
+  const partTypes = parts.map(p => inferColumnTypes(p.rows));
+  parts.forEach((p, i) => {
+    const have = new Set(partCols[i].map(c => canonical.get(norm(c))));
+    const lacking = cols.filter(c => !have.has(c));
+    if (lacking.length) missing.push(`${p.name} lacks ${lacking.join(', ')} (left blank)`);
+  });
+  for (const c of cols) {
+    const seen = parts.map((p, i) => {
+      const src = partCols[i].find(pc => norm(pc) === norm(c));
+      return src ? { name: p.name, type: partTypes[i][src] } : null;
+    }).filter(Boolean);
+    // identifiers can be numeric or not, so they never count as a conflict
+    const kinds = unique(seen.filter(s => s.type !== 'identifier').map(s => isNumericType(s.type) ? 'numeric' : s.type));
+    if (kinds.length > 1) typeConflicts.push(`${c}: ${seen.map(s => `${s.name}=${s.type}`).join(', ')}`);
+  }
+  const source = sourceColumn ? uniqueColumnName(cols, sourceColumn) : null;
+  const rows = [];
+  parts.forEach((p, i) => {
+    const mapping = partCols[i].map(c => [c, canonical.get(norm(c))]);
+    for (const r of p.rows) {
+      const o = {};
+      for (const c of cols) o[c] = '';
+      for (const [from, to] of mapping) o[to] = r[from];
+      if (source) o[source] = p.name;
+      rows.push(o);
+    }
+  });
+  return { rows, report: { parts: parts.map(p => `${p.name} (${p.rows.length})`), resultRows: rows.length, columns: cols.length, renamed, missing, typeConflicts } };
+}
+
+// ------------------
+// Feature engineering: transforms, polynomial terms, binning and date parts. The fit helpers
+// compute the parameters the matching pipeline ops replay.
+// ------------------
+const DATE_PARTS = {
+  year: d => d.getUTCFullYear(),
+  quarter: d => Math.floor(d.getUTCMonth() / 3) + 1,
+  month: d => d.getUTCMonth() + 1,
+  day: d => d.getUTCDate(),
+  weekday: d => d.getUTCDay(),
+  hour: d => d.getUTCHours()
+};
+
+function transformValue(params, x) {
+  const y = x + params.shift;
+  if (params.fn === 'log') return Math.log(y);
+  if (params.fn === 'sqrt') return Math.sqrt(y);
+  return params.lambda === 0 ? Math.log(y) : (Math.pow(y, params.lambda) - 1) / params.lambda;
+}
+
+// Box-Cox λ maximising the profile log-likelihood over a grid on [-2, 2]
+function boxCoxLambda(values) {
+  const n = values.length, sumLog = values.reduce((s, v) => s + Math.log(v), 0);
+  let best = 1, bestLL = -Infinity;
+  for (let i = -200; i <= 200; i++) {
+    const lambda = i / 100;
+    const t = values.map(v => lambda === 0 ? Math.log(v) : (Math.pow(v, lambda) - 1) / lambda);
+    const mean = t.reduce((a,b)=>a+b,0) / n;
+    const variance = t.reduce((s, v) => s + (v - mean) ** 2, 0) / n;
+    const ll = -n / 2 * Math.log(variance) + (lambda - 1) * sumLog;
+    if (Number.isFinite(ll) && ll > bestLL) { bestLL = ll; best = lambda; }
+  }
+  return best;
+}
+
+// log and Box-Cox need positive input and sqrt non-negative, so columns reaching below that are
+// shifted up first (to a minimum of 1 for log/Box-Cox, 0 for sqrt)
+function fitTransform(rows, col, fn, name) {
+  const nums = rows.map(r => isMissing(r[col]) ? NaN : toStrictNumber(r[col])).filter(n => !Number.isNaN(n));
+  if (!nums.length) throw new Error(`'${col}' has no numeric values`);
+  const min = nums.reduce((a, b) => Math.min(a, b), Infinity);
+  const shift = fn === 'sqrt' ? (min < 0 ? -min : 0) : (min <= 0 ? 1 - min : 0);
+  const params = { col, fn, shift, lambda: null, name };
+  if (fn === 'boxcox') params.lambda = boxCoxLambda(nums.map(v => v + shift));
+  return params;
+}
+
+// all products of `cols` up to `degree` (squares and cubes included unless interactionsOnly)
+function polynomialTerms(cols, degree = 2, interactionsOnly = false, existing = []) {
+  const terms = [], taken = existing.slice();
+  const extend = (start, picked) => {
+    if (picked.length >= 2) {
+      const counts = {};
+      picked.forEach(c => { counts[c] = (counts[c] || 0) + 1; });
+      const base = Object.entries(counts).map(([c, k]) => k === 1 ? c : `${c}_pow${k}`).join('_x_');
+      const name = uniqueColumnName(taken, base);
+      taken.push(name);
+      terms.push({ name, cols: picked.slice() });
+    }
+    if (picked.length === degree) return;
+    for (let i = start; i < cols.length; i++) extend(interactionsOnly ? i + 1 : i, picked.concat(cols[i]));
+  };
+  extend(0, []);
+  return terms;
+}
+
+// ascending cut points: evenly spaced between min and max, or at quantiles (ties merged)
+function binEdges(rows, col, method, bins) {
+  const nums = rows.map(r => isMissing(r[col]) ? NaN : toStrictNumber(r[col])).filter(n => !Number.isNaN(n)).sort((a,b)=>a-b);
+  if (!nums.length) throw new Error(`'${col}' has no numeric values`);
+  const min = nums[0], max = nums[nums.length - 1];
+  if (min === max) return [min, max];
+  const edges = [];
+  for (let i = 0; i <= bins; i++) {
+    edges.push(method === 'quantile' ? nums[Math.round(i / bins * (nums.length - 1))] : min + (max - min) * i / bins);
+  }
+  return unique(edges);
+}
+
+// ------------------
+// Imputation and missingness
+// ------------------
+const IMPUTE_METHODS = ['none', 'mean', 'median', 'mode', 'constant', 'ffill', 'bfill', 'knn'];
+let precomputedKnnFills = null; // { params, rows, fills } handed from the worker to the next impute apply
+
+// strategies: { column: { method, value? } } -> params for the 'impute' step. Mean, median,
+// mode and constant values are fixed here so a replay fills the same values.
+function fitImputation(rows, strategies, { indicators = false, k = 5 } = {}) {
+  const types = resolveColumnTypes(rows);
+  const cols = {};
+  for (const [c, s] of Object.entries(strategies)) {
+    if (!s || s.method === 'none') continue;
+    const numeric = isNumericType(types[c]);
+    const present = rows.map(r => r[c]).filter(v => !isMissing(v) && !(numeric && Number.isNaN(toNumberIfPossible(v))));
+    const nums = numeric ? present.map(v => toNumberIfPossible(v)) : [];
+    let value = null;
+    if ((s.method === 'mean' || s.method === 'median') && !numeric) throw new Error(`${s.method} imputation needs a numeric column ('${c}' is ${types[c]})`);
+    if (s.method === 'mean') value = nums.reduce((a,b)=>a+b,0) / (nums.length || 1);
+    else if (s.method === 'median') value = nums.length ? boxStats(nums).median : 0;
+    else if (s.method === 'mode') {
+      const freq = {};
+      for (const v of present) { const key = String(v).trim(); freq[key] = (freq[key] || 0) + 1; }
+      const best = Object.entries(freq).sort((a, b) => b[1] - a[1])[0];
+      value = best ? (numeric ? toNumberIfPossible(best[0]) : best[0]) : '';
+    } else if (s.method === 'constant') {
+      value = numeric && !Number.isNaN(toNumberIfPossible(s.value)) ? toNumberIfPossible(s.value) : String(s.value === undefined ? '' : s.value);
+    }
+    cols[c] = { method: s.method, value, numeric };
+  }
+  // kNN distances use the numeric columns, standardised at apply time
+  const knnFeatures = Object.keys(types).filter(c => isNumericType(types[c]));
+  return { columns: cols, indicators, k, knnFeatures };
+}
+
+// Fill the gaps of `col` from the k nearest rows that have it: mean of the neighbours for numeric
+// columns, most common value otherwise. Distance is the mean squared z-difference over the
+// features both rows have. -> sparse array of fills by row index
+function knnImputeColumn(rows, col, numeric, features, k) {
+  const fills = [];
+  if (!features.length) return fills;
+  const gap = v => isMissing(v) || (numeric && Number.isNaN(toNumberIfPossible(v)));
+  const X = rows.map(r => features.map(f => isMissing(r[f]) ? NaN : toNumberIfPossible(r[f])));
+  const scale = features.map((_, j) => {
+    const vals = X.map(x => x[j]).filter(v => !Number.isNaN(v));
+    const mean = vals.reduce((a,b)=>a+b,0) / (vals.length || 1);
+    const std = Math.sqrt(vals.reduce((s, v) => s + (v - mean) ** 2, 0) / (vals.length || 1)) || 1;
+    return { mean, std };
+  });
+  const Z = X.map(x => x.map((v, j) => (v - scale[j].mean) / scale[j].std));
+  const donors = rows.map((r, i) => i).filter(i => !gap(rows[i][col]));
+  rows.forEach((r, i) => {
+    if (!gap(r[col])) return;
+    const near = [];
+    for (const d of donors) {
+      let s = 0, m = 0;
+      for (let j = 0; j < features.length; j++) {
+        if (Number.isNaN(Z[i][j]) || Number.isNaN(Z[d][j])) continue;
+        s += (Z[i][j] - Z[d][j]) ** 2; m++;
+      }
+      if (m) near.push([s / m, d]);
+    }
+    if (!near.length) return;
+    near.sort((a, b) => a[0] - b[0]);
+    const picked = near.slice(0, k).map(([, d]) => rows[d][col]);
+    if (numeric) fills[i] = picked.reduce((s, v) => s + toNumberIfPossible(v), 0) / picked.length;
+    else {
+      const freq = {};
+      for (const v of picked) freq[v] = (freq[v] || 0) + 1;
+      fills[i] = Object.entries(freq).sort((a, b) => b[1] - a[1])[0][0];
+    }
+  });
+  return fills;
+}
+
+// kNN fills for every 'knn' column of an impute step -> { column: sparse fills by row index }.
+// Runs in the compute worker (rows default to the job's data).
+function knnImputeFills(params, rows = workingData) {
+  const fills = {};
+  for (const [c, s] of Object.entries(params.columns)) {
+    if (s.method !== 'knn' || !hasColumn(rows, c)) continue;
+    fills[c] = knnImputeColumn(rows, c, s.numeric, params.knnFeatures.filter(f => f !== c && hasColumn(rows, f)), params.k);
+  }
+  return fills;
+}
+
+// Missing-value counts per column and the correlation between the columns' missingness
+// indicators (1 = missing), for the columns that have some but not all values missing.
+function missingnessStats(rows, cols) {
+  const counts = {};
+  const mask = cols.map(c => rows.map(r => isMissing(r[c]) ? 1 : 0));
+  cols.forEach((c, j) => { counts[c] = mask[j].reduce((a,b)=>a+b,0); });
+  const partial = cols.filter(c => counts[c] > 0 && counts[c] < rows.length);
+  const m = partial.map(c => mask[cols.indexOf(c)]);
+  const corr = m.map(a => m.map(b => {
+    const n = a.length, ma = a.reduce((s,v)=>s+v,0) / n, mb = b.reduce((s,v)=>s+v,0) / n;
+    let cov = 0, va = 0, vb = 0;
+    for (let i = 0; i < n; i++) { cov += (a[i]-ma)*(b[i]-mb); va += (a[i]-ma)**2; vb += (b[i]-mb)**2; }
+    return cov / Math.sqrt(va * vb);
+  }));
+  return { counts, partial, corr, mask };
+}
+
+// ------------------
+// Outlier detection: IQR fences, z-score, modified z-score (median/MAD) and an isolation forest
+// over several columns. Detection is fitted once; the resulting bounds (or forest) are replayed
+// by the 'outliers' pipeline step to flag, winsorize or remove rows.
+// ------------------
+const OUTLIER_METHODS = {
+  iqr: { label: 'IQR fences', thresholdLabel: 'k', threshold: 1.5 },
+  zscore: { label: 'z-score', thresholdLabel: '|z| >', threshold: 3 },
+  modz: { label: 'Modified z-score', thresholdLabel: '|mz| >', threshold: 3.5 },
+  isolation: { label: 'Isolation forest', thresholdLabel: 'contamination %', threshold: 5 }
+};
+const OUTLIER_COLUMN = 'outlier';
+
+// quartiles as in summarizeColumn, whiskers at the furthest points inside the 1.5 IQR fences
+function boxStats(values) {
+  const nums = values.slice().sort((a,b)=>a-b);
+  const n = nums.length;
+  const q1 = nums[Math.floor((n-1)/4)], q3 = nums[Math.ceil((n-1)*3/4)];
+  const median = n % 2 ? nums[(n-1)/2] : (nums[n/2-1]+nums[n/2])/2;
+  const iqr = q3 - q1, lo = q1 - 1.5 * iqr, hi = q3 + 1.5 * iqr;
+  const inside = nums.filter(v => v >= lo && v <= hi);
+  return { q1, median, q3, iqr, lo, hi, whiskerLo: inside[0], whiskerHi: inside[inside.length - 1], outliers: nums.filter(v => v < lo || v > hi) };
+}
+
+// per-column { lo, hi } bounds beyond which a value counts as an outlier
+function univariateBounds(values, method, threshold) {
+  const nums = values.filter(v => !Number.isNaN(v));
+  if (nums.length < 3) return null;
+  if (method === 'zscore') {
+    const mean = nums.reduce((a,b)=>a+b,0) / nums.length;
+    const std = Math.sqrt(nums.reduce((s, v) => s + (v - mean) ** 2, 0) / (nums.length - 1));
+    return { lo: mean - threshold * std, hi: mean + threshold * std };
+  }
+  if (method === 'modz') {
+    const median = boxStats(nums).median;
+    const mad = boxStats(nums.map(v => Math.abs(v - median))).median;
+    // a zero MAD (over half the values identical) cannot separate anything
+    if (mad === 0) return null;
+    return { lo: median - threshold * mad / 0.6745, hi: median + threshold * mad / 0.6745 };
+  }
+  const st = boxStats(nums);
+  const k = method === 'iqr' ? threshold : 1.5;
+  return { lo: st.q1 - k * st.iqr, hi: st.q3 + k * st.iqr };
+}
+
+// expected path length of an unsuccessful search in a binary search tree of n points
+function averagePathLength(n) {
+  return n > 2 ? 2 * (Math.log(n - 1) + 0.5772156649) - 2 * (n - 1) / n : (n === 2 ? 1 : 0);
+}
+
+function buildIsolationTree(X, idx, depth, maxDepth) {
+  if (depth >= maxDepth || idx.length <= 1) return { n: idx.length };
+  const p = X[0].length;
+  // try features in random order until one still varies within this node
+  for (const f of shuffleIndices(p)) {
+    let lo = Infinity, hi = -Infinity;
+    for (const i of idx) { if (X[i][f] < lo) lo = X[i][f]; if (X[i][f] > hi) hi = X[i][f]; }
+    if (lo === hi) continue;
+    const s = lo + Math.random() * (hi - lo);
+    const left = idx.filter(i => X[i][f] < s), right = idx.filter(i => X[i][f] >= s);
+    return { f, s, l: buildIsolationTree(X, left, depth + 1, maxDepth), r: buildIsolationTree(X, right, depth + 1, maxDepth) };
+  }
+  return { n: idx.length };
+}
+
+function isolationPathLength(node, x) {
+  let depth = 0;
+  while (node.n === undefined) { node = x[node.f] < node.s ? node.l : node.r; depth++; }
+  return depth + averagePathLength(node.n);
+}
+
+// anomaly score 2^(-E[h(x)] / c(psi)) in (0, 1]; around 0.5 is ordinary, close to 1 is isolated early
+function isolationScores(forest, X) {
+  const c = averagePathLength(forest.sampleSize) || 1;
+  return X.map(x => Math.pow(2, -forest.trees.reduce((s, t) => s + isolationPathLength(t, x), 0) / forest.trees.length / c));
+}
+
+// Fit a forest on a complete numeric matrix and score its rows
+function isolationForest(X, nTrees = 50, sampleSize = 256) {
+  const psi = Math.min(sampleSize, X.length);
+  const maxDepth = Math.ceil(Math.log2(Math.max(psi, 2)));
+  const trees = [];
+  for (let t = 0; t < nTrees; t++) {
+    trees.push(buildIsolationTree(X, shuffleIndices(X.length).slice(0, psi), 0, maxDepth));
+    reportProgress((t + 1) / nTrees);
+  }
+  const forest = { trees, sampleSize: psi };
+  return { forest, scores: isolationScores(forest, X) };
+}
+
+// Numeric matrix for the chosen columns; missing or unparsable cells take `fill` (column medians)
+function outlierMatrix(rows, cols, fill) {
+  const types = resolveColumnTypes(rows);
+  return rows.map(r => cols.map((c, j) => {
+    const v = numericValue(r[c], types[c]);
+    return Number.isNaN(v) ? fill[j] : v;
+  }));
+}
+
+// Fit detection parameters on `rows`. Univariate methods flag a row when any chosen column leaves
+// its bounds; the forest flags the `threshold` % of rows that isolate fastest. Async because the
+// forest is grown in the compute worker.
+async function fitOutlierDetector(rows, cols, method, threshold) {
+  const types = resolveColumnTypes(rows);
+  const bounds = {};
+  for (const c of cols) {
+    const b = univariateBounds(rows.map(r => numericValue(r[c], types[c])), method, threshold);
+    if (b) bounds[c] = b;
+  }
+  if (method !== 'isolation') return { method, columns: cols, threshold, bounds };
+  const fill = cols.map(c => {
+    const nums = rows.map(r => numericValue(r[c], types[c])).filter(v => !Number.isNaN(v));
+    return nums.length ? boxStats(nums).median : 0;
+  });
+  const { forest, scores } = await runJob('isolationForest', [outlierMatrix(rows, cols, fill)], { label: 'Isolation forest', key: 'outliers', data: [] });
+  const sorted = scores.slice().sort((a,b)=>b-a);
+  const cut = sorted[Math.max(0, Math.ceil(sorted.length * threshold / 100) - 1)];
+  // the forest's winsorizing bounds are the usual IQR fences
+  return { method, columns: cols, threshold, bounds, fill, forest, cutoff: cut };
+}
+
+function outlierFlags(rows, params) {
+  if (params.method === 'isolation') {
+    if (!params.columns.every(c => hasColumn(rows, c))) return rows.map(() => false);
+    return isolationScores(params.forest, outlierMatrix(rows, params.columns, params.fill)).map(s => s >= params.cutoff);
+  }
+  const types = resolveColumnTypes(rows);
+  const checks = Object.entries(params.bounds).filter(([c]) => hasColumn(rows, c));
+  return rows.map(r => checks.some(([c, b]) => {
+    const v = numericValue(r[c], types[c]);
+    return !Number.isNaN(v) && (v < b.lo || v > b.hi);
+  }));
+}
+
+// ------------------
+// Hypothesis tests: distribution functions (Numerical Recipes style incomplete beta/gamma) and
+// Welch t, paired t, Mann-Whitney U, one-way ANOVA, chi-square independence and Shapiro-Wilk.
+// Every test returns { test, statistic, statName, df?, p, effect, effectName, effectLabel, ... }.
+// ------------------
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x, tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const cj of c) ser += cj / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// regularized lower incomplete gamma P(a, x)
+function gammaP(a, x) {
+  if (x <= 0) return 0;
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500; n++) { term *= x / (a + n); sum += term; if (Math.abs(term) < Math.abs(sum) * 1e-15) break; }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  // continued fraction for Q(a, x)
+  let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+// regularized incomplete beta I_x(a, b)
+function betaI(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  const cf = (x, a, b) => {
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 500; m++) {
+      const m2 = 2 * m;
+      let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d; if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = 1 + aa / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d; h *= d * c;
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d; if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = 1 + aa / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-15) break;
+    }
+    return h;
+  };
+  return x < (a + 1) / (a + b + 2) ? front * cf(x, a, b) / a : 1 - front * cf(1 - x, b, a) / b;
+}
+
+function normalCdf(z) { return z >= 0 ? 0.5 + 0.5 * gammaP(0.5, z * z / 2) : 0.5 - 0.5 * gammaP(0.5, z * z / 2); }
+
+// inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425;
+  if (p < lo) { const q = Math.sqrt(-2 * Math.log(p)); return (((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1); }
+  if (p > 1 - lo) { const q = Math.sqrt(-2 * Math.log(1 - p)); return -(((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1); }
+  const q = p - 0.5, r = q * q;
+  return (((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q / (((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1);
+}
+
+// two-sided p-value of Student's t with df degrees of freedom
+function tTwoSided(t, df) { return betaI(df / (df + t * t), df / 2, 0.5); }
+// upper tail of F(d1, d2) and chi-square(k)
+function fUpper(f, d1, d2) { return f <= 0 ? 1 : betaI(d2 / (d2 + d1 * f), d2 / 2, d1 / 2); }
+function chiSquareUpper(x, k) { return x <= 0 ? 1 : 1 - gammaP(k / 2, x / 2); }
+
+function meanVar(v) {
+  const mean = v.reduce((a,b)=>a+b,0) / v.length;
+  return { n: v.length, mean, variance: v.reduce((s, x) => s + (x - mean) ** 2, 0) / (v.length - 1) };
+}
+
+// magnitude words for the usual effect sizes (Cohen's conventions)
+function effectMagnitude(value, cuts) {
+  const a = Math.abs(value);
+  return a < cuts[0] ? 'negligible' : a < cuts[1] ? 'small' : a < cuts[2] ? 'medium' : 'large';
+}
+
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) throw new Error('Each group needs at least two values');
+  const A = meanVar(a), B = meanVar(b);
+  const se2 = A.variance / A.n + B.variance / B.n;
+  if (se2 === 0) throw new Error('Both groups are constant');
+  const t = (A.mean - B.mean) / Math.sqrt(se2);
+  const df = se2 * se2 / ((A.variance / A.n) ** 2 / (A.n - 1) + (B.variance / B.n) ** 2 / (B.n - 1));
+  const pooled = Math.sqrt(((A.n - 1) * A.variance + (B.n - 1) * B.variance) / (A.n + B.n - 2));
+  const effect = pooled ? (A.mean - B.mean) / pooled : 0;
+  return { test: "Welch's t-test", statName: 't', statistic: t, df, p: tTwoSided(t, df), effect, effectName: "Cohen's d",
+    effectLabel: effectMagnitude(effect, [0.2, 0.5, 0.8]), means: [A.mean, B.mean], n: [A.n, B.n] };
+}
+
+function pairedTTest(pairs) {
+  if (pairs.length < 2) throw new Error('Needs at least two complete pairs');
+  const D = meanVar(pairs.map(([x, y]) => x - y));
+  if (D.variance === 0) throw new Error('The paired differences are all identical');
+  const t = D.mean / Math.sqrt(D.variance / D.n), df = D.n - 1;
+  const effect = D.mean / Math.sqrt(D.variance);
+  return { test: 'Paired t-test', statName: 't', statistic: t, df, p: tTwoSided(t, df), effect, effectName: "Cohen's dz",
+    effectLabel: effectMagnitude(effect, [0.2, 0.5, 0.8]), meanDifference: D.mean, n: [D.n] };
+}
+
+// average ranks (1-based) with ties sharing their mean rank; also returns the tie correction term
+function rankWithTies(values) {
+  const order = values.map((v, i) => [v, i]).sort((x, y) => x[0] - y[0]);
+  const ranks = new Array(values.length);
+  let tieTerm = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const r = (i + j) / 2 + 1, t = j - i + 1;
+    for (let k = i; k <= j; k++) ranks[order[k][1]] = r;
+    tieTerm += t ** 3 - t;
+    i = j + 1;
+  }
+  return { ranks, tieTerm };
+}
+
+// normal approximation with tie and continuity corrections
+function mannWhitneyU(a, b) {
+  if (!a.length || !b.length) throw new Error('Each group needs at least one value');
+  const n1 = a.length, n2 = b.length, N = n1 + n2;
+  const { ranks, tieTerm } = rankWithTies(a.concat(b));
+  const r1 = ranks.slice(0, n1).reduce((s, r) => s + r, 0);
+  const u1 = r1 - n1 * (n1 + 1) / 2, u = Math.min(u1, n1 * n2 - u1);
+  const sigma = Math.sqrt(n1 * n2 / 12 * ((N + 1) - tieTerm / (N * (N - 1))));
+  const z = sigma ? (Math.abs(u1 - n1 * n2 / 2) - 0.5) / sigma : 0;
+  const effect = 2 * u1 / (n1 * n2) - 1; // rank-biserial: > 0 when the first group tends to be larger
+  return { test: 'Mann-Whitney U', statName: 'U', statistic: u, z, p: Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0)))),
+    effect, effectName: 'rank-biserial r', effectLabel: effectMagnitude(effect, [0.1, 0.3, 0.5]),
+    medians: [boxStats(a).median, boxStats(b).median], n: [n1, n2] };
+}
+
+function oneWayAnova(groups) {
+  const gs = groups.filter(g => g.values.length);
+  if (gs.length < 2) throw new Error('Needs at least two groups with values');
+  const all = gs.flatMap(g => g.values), N = all.length, k = gs.length;
+  if (N <= k) throw new Error('Needs more values than groups');
+  const grand = all.reduce((a,b)=>a+b,0) / N;
+  let ssb = 0, ssw = 0;
+  for (const g of gs) {
+    const m = g.values.reduce((a,b)=>a+b,0) / g.values.length;
+    ssb += g.values.length * (m - grand) ** 2;
+    ssw += g.values.reduce((s, v) => s + (v - m) ** 2, 0);
+  }
+  const df1 = k - 1, df2 = N - k;
+  if (ssw === 0) throw new Error('No variation within groups');
+  const F = (ssb / df1) / (ssw / df2), effect = ssb / (ssb + ssw);
+  return { test: 'One-way ANOVA', statName: 'F', statistic: F, df: [df1, df2], p: fUpper(F, df1, df2), effect, effectName: 'η²',
+    effectLabel: effectMagnitude(effect, [0.01, 0.06, 0.14]), means: gs.map(g => [g.name, g.values.reduce((a,b)=>a+b,0) / g.values.length]), n: gs.map(g => g.values.length) };
+}
+
+// pairs: [[rowLevel, colLevel]] of two categorical columns
+function chiSquareIndependence(pairs) {
+  const rowsL = unique(pairs.map(p => p[0])), colsL = unique(pairs.map(p => p[1]));
+  if (rowsL.length < 2 || colsL.length < 2) throw new Error('Both columns need at least two levels');
+  const table = rowsL.map(() => colsL.map(() => 0));
+  for (const [r, c] of pairs) table[rowsL.indexOf(r)][colsL.indexOf(c)]++;
+  const N = pairs.length;
+  const rowSums = table.map(r => r.reduce((a,b)=>a+b,0)), colSums = colsL.map((_, j) => table.reduce((s, r) => s + r[j], 0));
+  let chi2 = 0, small = 0;
+  table.forEach((r, i) => r.forEach((o, j) => {
+    const e = rowSums[i] * colSums[j] / N;
+    if (e < 5) small++;
+    chi2 += (o - e) ** 2 / e;
+  }));
+  const df = (rowsL.length - 1) * (colsL.length - 1);
+  const effect = Math.sqrt(chi2 / (N * (Math.min(rowsL.length, colsL.length) - 1)));
+  return { test: 'Chi-square test of independence', statName: 'χ²', statistic: chi2, df, p: chiSquareUpper(chi2, df), effect, effectName: "Cramér's V",
+    effectLabel: effectMagnitude(effect, [0.1, 0.3, 0.5]), lowExpected: small, cells: rowsL.length * colsL.length, n: [N] };
+}
+
+// Royston's (1992/1995) approximation of W and its p-value, valid for 3 <= n <= 5000
+function shapiroWilk(values) {
+  const x = values.slice().sort((a,b)=>a-b), n = x.length;
+  if (n < 3) throw new Error('Needs at least three values');
+  if (n > 5000) throw new Error('Shapiro-Wilk is defined for at most 5000 values; filter or sample first');
+  if (x[0] === x[n - 1]) throw new Error('All values are identical');
+  const m = x.map((_, i) => normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+  const mm = m.reduce((s, v) => s + v * v, 0);
+  const a = new Array(n).fill(0);
+  if (n === 3) { a[0] = -Math.SQRT1_2; a[2] = Math.SQRT1_2; }
+  else {
+    const u = 1 / Math.sqrt(n);
+    const poly = (cs, u) => cs.reduce((s, c) => s * u + c, 0);
+    const an = poly([-2.706056, 4.434685, -2.071190, -0.147981, 0.221157, 0], u) + m[n - 1] / Math.sqrt(mm);
+    let phi, edge;
+    if (n > 5) {
+      const an1 = poly([-3.582633, 5.682633, -1.752461, -0.293762, 0.042981, 0], u) + m[n - 2] / Math.sqrt(mm);
+      phi = (mm - 2 * m[n - 1] ** 2 - 2 * m[n - 2] ** 2) / (1 - 2 * an ** 2 - 2 * an1 ** 2);
+      a[n - 1] = an; a[0] = -an; a[n - 2] = an1; a[1] = -an1; edge = 2;
+    } else {
+      phi = (mm - 2 * m[n - 1] ** 2) / (1 - 2 * an ** 2);
+      a[n - 1] = an; a[0] = -an; edge = 1;
+    }
+    for (let i = edge; i < n - edge; i++) a[i] = m[i] / Math.sqrt(phi);
+  }
+  const mean = x.reduce((s, v) => s + v, 0) / n;
+  const ss = x.reduce((s, v) => s + (v - mean) ** 2, 0);
+  const W = Math.min(1, x.reduce((s, v, i) => s + a[i] * v, 0) ** 2 / ss);
+  let p;
+  if (n === 3) p = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(W)) - Math.asin(Math.sqrt(0.75))));
+  else if (n <= 11) {
+    const gamma = 0.459 * n - 2.273;
+    const w = -Math.log(gamma - Math.log(1 - W));
+    const mu = 0.5440 - 0.39978 * n + 0.025054 * n ** 2 - 0.0006714 * n ** 3;
+    const sigma = Math.exp(1.3822 - 0.77857 * n + 0.062767 * n ** 2 - 0.0020322 * n ** 3);
+    p = 1 - normalCdf((w - mu) / sigma);
   } else {
-    const split = splitRows(rows, options.testFraction || 0.2);
-    const beta = fitClosedForm(split.train, options.regularization || 0);
-    const predict = (beta, xRow) => beta.reduce((s,b,i) => s + b * (i===0 ? 1 : xRow[i-1]), 0);
-    const yPredTrain = split.train.map(r => predict(beta, r.x));
-    const yTrain = split.train.map(r => r.y);
-    const yPredTest = split.test.map(r => predict(beta, r.x));
-    const yTest = split.test.map(r => r.y);
-    results.intercept = beta[0];
-    results.coefficients = beta.slice(1);
-    results.trainMetrics = metricsFromPreds(yTrain, yPredTrain);
-    results.testMetrics = metricsFromPreds(yTest, yPredTest);
-    results.nTrain = split.train.length;
-    results.nTest = split.test.length;
-    return results;
+    const L = Math.log(n);
+    const mu = -1.5861 - 0.31082 * L - 0.083751 * L ** 2 + 0.0038915 * L ** 3;
+    const sigma = Math.exp(-0.4803 - 0.082676 * L + 0.0030302 * L ** 2);
+    p = 1 - normalCdf((Math.log(1 - W) - mu) / sigma);
+  }
+  return { test: 'Shapiro-Wilk normality test', statName: 'W', statistic: W, p, effect: null, n: [n] };
+}
+
+// ------------------
+// Modeling
+//  - Linear regression closed form
+//  - Expanded linear regression with train/test, CV, Ridge
+//  - Lasso / ElasticNet (coordinate descent) with λ paths
+//  - Logistic regression (GD)
+//  - k-means
+// ------------------
+// Finds the first feature column of the design matrix X (column 0 is the intercept) that is
+// numerically a linear combination of the columns before it, via modified Gram-Schmidt.
+// Returns { feature, dependsOn, constant } or null when X has full column rank.
+function findCollinearColumn(X, featureCols, tol = 1e-9) {
+  const cols = transpose(X), ortho = [], kept = [];
+  const norm = v => Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+  for (let j = 0; j < cols.length; j++) {
+    const v = cols[j].slice();
+    for (const q of ortho) {
+      const d = q.reduce((s, x, i) => s + x * v[i], 0);
+      for (let i = 0; i < v.length; i++) v[i] -= d * q[i];
+    }
+    const size = norm(cols[j]), rest = norm(v);
+    if (size === 0 || rest <= tol * size) {
+      // least-squares weights on the kept columns tell us which features it is built from
+      const B = kept.map(i => cols[i]);
+      const w = B.length ? matMul(matInverse(matMul(B, transpose(B))), matMul(B, cols[j].map(x => [x]))).map(r => r[0]) : [];
+      const used = kept.filter((i, k) => Math.abs(w[k]) * norm(cols[i]) > 1e-6 * size);
+      const dependsOn = used.filter(i => i > 0).map(i => featureCols[i - 1]);
+      return { feature: featureCols[j - 1], dependsOn, constant: !dependsOn.length };
+    }
+    ortho.push(v.map(x => x / rest));
+    kept.push(j);
+  }
+  return null;
+}
+
+function collinearityError(found) {
+  if (found.constant) return new Error(`Feature '${found.feature}' is constant over the training rows, so it cannot be separated from the intercept; remove it`);
+  return new Error(`Feature '${found.feature}' is perfectly collinear with ${found.dependsOn.map(c => `'${c}'`).join(', ')} ` +
+    `(an exact linear combination of ${found.dependsOn.length > 1 ? 'them' : 'it'}); remove one of these features or use Ridge regularization`);
+}
+
+// critical value t such that P(|T| > t) = alpha for Student's t with df degrees of freedom
+function tCritical(alpha, df) {
+  let lo = 0, hi = 1;
+  while (tTwoSided(hi, df) > alpha) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTwoSided(mid, df) > alpha) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Variance inflation factor per feature: the diagonal of the inverse correlation matrix,
+// which equals 1 / (1 - R²) of regressing each feature on all the others.
+function varianceInflation(X) {
+  const k = X[0].length - 1;
+  if (k < 2) return Array(k).fill(1);
+  const cols = transpose(X).slice(1).map(c => {
+    const mean = c.reduce((a,b)=>a+b,0) / c.length;
+    const d = c.map(v => v - mean);
+    const sd = Math.sqrt(d.reduce((s, v) => s + v * v, 0));
+    return d.map(v => v / sd);
+  });
+  const R = cols.map(a => cols.map(b => a.reduce((s, v, i) => s + v * b[i], 0)));
+  try {
+    const inv = matInverse(R);
+    return inv.map((r, i) => r[i]);
+  } catch (e) {
+    return Array(k).fill(Infinity);
+  }
+}
+
+// per-row diagnostics are thinned to at most maxDiagnosticPoints so the worker message and charts stay small
+function linearRegressionClosedForm(featureCols, targetCol, maxDiagnosticPoints = 4000) {
+  const X = [], y = [];
+  for (const r of workingData) {
+    const row = [1]; let ok = true;
+    for (const c of featureCols) {
+      const v = toNumberIfPossible(r[c]);
+      if (Number.isNaN(v)) { ok = false; break; }
+      row.push(v);
+    }
+    const tv = toNumberIfPossible(r[targetCol]);
+    if (Number.isNaN(tv)) ok = false;
+    if (ok) { X.push(row); y.push([tv]); }
+  }
+  if (X.length === 0) throw new Error('No valid rows for training');
+  const n = X.length, p = featureCols.length + 1, dfRes = n - p;
+  if (dfRes < 1) throw new Error(`Only ${n} complete rows for ${p} coefficients (including the intercept); need at least ${p + 1}`);
+  const collinear = findCollinearColumn(X, featureCols);
+  if (collinear) throw collinearityError(collinear);
+  const Xt = transpose(X);
+  const XtX = matMul(Xt, X);
+  let XtXinv;
+  try {
+    XtXinv = matInverse(XtX);
+  } catch (e) {
+    throw new Error('Features are nearly collinear, so the coefficients cannot be estimated; remove redundant features or use Ridge regularization');
+  }
+  const XtY = matMul(Xt, y);
+  const betaMat = matMul(XtXinv, XtY);
+  const coeffs = betaMat.map(r => r[0]);
+  const model = { type: 'linear', intercept: coeffs[0], coefficients: coeffs.slice(1), featureCols, targetCol };
+
+  // metrics
+  const preds = X.map(row => coeffs.reduce((s,b,i) => s + b * row[i], 0));
+  const yFlat = y.map(r => r[0]);
+  const ssRes = preds.map((p,i)=>Math.pow(p - yFlat[i],2)).reduce((a,b)=>a+b,0);
+  const meanY = yFlat.reduce((a,b)=>a+b,0) / yFlat.length;
+  const ssTotRaw = yFlat.map(v=>Math.pow(v-meanY,2)).reduce((a,b)=>a+b,0);
+  const ssTot = ssTotRaw || 1;
+  const r2 = 1 - ssRes / ssTot;
+  const rmse = Math.sqrt(ssRes / yFlat.length);
+
+  // inference under the usual OLS assumptions (independent, homoscedastic, normal errors)
+  const sigma2 = ssRes / dfRes;
+  const tCrit = tCritical(0.05, dfRes);
+  const vif = varianceInflation(X);
+  const coefficientTable = coeffs.map((b, j) => {
+    const se = Math.sqrt(sigma2 * XtXinv[j][j]);
+    const t = b / se;
+    return {
+      term: j === 0 ? '(intercept)' : featureCols[j - 1], estimate: b, se, t, p: tTwoSided(Math.abs(t), dfRes),
+      ciLow: b - tCrit * se, ciHigh: b + tCrit * se, vif: j === 0 ? null : vif[j - 1]
+    };
+  });
+  const k = p - 1;
+  const fStat = ((ssTotRaw - ssRes) / k) / sigma2;
+  const logLik = -n / 2 * (Math.log(2 * Math.PI * ssRes / n) + 1);
+
+  // per-row diagnostics: leverage is the hat-matrix diagonal, Cook's distance combines it with the residual
+  const step = Math.max(1, Math.ceil(n / maxDiagnosticPoints));
+  const diagnostics = { fitted: [], residuals: [], studentized: [], leverage: [], cooks: [], total: n };
+  for (let i = 0; i < n; i += step) {
+    const xi = X[i];
+    let h = 0;
+    for (let a = 0; a < p; a++) for (let b = 0; b < p; b++) h += xi[a] * XtXinv[a][b] * xi[b];
+    const e = yFlat[i] - preds[i];
+    const s = Math.sqrt(sigma2 * Math.max(1 - h, 1e-12));
+    diagnostics.fitted.push(preds[i]);
+    diagnostics.residuals.push(e);
+    diagnostics.studentized.push(s > 0 ? e / s : 0);
+    diagnostics.leverage.push(h);
+    diagnostics.cooks.push(sigma2 > 0 ? e * e / (p * sigma2) * h / Math.pow(Math.max(1 - h, 1e-12), 2) : 0);
+  }
+
+  return {
+    ...model, r2, rmse, n, adjR2: 1 - (1 - r2) * (n - 1) / dfRes, sigma: Math.sqrt(sigma2), dfResidual: dfRes,
+    fStat, fP: fUpper(fStat, k, dfRes), aic: -2 * logLik + 2 * p, bic: -2 * logLik + p * Math.log(n),
+    coefficientTable, diagnostics
+  };
+}
+
+// Expanded linear regression: CV, Ridge, train/test
+function fitLinearRegressionExpanded(featureCols, targetCol, options = { regularization: 0, cvFolds: 0, testFraction: 0.2 }) {
+  // gather valid rows
+  const rows = [];
+  for (const r of workingData) {
+    const x = [];
+    let ok = true;
+    for (const c of featureCols) {
+      const v = toNumberIfPossible(r[c]);
+      if (Number.isNaN(v)) { ok = false; break; }
+      x.push(v);
+    }
+    const yv = toNumberIfPossible(r[targetCol]);
+    if (Number.isNaN(yv)) ok = false;
+    if (ok) rows.push({ x, y: yv });
+  }
+  if (rows.length === 0) throw new Error('No valid rows for regression training');
+  if (!(options.regularization > 0)) {
+    const collinear = findCollinearColumn(rows.map(r => [1, ...r.x]), featureCols);
+    if (collinear) throw collinearityError(collinear);
+  }
+
+  function splitRows(rows, testFrac) {
+    const shuffled = rows.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const cut = Math.floor(shuffled.length * (1 - testFrac));
+    return { train: shuffled.slice(0, cut), test: shuffled.slice(cut) };
+  }
+
+  function fitClosedForm(rRows, lambda = 0) {
+    const X = rRows.map(r => [1, ...r.x]);
+    const y = rRows.map(r => [r.y]);
+    const Xt = transpose(X);
+    const XtX = matMul(Xt, X);
+    if (lambda && lambda > 0) {
+      for (let i=1;i<XtX.length;i++) XtX[i][i] += lambda;
+    }
+    let XtXinv;
+    try {
+      XtXinv = matInverse(XtX);
+    } catch (e) {
+      // full data passed the collinearity check, so a small split lost rank
+      throw new Error(`Features are collinear within a ${rRows.length}-row training split; use more rows, fewer features or Ridge regularization`);
+    }
+    const XtY = matMul(Xt, y);
+    const beta = matMul(XtXinv, XtY).map(r => r[0]);
+    return beta;
+  }
+
+  function metricsFromPreds(yTrue, yPred) {
+    const n = yTrue.length;
+    const ssRes = yTrue.reduce((s,v,i) => s + Math.pow(v - yPred[i], 2), 0);
+    const mean = yTrue.reduce((s,v) => s + v, 0) / n;
+    const ssTot = yTrue.reduce((s,v) => s + Math.pow(v - mean, 2), 0) || 1;
+    const r2 = 1 - ssRes / ssTot;
+    const rmse = Math.sqrt(ssRes / n);
+    return { r2, rmse };
+  }
+
+  const results = { type: 'linear_expanded', featureCols, targetCol };
+  if (options.cvFolds && options.cvFolds > 1) {
+    const k = Math.min(options.cvFolds, rows.length);
+    const folds = kFoldIndices(rows.length, k);
+    const allCoefs = [];
+    const allMetrics = [];
+    for (let i=0;i<k;i++) {
+      reportProgress(i / k);
+      const test = folds[i].map(j => rows[j]);
+      const train = folds.filter((_, f) => f !== i).flat().map(j => rows[j]);
+      if (train.length === 0 || test.length === 0) continue;
+      const beta = fitClosedForm(train, options.regularization || 0);
+      const yPred = test.map(r => beta.reduce((s,b,idx) => s + b * (idx===0 ? 1 : r.x[idx-1]), 0));
+      const yTrue = test.map(r => r.y);
+      allCoefs.push(beta);
+      allMetrics.push(metricsFromPreds(yTrue, yPred));
+    }
+    // aggregate coefficients (mean) and metrics
+    const meanCoefs = allCoefs[0].map((_,i) => allCoefs.reduce((s,c) => s + c[i], 0) / allCoefs.length);
+    const meanR2 = allMetrics.reduce((s,m) => s + m.r2, 0) / allMetrics.length;
+    const meanRMSE = allMetrics.reduce((s,m) => s + m.rmse, 0) / allMetrics.length;
+    results.coefficients = meanCoefs.slice(1);
+    results.intercept = meanCoefs[0];
+    results.r2 = meanR2;
+    results.rmse = meanRMSE;
+    results.cv = true;
+    results.folds = allMetrics.length;
+    return results;
+  } else {
+    const split = splitRows(rows, options.testFraction || 0.2);
+    const beta = fitClosedForm(split.train, options.regularization || 0);
+    const predict = (beta, xRow) => beta.reduce((s,b,i) => s + b * (i===0 ? 1 : xRow[i-1]), 0);
+    const yPredTrain = split.train.map(r => predict(beta, r.x));
+    const yTrain = split.train.map(r => r.y);
+    const yPredTest = split.test.map(r => predict(beta, r.x));
+    const yTest = split.test.map(r => r.y);
+    results.intercept = beta[0];
+    results.coefficients = beta.slice(1);
+    results.trainMetrics = metricsFromPreds(yTrain, yPredTrain);
+    results.testMetrics = metricsFromPreds(yTest, yPredTest);
+    results.nTrain = split.train.length;
+    results.nTest = split.test.length;
+    return results;
+  }
+}
+
+// Lasso / ElasticNet by cyclic coordinate descent on standardized features, minimizing
+//   1/(2n)·||y - Xb||² + λ·(α·||b||₁ + (1 - α)/2·||b||²)
+// (α = 1 is the lasso). No matrix inverse is needed, so it also works with more features than rows.
+// Returns coefficients on the original feature scale; `warm` (standardized coefficients) seeds the
+// descent when walking down a λ path.
+function elasticNetFit(X, y, idx, lambda, alpha, warm = null, maxSweeps = 1000, tol = 1e-7) {
+  const n = idx.length, p = X[0].length;
+  const means = Array(p).fill(0), sds = Array(p).fill(0);
+  for (const i of idx) for (let j = 0; j < p; j++) means[j] += X[i][j] / n;
+  for (const i of idx) for (let j = 0; j < p; j++) sds[j] += Math.pow(X[i][j] - means[j], 2) / n;
+  for (let j = 0; j < p; j++) sds[j] = Math.sqrt(sds[j]);
+  const yMean = idx.reduce((s, i) => s + y[i], 0) / n;
+  const Z = idx.map(i => X[i].map((v, j) => sds[j] > 0 ? (v - means[j]) / sds[j] : 0));
+  const b = warm ? warm.slice() : Array(p).fill(0);
+  const r = idx.map((i, row) => y[i] - yMean - Z[row].reduce((s, z, j) => s + z * b[j], 0));
+  const l1 = lambda * alpha, shrink = 1 + lambda * (1 - alpha);
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let maxDelta = 0;
+    for (let j = 0; j < p; j++) {
+      if (sds[j] === 0) continue;
+      let rho = 0;
+      for (let row = 0; row < n; row++) rho += Z[row][j] * r[row];
+      rho = rho / n + b[j];
+      const next = (rho > l1 ? rho - l1 : rho < -l1 ? rho + l1 : 0) / shrink;
+      const delta = next - b[j];
+      if (delta !== 0) {
+        for (let row = 0; row < n; row++) r[row] -= Z[row][j] * delta;
+        b[j] = next;
+        maxDelta = Math.max(maxDelta, Math.abs(delta));
+      }
+    }
+    if (maxDelta < tol) break;
+  }
+  const coefficients = b.map((v, j) => sds[j] > 0 ? v / sds[j] : 0);
+  return { intercept: yMean - coefficients.reduce((s, c, j) => s + c * means[j], 0), coefficients, standardized: b };
+}
+
+// Log-spaced λ grid from the smallest λ that zeroes every coefficient down to λmax·ratio.
+function elasticNetLambdas(X, y, alpha, count = 50) {
+  const n = X.length, p = X[0].length;
+  const yMean = y.reduce((a,b)=>a+b,0) / n;
+  let lambdaMax = 0;
+  for (let j = 0; j < p; j++) {
+    const col = X.map(r => r[j]);
+    const mean = col.reduce((a,b)=>a+b,0) / n;
+    const sd = Math.sqrt(col.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / n);
+    if (sd === 0) continue;
+    const dot = col.reduce((s, v, i) => s + (v - mean) / sd * (y[i] - yMean), 0) / n;
+    lambdaMax = Math.max(lambdaMax, Math.abs(dot) / Math.max(alpha, 1e-3));
+  }
+  if (lambdaMax === 0) lambdaMax = 1;
+  const ratio = n > p ? 1e-4 : 1e-2;
+  return Array.from({length: count}, (_, i) => lambdaMax * Math.pow(ratio, i / (count - 1)));
+}
+
+// options: { alpha, lambda (null = choose by CV), cvFolds, nLambdas }
+// Returns { model, path: { lambdas, coefficients }, cv: { mean, std, best, oneSE } | null }; model.zeroed
+// lists the features the penalty removed.
+function fitElasticNet(featureCols, targetCol, options = {}) {
+  const alpha = Math.min(1, Math.max(0, options.alpha !== undefined ? options.alpha : 1));
+  const X = [], y = [];
+  for (const r of workingData) {
+    const x = featureCols.map(c => toNumberIfPossible(r[c]));
+    const tv = toNumberIfPossible(r[targetCol]);
+    if (x.every(v => !Number.isNaN(v)) && !Number.isNaN(tv)) { X.push(x); y.push(tv); }
+  }
+  if (X.length < 2) throw new Error('Not enough valid rows for regression training');
+  const all = X.map((_, i) => i);
+  const lambdas = elasticNetLambdas(X, y, alpha, options.nLambdas || 50);
+  const autoLambda = options.lambda === null || options.lambda === undefined;
+  const k = Math.min(options.cvFolds || 5, X.length);
+  const work = (autoLambda ? k : 0) + 1;
+
+  // full-data path, warm-started from the largest λ down
+  const path = [];
+  let warm = null;
+  lambdas.forEach((lambda, li) => {
+    reportProgress(li / lambdas.length / work);
+    const fit = elasticNetFit(X, y, all, lambda, alpha, warm);
+    warm = fit.standardized;
+    path.push(fit.coefficients);
+  });
+
+  let cv = null, lambda = options.lambda;
+  if (autoLambda) {
+    const folds = kFoldIndices(X.length, k);
+    const errors = lambdas.map(() => []);
+    folds.forEach((test, f) => {
+      const train = folds.filter((_, g) => g !== f).flat();
+      let start = null;
+      lambdas.forEach((lam, li) => {
+        reportProgress((1 + f + li / lambdas.length) / work);
+        const fit = elasticNetFit(X, y, train, lam, alpha, start);
+        start = fit.standardized;
+        const sse = test.reduce((s, i) => s + Math.pow(y[i] - fit.intercept - fit.coefficients.reduce((a, c, j) => a + c * X[i][j], 0), 2), 0);
+        errors[li].push(Math.sqrt(sse / test.length));
+      });
+    });
+    const mean = errors.map(e => e.reduce((a,b)=>a+b,0) / e.length);
+    const std = errors.map((e, li) => Math.sqrt(e.reduce((s, v) => s + Math.pow(v - mean[li], 2), 0) / e.length));
+    const best = mean.indexOf(Math.min(...mean));
+    // one-standard-error rule: the largest λ whose CV error is within one SE of the minimum
+    const limit = mean[best] + std[best] / Math.sqrt(k);
+    const oneSE = mean.findIndex(m => m <= limit);
+    cv = { folds: k, mean, std, best, oneSE };
+    lambda = lambdas[best];
+  }
+
+  const fit = elasticNetFit(X, y, all, lambda, alpha);
+  const preds = X.map(x => fit.intercept + fit.coefficients.reduce((s, c, j) => s + c * x[j], 0));
+  const model = {
+    type: 'linear_expanded', featureCols, targetCol, penalty: alpha === 1 ? 'lasso' : 'elasticnet', alpha, lambda,
+    intercept: fit.intercept, coefficients: fit.coefficients,
+    zeroed: featureCols.filter((_, j) => fit.coefficients[j] === 0),
+    trainMetrics: regressionMetrics(y, preds), nTrain: X.length
+  };
+  if (cv) { model.cv = true; model.folds = k; model.rmse = cv.mean[cv.best]; }
+  return { model, path: { lambdas, coefficients: path }, cv };
+}
+
+// Logistic regression using gradient descent: sigmoid for two classes, softmax (multinomial) for more.
+function sigmoid(z) { return 1 / (1 + Math.exp(-z)); }
+function softmax(z) {
+  const m = Math.max(...z);
+  const e = z.map(v => Math.exp(v - m));
+  const s = e.reduce((a,b)=>a+b,0);
+  return e.map(v => v / s);
+}
+
+// Split indices into train/test keeping each class's share (y holds class indices).
+function stratifiedSplit(y, testFrac) {
+  const byClass = {};
+  y.forEach((c, i) => { (byClass[c] = byClass[c] || []).push(i); });
+  const train = [], test = [];
+  for (const idx of Object.values(byClass)) {
+    const order = shuffleIndices(idx.length).map(k => idx[k]);
+    const nTest = Math.floor(idx.length * testFrac);
+    test.push(...order.slice(0, nTest));
+    train.push(...order.slice(nTest));
+  }
+  return { train, test };
+}
+
+// Shuffled k-fold CV: k arrays of row indices that together cover every row once, sizes differing
+// by at most one. With `labels` (class per row) each class is dealt across the folds in turn,
+// so every fold keeps roughly the overall class shares.
+function kFoldIndices(n, k, labels = null) {
+  const folds = Array.from({length: k}, () => []);
+  let groups = [Array.from({length: n}, (_, i) => i)];
+  if (labels) {
+    const byClass = {};
+    labels.forEach((c, i) => { (byClass[c] = byClass[c] || []).push(i); });
+    groups = Object.values(byClass);
+  }
+  let next = 0;
+  for (const g of groups) {
+    for (const j of shuffleIndices(g.length)) { folds[next].push(g[j]); next = (next + 1) % k; }
+  }
+  return folds;
+}
+
+// ROC curve for one class against the rest. scores: P(positive); positives: booleans.
+// Returns { points: [{x: fpr, y: tpr, threshold}], auc } (auc is null without both classes).
+function rocCurve(scores, positives) {
+  const P = positives.filter(Boolean).length, N = positives.length - P;
+  if (P === 0 || N === 0) return { points: [], auc: null };
+  const order = scores.map((s, i) => i).sort((a, b) => scores[b] - scores[a]);
+  const points = [{ x: 0, y: 0, threshold: Infinity }];
+  let tp = 0, fp = 0, auc = 0;
+  for (let k = 0; k < order.length; k++) {
+    if (positives[order[k]]) tp++; else fp++;
+    // tied scores move together, giving a diagonal segment
+    if (k < order.length - 1 && scores[order[k + 1]] === scores[order[k]]) continue;
+    const prev = points[points.length - 1];
+    const pt = { x: fp / N, y: tp / P, threshold: scores[order[k]] };
+    auc += (pt.x - prev.x) * (pt.y + prev.y) / 2;
+    points.push(pt);
+  }
+  return { points, auc };
+}
+
+// Confusion matrix (rows = actual, cols = predicted), per-class precision/recall/F1 and ROC.
+// Binary models predict class 1 when P(class 1) >= threshold; multiclass models take the argmax.
+function evaluateClassifier(yTrue, probs, nClasses, threshold = 0.5) {
+  const yPred = probs.map(p => nClasses === 2 ? (p[1] >= threshold ? 1 : 0) : p.indexOf(Math.max(...p)));
+  const confusion = Array.from({length: nClasses}, () => Array(nClasses).fill(0));
+  yTrue.forEach((t, i) => confusion[t][yPred[i]]++);
+  const perClass = confusion.map((row, c) => {
+    const tp = row[c];
+    const predicted = confusion.reduce((s, r) => s + r[c], 0);
+    const support = row.reduce((a, b) => a + b, 0);
+    const precision = predicted ? tp / predicted : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+    return { precision, recall, f1, support };
+  });
+  const correct = confusion.reduce((s, r, c) => s + r[c], 0);
+  const rocClasses = nClasses === 2 ? [1] : Array.from({length: nClasses}, (_, c) => c);
+  const roc = rocClasses.map(c => ({ cls: c, ...rocCurve(probs.map(p => p[c]), yTrue.map(t => t === c)) }));
+  const aucs = roc.map(r => r.auc).filter(a => a !== null);
+  return {
+    accuracy: correct / (yTrue.length || 1),
+    confusion, perClass,
+    macroF1: perClass.reduce((s, m) => s + m.f1, 0) / nClasses,
+    roc,
+    auc: aucs.length ? aucs.reduce((a, b) => a + b, 0) / aucs.length : null
+  };
+}
+
+// Class probabilities for a design row x (leading 1 for the intercept).
+function logisticProbabilities(model, x) {
+  if (model.type === 'softmax') return softmax(model.thetas.map(t => t.reduce((s, v, j) => s + v * x[j], 0)));
+  const p = sigmoid(model.theta.reduce((s, v, j) => s + v * x[j], 0));
+  return [1 - p, p];
+}
+
+// Design rows (leading 1) and class indices for rows with numeric features and a present target.
+function logisticMatrix(featureCols, targetCol) {
+  const X = [];
+  const labels = [];
+  for (const r of workingData) {
+    const row = [1]; let ok = true;
+    for (const c of featureCols) {
+      const v = toNumberIfPossible(r[c]);
+      if (Number.isNaN(v)) { ok = false; break; }
+      row.push(v);
+    }
+    if (!ok) continue;
+    const tv = r[targetCol];
+    if (isMissing(tv)) continue;
+    X.push(row); labels.push(String(tv).trim());
+  }
+  if (X.length === 0) throw new Error('No valid rows for logistic training');
+  const classes = unique(labels).sort();
+  if (classes.length < 2) throw new Error('Target needs at least two distinct values');
+  return { X, y: labels.map(v => classes.indexOf(v)), classes };
+}
+
+// Batch gradient descent on rows `train` of X; sets theta (binary) or thetas (multinomial) on model.
+function fitLogisticWeights(model, X, y, train, opts, onProgress = reportProgress) {
+  const K = model.classes.length;
+  const n = X[0].length;
+  const m = train.length;
+  const lambda = opts.lambda || 0;
+  if (K === 2) {
+    const theta = Array(n).fill(0);
+    for (let epoch = 0; epoch < opts.epochs; epoch++) {
+      onProgress(epoch / opts.epochs);
+      const grads = Array(n).fill(0);
+      for (const i of train) {
+        const xi = X[i];
+        const h = sigmoid(xi.reduce((s,v,j) => s + v * theta[j], 0));
+        const err = h - y[i];
+        for (let j=0;j<n;j++) grads[j] += err * xi[j];
+      }
+      for (let j=0;j<n;j++) theta[j] -= (opts.lr / m) * (grads[j] + lambda * theta[j]);
+    }
+    model.theta = theta;
+    model.threshold = 0.5;
+  } else {
+    const thetas = Array.from({length: K}, () => Array(n).fill(0));
+    for (let epoch = 0; epoch < opts.epochs; epoch++) {
+      onProgress(epoch / opts.epochs);
+      const grads = Array.from({length: K}, () => Array(n).fill(0));
+      for (const i of train) {
+        const xi = X[i];
+        const p = softmax(thetas.map(t => t.reduce((s,v,j) => s + v * xi[j], 0)));
+        for (let k=0;k<K;k++) {
+          const err = p[k] - (y[i] === k ? 1 : 0);
+          for (let j=0;j<n;j++) grads[k][j] += err * xi[j];
+        }
+      }
+      for (let k=0;k<K;k++) for (let j=0;j<n;j++) thetas[k][j] -= (opts.lr / m) * (grads[k][j] + lambda * thetas[k][j]);
+    }
+    model.thetas = thetas;
+  }
+  return model;
+}
+
+// Trains on a stratified split and evaluates on the held-out rows (on the training rows when the
+// test split is empty, e.g. tiny datasets). The model carries the test-set probabilities so the
+// evaluation panel can redraw confusion matrix and ROC for any threshold without retraining.
+function trainLogisticRegression(featureCols, targetCol, opts = { lr: 0.1, epochs: 1000, lambda: 0, testFraction: 0.2 }) {
+  const { X, y, classes } = logisticMatrix(featureCols, targetCol);
+  const K = classes.length;
+  const { train, test } = stratifiedSplit(y, opts.testFraction !== undefined ? opts.testFraction : 0.2);
+  const m = train.length;
+  const model = fitLogisticWeights({ type: K === 2 ? 'logistic' : 'softmax', featureCols, targetCol, classes }, X, y, train, opts);
+
+  const argmax = p => p.indexOf(Math.max(...p));
+  model.trainAccuracy = train.filter(i => argmax(logisticProbabilities(model, X[i])) === y[i]).length / m;
+  const evalIdx = test.length ? test : train;
+  const testScores = { yTrue: evalIdx.map(i => y[i]), probs: evalIdx.map(i => logisticProbabilities(model, X[i])) };
+  const evaluation = evaluateClassifier(testScores.yTrue, testScores.probs, K, 0.5);
+  model.accuracy = evaluation.accuracy;
+  model.nTrain = m;
+  model.nTest = test.length;
+  model.evaluatedOn = test.length ? 'test' : 'train';
+  model.testScores = testScores;
+  return model;
+}
+
+// k-means
+// - k-means++ seeding (each new centroid drawn with probability proportional to squared distance)
+// - `restarts` independent runs; the one with the lowest inertia (within-cluster SSE) wins
+function kMeansPlusPlusInit(X, k) {
+  const centroids = [X[Math.floor(Math.random() * X.length)].slice()];
+  const d2 = X.map(x => Math.pow(euclidean(x, centroids[0]), 2));
+  while (centroids.length < k) {
+    const total = d2.reduce((a,b)=>a+b,0);
+    let idx = Math.floor(Math.random() * X.length);
+    if (total > 0) {
+      let r = Math.random() * total;
+      for (idx = 0; idx < X.length - 1; idx++) { r -= d2[idx]; if (r < 0) break; }
+    }
+    centroids.push(X[idx].slice());
+    for (let i=0;i<X.length;i++) d2[i] = Math.min(d2[i], Math.pow(euclidean(X[i], centroids[centroids.length-1]), 2));
+  }
+  return centroids;
+}
+
+// Best of `restarts` Lloyd runs on matrix X. onProgress receives the fraction of runs done.
+function kMeansFit(X, k, maxIter = 100, restarts = 10, onProgress = () => {}) {
+  let best = null;
+  for (let run = 0; run < restarts; run++) {
+    const centroids = kMeansPlusPlusInit(X, k);
+    let changed = true, iter = 0;
+    const assignments = new Array(X.length).fill(-1);
+    while (changed && iter < maxIter) {
+      iter++; changed = false;
+      for (let i=0;i<X.length;i++) {
+        let bestC = -1, bestd = Infinity;
+        for (let c=0;c<k;c++) {
+          const d = euclidean(X[i], centroids[c]);
+          if (d < bestd) { bestd = d; bestC = c; }
+        }
+        if (assignments[i] !== bestC) { changed = true; assignments[i] = bestC; }
+      }
+      for (let c=0;c<k;c++) {
+        const members = X.filter((_,i) => assignments[i] === c);
+        if (members.length > 0) {
+          const mean = members[0].map(()=>0);
+          for (const m of members) for (let j=0;j<m.length;j++) mean[j] += m[j];
+          for (let j=0;j<mean.length;j++) mean[j] /= members.length;
+          centroids[c] = mean;
+        }
+      }
+    }
+    const inertia = X.reduce((s, x, i) => s + Math.pow(euclidean(x, centroids[assignments[i]]), 2), 0);
+    if (!best || inertia < best.inertia) best = { centroids, assignments, inertia, iterations: iter };
+    onProgress((run + 1) / restarts);
+  }
+  return best;
+}
+
+// Mean silhouette coefficient. Uses a random sample of at most `maxSample` points to stay O(sample²).
+function silhouetteScore(X, assignments, k, maxSample = 1000) {
+  if (k < 2) return null;
+  const sample = shuffleIndices(X.length).slice(0, maxSample);
+  let total = 0;
+  for (const i of sample) {
+    const sums = Array(k).fill(0), counts = Array(k).fill(0);
+    for (const j of sample) {
+      if (j === i) continue;
+      sums[assignments[j]] += euclidean(X[i], X[j]);
+      counts[assignments[j]]++;
+    }
+    const own = assignments[i];
+    if (counts[own] === 0) continue; // singleton cluster: silhouette 0
+    const a = sums[own] / counts[own];
+    let b = Infinity;
+    for (let c=0;c<k;c++) if (c !== own && counts[c] > 0) b = Math.min(b, sums[c] / counts[c]);
+    if (b === Infinity) continue;
+    total += (b - a) / (Math.max(a, b) || 1);
+  }
+  return total / (sample.length || 1);
+}
+
+function kMeansMatrix(featureCols) {
+  const X = [], rowIndex = [];
+  workingData.forEach((r, i) => {
+    const x = featureCols.map(c => toNumberIfPossible(r[c]));
+    if (x.every(v => !Number.isNaN(v))) { X.push(x); rowIndex.push(i); }
+  });
+  if (X.length === 0) throw new Error('No valid numeric rows for k-means');
+  return { X, rowIndex };
+}
+
+// Rows with a missing or non-numeric feature are skipped; `assignments` is aligned with
+// workingData (null for skipped rows) so clusters can be written back to the right rows.
+function kMeans(k = 3, featureCols = [], maxIter = 100, restarts = 10) {
+  const { X, rowIndex } = kMeansMatrix(featureCols);
+  if (!(k >= 1 && k <= X.length)) throw new Error(`k must be between 1 and ${X.length}`);
+  const best = kMeansFit(X, k, maxIter, restarts, reportProgress);
+  const assignments = new Array(workingData.length).fill(null);
+  rowIndex.forEach((r, i) => { assignments[r] = best.assignments[i]; });
+  const sizes = Array(k).fill(0);
+  for (const a of best.assignments) sizes[a]++;
+  return {
+    type: 'kmeans', featureCols, k, centroids: best.centroids, assignments, sizes,
+    inertia: best.inertia, silhouette: silhouetteScore(X, best.assignments, k), iterations: best.iterations,
+    skippedRows: workingData.length - X.length
+  };
+}
+
+// Inertia (for the elbow) and silhouette for each k in [kMin, kMax].
+function kMeansSweep(featureCols, kMin = 2, kMax = 8, restarts = 5, maxIter = 100) {
+  const { X } = kMeansMatrix(featureCols);
+  const hi = Math.min(kMax, X.length);
+  const results = [];
+  for (let k = Math.max(1, kMin); k <= hi; k++) {
+    const span = hi - kMin + 1, done = k - kMin;
+    const best = kMeansFit(X, k, maxIter, restarts, f => reportProgress((done + f) / span));
+    results.push({ k, inertia: best.inertia, silhouette: silhouetteScore(X, best.assignments, k) });
+  }
+  return results;
+}
+
+function euclidean(a,b) { let s=0; for (let i=0;i<a.length;i++) s += Math.pow(a[i] - b[i], 2); return Math.sqrt(s); }
+
+// ------------------
+// Hyperparameter search
+// - Every configuration is scored with the same shuffled k-fold split (stratified by class for
+//   logistic regression), so scores are comparable across configurations.
+// - Ridge is scored by RMSE, logistic regression by accuracy and k-means by the silhouette of the
+//   held-out rows assigned to their nearest training centroid.
+// - The best configuration is refit on all rows and returned ready to register as a model.
+// ------------------
+function ridgeCoefficients(X, y, idx, lambda) {
+  const Xs = idx.map(i => X[i]);
+  const Xt = transpose(Xs);
+  const XtX = matMul(Xt, Xs);
+  for (let i=1;i<XtX.length;i++) XtX[i][i] += lambda;
+  let XtXinv;
+  try {
+    XtXinv = matInverse(XtX);
+  } catch (e) {
+    throw new Error('Features are collinear on the training folds; use λ > 0');
+  }
+  return matMul(XtXinv, matMul(Xt, idx.map(i => [y[i]]))).map(r => r[0]);
+}
+
+// configs: [{ param: value }]; returns { metric, higherIsBetter, folds, results: [{ params, train, score, std } | { params, error }], best, model }
+function hyperparameterSearch(kind, featureCols, targetCol, configs, nFolds = 5, restarts = 3) {
+  const argmax = p => p.indexOf(Math.max(...p));
+  let n, labels = null, metric, higherIsBetter, scoreFold, refit;
+  if (kind === 'ridge') {
+    const X = [], y = [];
+    for (const r of workingData) {
+      const row = [1, ...featureCols.map(c => toNumberIfPossible(r[c]))];
+      const tv = toNumberIfPossible(r[targetCol]);
+      if (row.every(v => !Number.isNaN(v)) && !Number.isNaN(tv)) { X.push(row); y.push(tv); }
+    }
+    if (X.length === 0) throw new Error('No valid rows for regression training');
+    const predict = (beta, i) => beta.reduce((s, b, j) => s + b * X[i][j], 0);
+    const rmse = (beta, idx) => Math.sqrt(idx.reduce((s, i) => s + Math.pow(y[i] - predict(beta, i), 2), 0) / idx.length);
+    n = X.length; metric = 'RMSE'; higherIsBetter = false;
+    scoreFold = (params, train, test) => {
+      const beta = ridgeCoefficients(X, y, train, params.lambda);
+      return { train: rmse(beta, train), validation: rmse(beta, test) };
+    };
+    refit = params => {
+      const all = X.map((_, i) => i);
+      const beta = ridgeCoefficients(X, y, all, params.lambda);
+      return {
+        type: 'linear_expanded', featureCols, targetCol, intercept: beta[0], coefficients: beta.slice(1),
+        regularization: params.lambda, trainMetrics: regressionMetrics(y, all.map(i => predict(beta, i))), nTrain: n
+      };
+    };
+  } else if (kind === 'logistic') {
+    const { X, y, classes } = logisticMatrix(featureCols, targetCol);
+    const accuracy = (model, idx) => idx.filter(i => argmax(logisticProbabilities(model, X[i])) === y[i]).length / idx.length;
+    n = X.length; labels = y; metric = 'accuracy'; higherIsBetter = true;
+    scoreFold = (params, train, test, onProgress) => {
+      const model = fitLogisticWeights({ type: classes.length === 2 ? 'logistic' : 'softmax', classes }, X, y, train, params, onProgress);
+      return { train: accuracy(model, train), validation: accuracy(model, test) };
+    };
+    refit = params => trainLogisticRegression(featureCols, targetCol, { ...params, testFraction: 0 });
+  } else if (kind === 'kmeans') {
+    const { X } = kMeansMatrix(featureCols);
+    const nearest = (centroids, x) => argmax(centroids.map(c => -euclidean(x, c)));
+    n = X.length; metric = 'silhouette'; higherIsBetter = true;
+    scoreFold = (params, train, test) => {
+      if (params.k < 2 || params.k > Math.min(train.length, test.length)) throw new Error(`k = ${params.k} needs at least k rows in every fold (and k ≥ 2)`);
+      const Xtrain = train.map(i => X[i]), Xtest = test.map(i => X[i]);
+      const fit = kMeansFit(Xtrain, params.k, 100, restarts);
+      return {
+        train: silhouetteScore(Xtrain, fit.assignments, params.k),
+        validation: silhouetteScore(Xtest, Xtest.map(x => nearest(fit.centroids, x)), params.k)
+      };
+    };
+    refit = params => kMeans(params.k, featureCols, 100, restarts);
+  } else {
+    throw new Error(`Unknown search model '${kind}'`);
+  }
+
+  const k = Math.min(nFolds, n);
+  if (k < 2) throw new Error('Cross-validation needs at least 2 folds and 2 rows');
+  const folds = kFoldIndices(n, k, labels);
+  const total = configs.length * k;
+  const results = configs.map((params, c) => {
+    const perFold = [];
+    try {
+      for (let f = 0; f < k; f++) {
+        const done = c * k + f;
+        reportProgress(done / total);
+        const train = folds.filter((_, g) => g !== f).flat();
+        perFold.push(scoreFold(params, train, folds[f], frac => reportProgress((done + frac) / total)));
+      }
+    } catch (err) {
+      return { params, error: err.message };
+    }
+    const mean = key => perFold.reduce((s, m) => s + m[key], 0) / k;
+    const score = mean('validation');
+    return { params, train: mean('train'), score, std: Math.sqrt(perFold.reduce((s, m) => s + Math.pow(m.validation - score, 2), 0) / k) };
+  });
+  const scored = results.filter(r => !r.error && Number.isFinite(r.score));
+  if (!scored.length) throw new Error('Every configuration failed' + (results[0] && results[0].error ? ': ' + results[0].error : ''));
+  const best = scored.reduce((a, b) => (higherIsBetter ? b.score > a.score : b.score < a.score) ? b : a);
+  const model = refit(best.params);
+  model.search = { metric, folds: k, params: best.params, score: best.score, std: best.std, configurations: configs.length };
+  return { metric, higherIsBetter, folds: k, results, best: results.indexOf(best), model };
+}
+
+// ------------------
+// Decision trees & random forests (CART)
+// - Numeric features split on `x <= threshold`; categorical features split on `x === level`
+//   (one level against the rest), so categoricals are used directly without one-hot encoding.
+// - Missing numeric values are NaN, compare false and follow the right branch, both while growing and predicting.
+// - Classification uses Gini impurity, regression the sum of squared errors.
+// - Trees are plain nested objects so they serialize into `models` as-is.
+// ------------------
+function shuffleIndices(n) {
+  const idx = Array.from({length: n}, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx;
+}
+
+function regressionMetrics(yTrue, yPred) {
+  const n = yTrue.length;
+  const ssRes = yTrue.reduce((s,v,i) => s + Math.pow(v - yPred[i], 2), 0);
+  const mean = yTrue.reduce((s,v) => s + v, 0) / n;
+  const ssTot = yTrue.reduce((s,v) => s + Math.pow(v - mean, 2), 0) || 1;
+  return { r2: 1 - ssRes / ssTot, rmse: Math.sqrt(ssRes / n) };
+}
+
+// Grow one tree on rows `idx` of X/y. For classification y holds class indices 0..nClasses-1.
+// opts: { maxDepth, minSamplesLeaf, maxFeatures, importances } — importances (array, length p)
+// accumulates the impurity decrease credited to each feature.
+function growTree(X, y, idx, featureTypes, task, nClasses, opts) {
+  const p = featureTypes.length;
+  const maxDepth = opts.maxDepth || 6;
+  const minLeaf = Math.max(1, opts.minSamplesLeaf || 1);
+  const maxFeatures = Math.min(p, opts.maxFeatures || p);
+  const reg = task === 'regression';
+
+  const emptyStats = () => reg ? { n: 0, sum: 0, sumSq: 0 } : { n: 0, counts: Array(nClasses).fill(0) };
+  function add(st, yi, sign = 1) {
+    st.n += sign;
+    if (reg) { st.sum += sign * yi; st.sumSq += sign * yi * yi; } else st.counts[yi] += sign;
+  }
+  function minus(a, b) {
+    return reg ? { n: a.n - b.n, sum: a.sum - b.sum, sumSq: a.sumSq - b.sumSq }
+               : { n: a.n - b.n, counts: a.counts.map((c, k) => c - b.counts[k]) };
+  }
+  // impurity weighted by node size, so a split's gain is parent - left - right
+  function impurity(st) {
+    if (st.n === 0) return 0;
+    if (reg) return Math.max(0, st.sumSq - st.sum * st.sum / st.n);
+    let g = 1;
+    for (const c of st.counts) g -= (c / st.n) * (c / st.n);
+    return g * st.n;
+  }
+  function leafValue(st) {
+    if (reg) return st.sum / (st.n || 1);
+    let best = 0;
+    for (let c = 1; c < nClasses; c++) if (st.counts[c] > st.counts[best]) best = c;
+    return best;
+  }
+
+  function bestSplit(rows, total) {
+    const parentImp = impurity(total);
+    let best = null;
+    let features = Array.from({length: p}, (_, j) => j);
+    if (maxFeatures < p) features = shuffleIndices(p).slice(0, maxFeatures);
+    for (const j of features) {
+      if (featureTypes[j] === 'numeric') {
+        const valid = rows.filter(i => !Number.isNaN(X[i][j])).sort((a, b) => X[a][j] - X[b][j]);
+        const left = emptyStats();
+        for (let k = 0; k < valid.length - 1; k++) {
+          add(left, y[valid[k]]);
+          const v = X[valid[k]][j], next = X[valid[k + 1]][j];
+          if (v === next) continue;
+          const right = minus(total, left);
+          if (left.n < minLeaf || right.n < minLeaf) continue;
+          const gain = parentImp - impurity(left) - impurity(right);
+          if (!best || gain > best.gain) best = { gain, feature: j, threshold: (v + next) / 2 };
+        }
+      } else {
+        const byLevel = new Map();
+        for (const i of rows) {
+          if (!byLevel.has(X[i][j])) byLevel.set(X[i][j], emptyStats());
+          add(byLevel.get(X[i][j]), y[i]);
+        }
+        if (byLevel.size < 2) continue;
+        for (const [level, left] of byLevel) {
+          const right = minus(total, left);
+          if (left.n < minLeaf || right.n < minLeaf) continue;
+          const gain = parentImp - impurity(left) - impurity(right);
+          if (!best || gain > best.gain) best = { gain, feature: j, level };
+        }
+      }
+    }
+    return best;
+  }
+
+  function grow(rows, depth) {
+    const total = emptyStats();
+    for (const i of rows) add(total, y[i]);
+    const node = { leaf: true, n: rows.length, value: leafValue(total) };
+    if (!reg) node.counts = total.counts.slice();
+    if (depth >= maxDepth || rows.length < 2 * minLeaf || impurity(total) <= 1e-12) return node;
+    const split = bestSplit(rows, total);
+    if (!split || split.gain <= 1e-12) return node;
+    const goesLeft = i => split.level !== undefined ? X[i][split.feature] === split.level : X[i][split.feature] <= split.threshold;
+    const leftRows = rows.filter(goesLeft), rightRows = rows.filter(i => !goesLeft(i));
+    if (opts.importances) opts.importances[split.feature] += split.gain;
+    delete node.leaf;
+    node.feature = split.feature;
+    if (split.level !== undefined) node.level = split.level; else node.threshold = split.threshold;
+    node.left = grow(leftRows, depth + 1);
+    node.right = grow(rightRows, depth + 1);
+    return node;
+  }
+  return grow(idx, 0);
+}
+
+function predictTree(node, x) {
+  while (!node.leaf) {
+    const v = x[node.feature];
+    const goLeft = node.level !== undefined ? v === node.level : v <= node.threshold;
+    node = goLeft ? node.left : node.right;
+  }
+  return node;
+}
+
+// Feature vector in the representation the tree was grown on (numbers or trimmed strings).
+function treeFeatureVector(featureCols, featureTypes, row) {
+  return featureCols.map((c, j) => featureTypes[j] === 'numeric'
+    ? toNumberIfPossible(row[c])
+    : (isMissing(row[c]) ? '' : String(row[c]).trim()));
+}
+
+// Predict with a decision_tree / random_forest model. Returns { value, probability? } where value
+// is the predicted number (regression) or class label (classification).
+function predictTreeModel(model, x) {
+  const trees = model.type === 'random_forest' ? model.trees : [model.tree];
+  if (model.task === 'regression') {
+    return { value: trees.reduce((s, t) => s + predictTree(t, x).value, 0) / trees.length };
+  }
+  const votes = Array(model.classes.length).fill(0);
+  for (const t of trees) votes[predictTree(t, x).value]++;
+  let best = 0;
+  for (let c = 1; c < votes.length; c++) if (votes[c] > votes[best]) best = c;
+  if (trees.length === 1) {
+    // a single tree's confidence is the class share in its leaf
+    const leaf = predictTree(trees[0], x);
+    return { value: model.classes[best], probability: leaf.counts[best] / (leaf.n || 1) };
+  }
+  return { value: model.classes[best], probability: votes[best] / trees.length };
+}
+
+// Train a CART tree (kind 'tree') or bagged random forest (kind 'forest') on workingData.
+// options: { kind, task: 'auto'|'classification'|'regression', featureTypes, targetType,
+//            maxDepth, minSamplesLeaf, nTrees, cvFolds, testFraction }
+// Reports train/test metrics, or mean CV metrics like fitLinearRegressionExpanded; with CV the
+// returned model is refit on all rows.
+function fitTreeModel(featureCols, targetCol, options = {}) {
+  const kind = options.kind === 'forest' ? 'forest' : 'tree';
+  const featureTypes = featureCols.map(c => (options.featureTypes || {})[c] === 'numeric' ? 'numeric' : 'categorical');
+  const rawX = [], rawY = [];
+  for (const r of workingData) {
+    if (isMissing(r[targetCol])) continue;
+    rawX.push(treeFeatureVector(featureCols, featureTypes, r));
+    rawY.push(String(r[targetCol]).trim());
+  }
+  let task = options.task;
+  if (!task || task === 'auto') {
+    task = options.targetType === 'numeric' && unique(rawY).length > 10 ? 'regression' : 'classification';
+  }
+  let X = rawX, y, classes = null;
+  if (task === 'regression') {
+    const nums = rawY.map(v => toNumberIfPossible(v));
+    X = rawX.filter((_, i) => !Number.isNaN(nums[i]));
+    y = nums.filter(v => !Number.isNaN(v));
+  } else {
+    classes = unique(rawY).sort();
+    y = rawY.map(v => classes.indexOf(v));
+  }
+  if (X.length < 2) throw new Error('Not enough valid rows for tree training');
+
+  const p = featureCols.length;
+  const nTrees = kind === 'forest' ? Math.max(1, options.nTrees || 50) : 1;
+  const maxFeatures = kind === 'forest' ? (task === 'classification' ? Math.round(Math.sqrt(p)) : Math.round(p / 3)) : p;
+  const nClasses = classes ? classes.length : 0;
+  const growOpts = { maxDepth: options.maxDepth || 6, minSamplesLeaf: options.minSamplesLeaf || 1, maxFeatures: Math.max(1, maxFeatures) };
+
+  // fits on rows `idx`; progress covers [from, to)
+  function fit(idx, from, to) {
+    const importances = Array(p).fill(0);
+    const trees = [];
+    for (let t = 0; t < nTrees; t++) {
+      reportProgress(from + (to - from) * t / nTrees);
+      const sample = kind === 'forest' ? idx.map(() => idx[Math.floor(Math.random() * idx.length)]) : idx;
+      trees.push(growTree(X, y, sample, featureTypes, task, nClasses, { ...growOpts, importances }));
+    }
+    const total = importances.reduce((a, b) => a + b, 0) || 1;
+    const m = { type: kind === 'forest' ? 'random_forest' : 'decision_tree', task, featureCols, featureTypes, targetCol, classes };
+    if (kind === 'forest') m.trees = trees; else m.tree = trees[0];
+    m.importances = importances.map(v => v / total);
+    return m;
+  }
+  function evaluate(m, idx) {
+    const preds = idx.map(i => predictTreeModel(m, X[i]).value);
+    if (task === 'regression') return regressionMetrics(idx.map(i => y[i]), preds);
+    const correct = idx.filter((i, k) => preds[k] === classes[y[i]]).length;
+    return { accuracy: correct / (idx.length || 1) };
+  }
+
+  const order = shuffleIndices(X.length);
+  if (options.cvFolds && options.cvFolds > 1) {
+    const k = Math.min(options.cvFolds, X.length);
+    const foldMetrics = [];
+    for (let f = 0; f < k; f++) {
+      const test = order.filter((_, i) => i % k === f);
+      const train = order.filter((_, i) => i % k !== f);
+      foldMetrics.push(evaluate(fit(train, f / (k + 1), (f + 1) / (k + 1)), test));
+    }
+    const model = fit(order, k / (k + 1), 1);
+    for (const key of Object.keys(foldMetrics[0])) model[key] = foldMetrics.reduce((s, m) => s + m[key], 0) / foldMetrics.length;
+    model.cv = true;
+    model.folds = foldMetrics.length;
+    return model;
+  }
+  const cut = Math.max(1, Math.floor(X.length * (1 - (options.testFraction || 0.2))));
+  const train = order.slice(0, cut), test = order.slice(cut);
+  const model = fit(train, 0, 1);
+  model.trainMetrics = evaluate(model, train);
+  if (test.length) model.testMetrics = evaluate(model, test);
+  model.nTrain = train.length;
+  model.nTest = test.length;
+  return model;
+}
+
+// Indented text rendering of a tree for modelPre.
+function formatTree(node, model, maxDepth = Infinity) {
+  const leafText = n => model.task === 'regression' ? (+n.value.toFixed(4)).toString() : String(model.classes[n.value]);
+  const testText = n => {
+    const name = model.featureCols[n.feature];
+    return n.level !== undefined ? `${name} = ${JSON.stringify(n.level)}` : `${name} <= ${+n.threshold.toFixed(4)}`;
+  };
+  const lines = [];
+  function walk(n, prefix, branch, depth) {
+    const head = n.leaf ? `→ ${leafText(n)}` : (depth >= maxDepth ? '…' : testText(n));
+    lines.push(`${prefix}${branch}${head}  [n=${n.n}]`);
+    if (n.leaf || depth >= maxDepth) return;
+    const childPrefix = prefix + (branch === '' ? '' : (branch.startsWith('└') ? '   ' : '│  '));
+    walk(n.left, childPrefix, '├─ yes: ', depth + 1);
+    walk(n.right, childPrefix, '└─ no:  ', depth + 1);
+  }
+  walk(node, '', '', 0);
+  return lines.join('\n');
+}
+
+// ------------------
+// Batch scoring
+// - Applies a trained (or imported) model to rows that were not used for training.
+// - Models saved before `type`/`featureCols` were recorded are recognised by shape where possible.
+// ------------------
+function modelKind(model) {
+  if (!model) return null;
+  if (model.type) return model.type;
+  if (Array.isArray(model.centroids)) return 'kmeans';
+  if (Array.isArray(model.theta)) return 'logistic';
+  if (Array.isArray(model.thetas)) return 'softmax';
+  if (Array.isArray(model.coefficients)) return 'linear_expanded';
+  if (model.tree) return 'decision_tree';
+  if (Array.isArray(model.trees)) return 'random_forest';
+  return null;
+}
+
+// Score one row. Returns null when a feature is missing or non-numeric.
+function predictRow(model, row) {
+  const kind = modelKind(model);
+  if (kind === 'decision_tree' || kind === 'random_forest') {
+    // trees route missing values themselves, so every row gets a prediction
+    const out = predictTreeModel(model, treeFeatureVector(model.featureCols, model.featureTypes, row));
+    return model.task === 'regression' ? { prediction: out.value } : { prediction: out.value, probability: out.probability };
+  }
+  const x = [];
+  for (const c of model.featureCols) {
+    const v = toNumberIfPossible(row[c]);
+    if (Number.isNaN(v)) return null;
+    x.push(v);
+  }
+  switch (kind) {
+    case 'linear':
+    case 'linear_expanded':
+      return { prediction: model.intercept + model.coefficients.reduce((s,b,i) => s + b * x[i], 0) };
+    case 'logistic': {
+      const p = logisticProbabilities({ ...model, type: 'logistic' }, [1, ...x])[1];
+      const positive = p >= (model.threshold !== undefined ? model.threshold : 0.5);
+      // models trained before class labels were recorded predict 0/1
+      const prediction = model.classes ? model.classes[positive ? 1 : 0] : (positive ? 1 : 0);
+      return { probability: p, prediction };
+    }
+    case 'softmax': {
+      const probs = logisticProbabilities(model, [1, ...x]);
+      const best = probs.indexOf(Math.max(...probs));
+      return { probability: probs[best], prediction: model.classes[best] };
+    }
+    case 'kmeans': {
+      let best = -1, bestd = Infinity;
+      model.centroids.forEach((c, i) => { const d = euclidean(x, c); if (d < bestd) { bestd = d; best = i; } });
+      return { cluster: best };
+    }
+    default:
+      throw new Error(`Unsupported model type '${model.type}'`);
+  }
+}
+
+// Avoid clobbering existing columns: prediction, prediction_2, ...
+function uniqueColumnName(existing, base) {
+  if (!existing.includes(base)) return base;
+  let i = 2;
+  while (existing.includes(`${base}_${i}`)) i++;
+  return `${base}_${i}`;
+}
+
+// Returns { rows, added, unscored } with output columns appended to copies of `rows`.
+function scoreRows(model, rows) {
+  if (!modelKind(model)) throw new Error('Not a recognised model');
+  if (!Array.isArray(model.featureCols) || model.featureCols.length === 0) throw new Error('Model does not record its feature columns — retrain it');
+  if (rows.length === 0) throw new Error('No rows to score');
+  const present = Object.keys(rows[0]);
+  const missing = model.featureCols.filter(c => !present.includes(c));
+  if (missing.length) throw new Error(`Dataset is missing feature columns: ${missing.join(', ')}`);
+
+  const kind = modelKind(model);
+  const treeOutputs = model.task === 'regression' ? ['prediction'] : ['probability', 'prediction'];
+  const outputs = { linear: ['prediction'], linear_expanded: ['prediction'], logistic: ['probability', 'prediction'], softmax: ['probability', 'prediction'], kmeans: ['cluster'],
+                    decision_tree: treeOutputs, random_forest: treeOutputs }[kind];
+  if (!outputs) throw new Error(`Unsupported model type '${model.type}'`);
+  const names = {};
+  for (const o of outputs) names[o] = uniqueColumnName(present.concat(Object.values(names)), o);
+
+  let unscored = 0;
+  const scored = rows.map(r => {
+    const out = {...r};
+    const pred = predictRow(model, r);
+    if (!pred) unscored++;
+    for (const o of outputs) out[names[o]] = pred ? pred[o] : '';
+    return out;
+  });
+  return { rows: scored, added: Object.values(names), unscored };
+}
+
+// ------------------
+// Model export
+// - Versioned model file: { format: 'dcai-model', version, exportedAt, models: { name: bundle } }, where a
+//   bundle holds the model, its feature order, class labels and the portable preprocessing steps.
+// - Older files (the bare `models` map, or a single model) are upgraded by MODEL_FILE_MIGRATIONS on import.
+// - Standalone scoring code: an ES module and a Python function that replay the preprocessing and
+//   predict exactly like predictRow.
+// ------------------
+const MODEL_FORMAT = 'dcai-model';
+const MODEL_FORMAT_VERSION = 1;
+// pipeline ops whose fitted parameters the exported code can replay
+const PORTABLE_OPS = ['autoClean', 'scale', 'oneHot'];
+
+// Register a trained model along with the pipeline steps that produced its training data (and the
+// columns each of them touched), so exports replay those steps rather than whatever the pipeline
+// or the loaded dataset hold by then.
+// Held-out predictions only feed the evaluation card, so they are kept out of `models` and saves.
+function storeModel(key, model) {
+  if (model.testScores) { evaluationScores = { key, ...model.testScores }; delete model.testScores; }
+  model.trainingPipeline = pipeline.slice(0, pipelineCursor).filter(s => s.enabled).map(s => ({ ...s }));
+  model.trainingTouched = stepTouchedColumns(model.trainingPipeline, rawData);
+  models[key] = model;
+  return model;
+}
+
+// Columns each of `steps` adds, changes or drops when replayed over `rows` -> one array per step.
+function stepTouchedColumns(steps, rows) {
+  const current = (rows || []).map(r => ({...r}));
+  return steps.map(step => {
+    if (!step.enabled || !PIPELINE_OPS[step.op]) return [];
+    const before = current.map(r => ({...r}));
+    PIPELINE_OPS[step.op].apply(current, step.params);
+    const cols = new Set([...Object.keys(before[0] || {}), ...Object.keys(current[0] || {})]);
+    return [...cols].filter(c => current.some((r, i) => !Object.is(r[c], before[i][c])));
+  });
+}
+
+// Pipeline steps that produce the model's features, walked backwards from the feature columns.
+// Returns { steps, inputs (raw columns the scorer needs), unportable (labels of steps it cannot replay) }.
+function modelPreprocessing(model) {
+  const needed = new Set(model.featureCols || []);
+  const steps = [], unportable = [];
+  // models trained before the training pipeline was recorded fall back to the current one
+  const trainingSteps = model.trainingPipeline || pipeline.slice(0, pipelineCursor);
+  // only steps that touch a feature the model needs matter
+  const touched = model.trainingTouched || stepTouchedColumns(trainingSteps, rawData);
+  const active = trainingSteps.map((s, i) => ({ step: s, touched: touched[i] })).filter(({ step }) => step.enabled && PIPELINE_OPS[step.op]);
+  for (let i = active.length - 1; i >= 0; i--) {
+    const { step } = active[i], p = step.params;
+    if (!PORTABLE_OPS.includes(step.op)) {
+      if (active[i].touched.some(c => needed.has(c))) unportable.unshift(describeStep(step));
+      continue;
+    }
+    let params = null;
+    if (step.op === 'scale') {
+      const stats = Object.fromEntries(Object.entries(p.stats || {}).filter(([c]) => needed.has(c)));
+      if (Object.keys(stats).length) params = { stats };
+    } else if (step.op === 'autoClean') {
+      const fill = Object.fromEntries(Object.entries(p.fill || {}).filter(([c]) => needed.has(c)));
+      const trim = (p.trim || []).filter(c => needed.has(c));
+      if (Object.keys(fill).length || trim.length) params = { fill, trim };
+    } else if (step.op === 'oneHot') {
+      const levels = {};
+      for (const [c, vals] of Object.entries(p.levels || {})) {
+        const dummies = vals.map(v => `${c}__${v}`);
+        if (!dummies.some(d => needed.has(d))) continue;
+        levels[c] = vals;
+        dummies.forEach(d => needed.delete(d));
+        needed.add(c);
+      }
+      const booleans = (p.booleans || []).filter(c => needed.has(c));
+      if (Object.keys(levels).length || booleans.length) params = { levels, booleans };
+    }
+    if (params) steps.unshift({ op: step.op, params });
+  }
+  return { steps, inputs: [...needed], unportable };
+}
+
+// The model without per-row training artifacts (held-out scores, cluster assignments).
+function exportableModel(model) {
+  const { testScores, assignments, diagnostics, preprocessing, trainingPipeline, trainingTouched, ...rest } = model;
+  return rest;
+}
+
+function modelBundle(name, model) {
+  // imported models carry the preprocessing they were exported with
+  const prep = model.preprocessing ? { steps: model.preprocessing, inputs: model.inputs || model.featureCols, unportable: [] } : modelPreprocessing(model);
+  return {
+    name, kind: modelKind(model), model: exportableModel(model), featureOrder: model.featureCols || [],
+    labels: model.classes || null, preprocessing: prep.steps, inputs: prep.inputs, unportable: prep.unportable
+  };
+}
+
+function modelFile(names, source = models) {
+  return {
+    format: MODEL_FORMAT, version: MODEL_FORMAT_VERSION, exportedAt: new Date().toISOString(),
+    models: Object.fromEntries(names.map(k => [k, modelBundle(k, source[k])]))
+  };
+}
+
+// MODEL_FILE_MIGRATIONS[v] upgrades a version-v file to v + 1; unversioned files are version 0.
+const MODEL_FILE_MIGRATIONS = [
+  // 0 -> 1: the bare exportModel() map or a single model; preprocessing was never recorded
+  (file, fallbackName) => {
+    const entries = modelKind(file) && file.featureCols ? [[fallbackName, file]] : Object.entries(file || {});
+    return {
+      format: MODEL_FORMAT, version: 1,
+      models: Object.fromEntries(entries.filter(([, m]) => m && typeof m === 'object' && modelKind(m)).map(([k, m]) =>
+        [k, { name: k, kind: modelKind(m), model: m, featureOrder: m.featureCols || [], labels: m.classes || null, preprocessing: null }]))
+    };
+  }
+];
+
+// -> { name: model } ready for scoreRows; models keep their preprocessing steps and raw inputs.
+function readModelFile(obj, fallbackName = 'model') {
+  let version = obj && obj.format === MODEL_FORMAT ? obj.version : 0;
+  if (!Number.isInteger(version) || version > MODEL_FORMAT_VERSION) {
+    throw new Error(`Model file version ${version} is newer than this app supports (${MODEL_FORMAT_VERSION})`);
+  }
+  let file = obj;
+  while (version < MODEL_FORMAT_VERSION) file = MODEL_FILE_MIGRATIONS[version++](file, fallbackName);
+  const out = {};
+  for (const [k, b] of Object.entries(file.models || {})) {
+    if (!b || !b.model || !modelKind(b.model)) continue;
+    out[k] = {
+      ...b.model,
+      featureCols: b.featureOrder && b.featureOrder.length ? b.featureOrder : b.model.featureCols,
+      classes: b.labels || b.model.classes,
+      preprocessing: b.preprocessing || null,
+      inputs: b.inputs || null
+    };
+  }
+  return out;
+}
+
+// Copies of rows with the model's recorded preprocessing applied (same ops as the pipeline).
+function applyModelPreprocessing(steps, rows) {
+  const copy = rows.map(r => ({...r}));
+  for (const s of steps) PIPELINE_OPS[s.op].apply(copy, s.params);
+  return copy;
+}
+
+function scoringCodeHeader(bundle, comment) {
+  const outputs = { linear: 'prediction', linear_expanded: 'prediction', logistic: 'prediction, probability', softmax: 'prediction, probability',
+                    kmeans: 'cluster', decision_tree: 'prediction (+ probability for classifiers)', random_forest: 'prediction (+ probability for classifiers)' }[bundle.kind];
+  return [
+    `${bundle.name}: ${bundle.kind} model, ${MODEL_FORMAT} v${MODEL_FORMAT_VERSION}, exported ${new Date().toISOString()}`,
+    `predict(row) takes raw values keyed by column name (${bundle.inputs.join(', ')})`,
+    `and returns ${outputs}; rows with a missing or non-numeric feature give null.`,
+    ...(bundle.preprocessing.length ? [`Preprocessing replayed: ${bundle.preprocessing.map(s => s.op).join(' → ')}.`] : []),
+    ...(bundle.unportable.length ? [`Not reproduced (apply before scoring): ${bundle.unportable.join('; ')}.`] : [])
+  ].map(l => `${comment} ${l}`).join('\n');
+}
+
+function modelToJavaScript(bundle) {
+  const predict = {
+    linear: `  const x = numericFeatures(preprocess(input));
+  if (!x) return null;
+  return { prediction: MODEL.intercept + MODEL.coefficients.reduce((s, b, i) => s + b * x[i], 0) };`,
+    logistic: `  const x = numericFeatures(preprocess(input));
+  if (!x) return null;
+  const p = 1 / (1 + Math.exp(-(MODEL.theta[0] + x.reduce((s, v, i) => s + MODEL.theta[i + 1] * v, 0))));
+  const positive = p >= (MODEL.threshold !== undefined ? MODEL.threshold : 0.5);
+  return { probability: p, prediction: LABELS ? LABELS[positive ? 1 : 0] : (positive ? 1 : 0) };`,
+    softmax: `  const x = numericFeatures(preprocess(input));
+  if (!x) return null;
+  const z = MODEL.thetas.map(t => t[0] + x.reduce((s, v, i) => s + t[i + 1] * v, 0));
+  const m = Math.max(...z), e = z.map(v => Math.exp(v - m)), total = e.reduce((a, b) => a + b, 0);
+  const probs = e.map(v => v / total), best = probs.indexOf(Math.max(...probs));
+  return { probability: probs[best], prediction: LABELS[best] };`,
+    kmeans: `  const x = numericFeatures(preprocess(input));
+  if (!x) return null;
+  const d = MODEL.centroids.map(c => Math.sqrt(c.reduce((s, v, i) => s + (x[i] - v) ** 2, 0)));
+  return { cluster: d.indexOf(Math.min(...d)) };`,
+    tree: `  const r = preprocess(input);
+  // numeric features compare as numbers (missing = NaN goes right), the rest as trimmed strings
+  const x = FEATURES.map((c, j) => MODEL.featureTypes[j] === 'numeric' ? toNumber(r[c]) : (isMissing(r[c]) ? '' : String(r[c]).trim()));
+  const leaf = tree => {
+    let node = tree;
+    while (!node.leaf) node = (node.level !== undefined ? x[node.feature] === node.level : x[node.feature] <= node.threshold) ? node.left : node.right;
+    return node;
+  };
+  const trees = MODEL.trees || [MODEL.tree];
+  if (MODEL.task === 'regression') return { prediction: trees.reduce((s, t) => s + leaf(t).value, 0) / trees.length };
+  const votes = LABELS.map(() => 0);
+  for (const t of trees) votes[leaf(t).value]++;
+  let best = 0;
+  for (let c = 1; c < votes.length; c++) if (votes[c] > votes[best]) best = c;
+  const probability = trees.length === 1 ? leaf(trees[0]).counts[best] / (leaf(trees[0]).n || 1) : votes[best] / trees.length;
+  return { prediction: LABELS[best], probability };`
+  };
+  const body = predict[{ linear_expanded: 'linear', decision_tree: 'tree', random_forest: 'tree' }[bundle.kind] || bundle.kind];
+  return `${scoringCodeHeader(bundle, '//')}
+
+export const MODEL = ${JSON.stringify(bundle.model)};
+export const PREPROCESSING = ${JSON.stringify(bundle.preprocessing)};
+export const FEATURES = ${JSON.stringify(bundle.featureOrder)};
+export const LABELS = ${JSON.stringify(bundle.labels)};
+const BOOLEAN_VALUES = ${JSON.stringify(BOOLEAN_VALUES)};
+
+function isMissing(v) {
+  return v === null || v === undefined || String(v).trim() === '' || ['na', 'n/a', 'null', 'undefined'].includes(String(v).toLowerCase());
+}
+function toNumber(v) {
+  const n = parseFloat(String(v).replace(/[^0-9eE+.-]/g, ''));
+  return Number.isFinite(n) ? n : NaN;
+}
+function parseBoolean(v) {
+  const b = BOOLEAN_VALUES[String(v).trim().toLowerCase()];
+  return b === undefined ? NaN : b;
+}
+function numericFeatures(r) {
+  const x = FEATURES.map(c => toNumber(r[c]));
+  return x.some(Number.isNaN) ? null : x;
+}
+
+// Replays the recorded preprocessing on a copy of the row.
+export function preprocess(input) {
+  const r = { ...input };
+  for (const { op, params } of PREPROCESSING) {
+    if (op === 'autoClean') {
+      for (const [c, v] of Object.entries(params.fill || {})) if (c in r && (isMissing(r[c]) || Number.isNaN(toNumber(r[c])))) r[c] = v;
+      for (const c of params.trim || []) if (c in r) r[c] = r[c] === undefined || r[c] === null ? '' : String(r[c]).trim();
+    } else if (op === 'scale') {
+      for (const [c, s] of Object.entries(params.stats || {})) if (c in r) r[c] = (toNumber(r[c]) - s.mean) / (s.std || 1);
+    } else if (op === 'oneHot') {
+      for (const c of params.booleans || []) if (c in r) { const b = parseBoolean(r[c]); r[c] = Number.isNaN(b) ? '' : b; }
+      for (const [c, levels] of Object.entries(params.levels || {})) {
+        if (!(c in r)) continue;
+        for (const v of levels) r[\`\${c}__\${v}\`] = r[c] === v ? 1 : 0;
+        delete r[c];
+      }
+    }
+  }
+  return r;
+}
+
+export function predict(input) {
+${body}
+}
+`;
+}
+
+function modelToPython(bundle) {
+  // JSON inside a raw triple-quoted string: JSON escapes quotes, so '"""' cannot occur
+  const literal = v => `json.loads(r"""${JSON.stringify(v)}""")`;
+  const predict = {
+    linear: `    x = _numeric_features(preprocess(row))
+    if x is None:
+        return None
+    return {"prediction": MODEL["intercept"] + sum(b * v for b, v in zip(MODEL["coefficients"], x))}`,
+    logistic: `    x = _numeric_features(preprocess(row))
+    if x is None:
+        return None
+    theta = MODEL["theta"]
+    z = theta[0] + sum(t * v for t, v in zip(theta[1:], x))
+    p = 1 / (1 + math.exp(-z)) if z >= 0 else math.exp(z) / (1 + math.exp(z))
+    positive = p >= MODEL.get("threshold", 0.5)
+    return {"probability": p, "prediction": LABELS[1 if positive else 0] if LABELS else int(positive)}`,
+    softmax: `    x = _numeric_features(preprocess(row))
+    if x is None:
+        return None
+    z = [t[0] + sum(w * v for w, v in zip(t[1:], x)) for t in MODEL["thetas"]]
+    m = max(z)
+    e = [math.exp(v - m) for v in z]
+    probs = [v / sum(e) for v in e]
+    best = probs.index(max(probs))
+    return {"probability": probs[best], "prediction": LABELS[best]}`,
+    kmeans: `    x = _numeric_features(preprocess(row))
+    if x is None:
+        return None
+    d = [math.sqrt(sum((a - b) ** 2 for a, b in zip(x, c))) for c in MODEL["centroids"]]
+    return {"cluster": d.index(min(d))}`,
+    tree: `    r = preprocess(row)
+    # numeric features compare as numbers (missing = nan goes right), the rest as trimmed strings
+    x = [_to_number(r.get(c)) if t == "numeric" else ("" if _is_missing(r.get(c)) else str(r.get(c)).strip())
+         for c, t in zip(FEATURES, MODEL["featureTypes"])]
+
+    def leaf(node):
+        while not node.get("leaf"):
+            v = x[node["feature"]]
+            go_left = v == node["level"] if "level" in node else v <= node["threshold"]
+            node = node["left"] if go_left else node["right"]
+        return node
+
+    trees = MODEL.get("trees") or [MODEL["tree"]]
+    if MODEL["task"] == "regression":
+        return {"prediction": sum(leaf(t)["value"] for t in trees) / len(trees)}
+    votes = [0] * len(LABELS)
+    for t in trees:
+        votes[leaf(t)["value"]] += 1
+    best = 0
+    for c in range(1, len(votes)):
+        if votes[c] > votes[best]:
+            best = c
+    if len(trees) == 1:
+        node = leaf(trees[0])
+        probability = node["counts"][best] / (node["n"] or 1)
+    else:
+        probability = votes[best] / len(trees)
+    return {"prediction": LABELS[best], "probability": probability}`
+  };
+  const body = predict[{ linear_expanded: 'linear', decision_tree: 'tree', random_forest: 'tree' }[bundle.kind] || bundle.kind];
+  return `${scoringCodeHeader(bundle, '#')}
+import json
+import math
+import re
+
+MODEL = ${literal(bundle.model)}
+PREPROCESSING = ${literal(bundle.preprocessing)}
+FEATURES = ${literal(bundle.featureOrder)}
+LABELS = ${literal(bundle.labels)}
+BOOLEAN_VALUES = ${literal(BOOLEAN_VALUES)}
+# the leading number parseFloat would read
+_NUMBER_RE = re.compile(r"[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?")
+
+
+def _is_missing(v):
+    return v is None or str(v).strip() == "" or str(v).lower() in ("na", "n/a", "null", "undefined")
+
+
+def _to_number(v):
+    s = re.sub(r"[^0-9eE+.-]", "", "true" if v is True else "false" if v is False else str(v))
+    m = _NUMBER_RE.match(s)
+    if not m:
+        return math.nan
+    n = float(m.group(0))
+    return n if math.isfinite(n) else math.nan
+
+
+def _parse_boolean(v):
+    return BOOLEAN_VALUES.get(str(v).strip().lower(), math.nan)
+
+
+def _numeric_features(r):
+    x = [_to_number(r.get(c)) for c in FEATURES]
+    return None if any(math.isnan(v) for v in x) else x
+
+
+def preprocess(row):
+    """Replays the recorded preprocessing on a copy of the row."""
+    r = dict(row)
+    for step in PREPROCESSING:
+        op, params = step["op"], step["params"]
+        if op == "autoClean":
+            for c, v in params.get("fill", {}).items():
+                if c in r and (_is_missing(r[c]) or math.isnan(_to_number(r[c]))):
+                    r[c] = v
+            for c in params.get("trim", []):
+                if c in r:
+                    r[c] = "" if r[c] is None else str(r[c]).strip()
+        elif op == "scale":
+            for c, s in params.get("stats", {}).items():
+                if c in r:
+                    r[c] = (_to_number(r[c]) - s["mean"]) / (s["std"] or 1)
+        elif op == "oneHot":
+            for c in params.get("booleans", []):
+                if c in r:
+                    b = _parse_boolean(r[c])
+                    r[c] = "" if isinstance(b, float) and math.isnan(b) else b
+            for c, levels in params.get("levels", {}).items():
+                if c not in r:
+                    continue
+                for v in levels:
+                    r[f"{c}__{v}"] = 1 if r[c] == v else 0
+                del r[c]
+    return r
+
+
+def predict(row):
+${body}
+`;
+}
+
+
+// ------------------
+// Time series
+// - Resampling to regular day/week/month periods (UTC), rolling means, classical additive
+//   decomposition and additive Holt-Winters with a held-out backtest.
+// - Gaps left by resampling are interpolated (or zero for sum/count) so the series is evenly spaced.
+// ------------------
+const DAY_MS = 86400000;
+
+function periodStart(t, freq) {
+  const d = new Date(t);
+  if (freq === 'month') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (freq === 'week') return day - ((d.getUTCDay() + 6) % 7) * DAY_MS; // Monday
+  return day;
+}
+function nextPeriod(t, freq) {
+  if (freq === 'month') { const d = new Date(t); return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1); }
+  return t + (freq === 'week' ? 7 : 1) * DAY_MS;
+}
+
+const SERIES_AGGREGATIONS = {
+  mean: v => v.reduce((a,b)=>a+b,0) / v.length,
+  sum: v => v.reduce((a,b)=>a+b,0),
+  count: v => v.length,
+  min: v => v.reduce((a,b)=>Math.min(a,b)),
+  max: v => v.reduce((a,b)=>Math.max(a,b)),
+  last: v => v[v.length - 1]
+};
+
+// -> [{ t, value }] for every period between the first and last observation
+function resampleSeries(rows, timeCol, valueCol, freq = 'day', agg = 'mean') {
+  const obs = rows.map(r => ({ t: parseDate(r[timeCol]), v: toNumberIfPossible(r[valueCol]) }))
+    .filter(o => !Number.isNaN(o.t) && (agg === 'count' || !Number.isNaN(o.v)))
+    .sort((a, b) => a.t - b.t);
+  if (obs.length === 0) return [];
+  const buckets = new Map();
+  for (const o of obs) {
+    const key = periodStart(o.t, freq);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(o.v);
+  }
+  const series = [];
+  const last = periodStart(obs[obs.length - 1].t, freq);
+  for (let t = periodStart(obs[0].t, freq); t <= last; t = nextPeriod(t, freq)) {
+    const vals = buckets.get(t);
+    series.push({ t, value: vals ? SERIES_AGGREGATIONS[agg](vals) : (agg === 'sum' || agg === 'count' ? 0 : null) });
+  }
+  // linear interpolation across empty periods
+  for (let i = 0; i < series.length; i++) {
+    if (series[i].value !== null) continue;
+    let j = i;
+    while (series[j].value === null) j++;
+    const prev = series[i - 1].value, next = series[j].value;
+    for (let k = i; k < j; k++) series[k].value = prev + (next - prev) * (k - i + 1) / (j - i + 1);
+    i = j;
+  }
+  return series;
+}
+
+// trailing window mean; null until the window is full
+function rollingMean(values, window) {
+  let sum = 0;
+  return values.map((v, i) => {
+    sum += v;
+    if (i >= window) sum -= values[i - window];
+    return i >= window - 1 ? sum / window : null;
+  });
+}
+
+// Classical additive decomposition: centered moving-average trend, seasonal = mean detrended value
+// per position in the cycle (centered to sum to zero), residual = rest. Needs two full periods.
+function decomposeSeries(values, period) {
+  const n = values.length;
+  if (period < 2 || n < 2 * period) return null;
+  const half = Math.floor(period / 2);
+  const trend = values.map((_, i) => {
+    if (i < half || i >= n - half) return null;
+    if (period % 2 === 1) return values.slice(i - half, i + half + 1).reduce((a,b)=>a+b,0) / period;
+    // even period: 2xMA so the window stays centered
+    let s = (values[i - half] + values[i + half]) / 2;
+    for (let k = i - half + 1; k < i + half; k++) s += values[k];
+    return s / period;
+  });
+  const sums = Array(period).fill(0), counts = Array(period).fill(0);
+  values.forEach((v, i) => { if (trend[i] !== null) { sums[i % period] += v - trend[i]; counts[i % period]++; } });
+  const raw = sums.map((s, k) => s / (counts[k] || 1));
+  const mean = raw.reduce((a,b)=>a+b,0) / period;
+  const pattern = raw.map(v => v - mean);
+  const seasonal = values.map((_, i) => pattern[i % period]);
+  const residual = values.map((v, i) => trend[i] === null ? null : v - trend[i] - seasonal[i]);
+  return { trend, seasonal, residual, pattern };
+}
+
+// Additive Holt-Winters (level + trend + season). With period < 2 or fewer than two full seasons
+// it degrades to Holt's linear trend. Smoothing parameters are picked by a coarse grid search
+// on the one-step-ahead squared error.
+function holtWinters(values, period, horizon) {
+  const seasonal = period >= 2 && values.length >= 2 * period;
+  const m = seasonal ? period : 1;
+  function run(alpha, beta, gamma) {
+    let level = values.slice(0, m).reduce((a,b)=>a+b,0) / m;
+    let trend = seasonal
+      ? (values.slice(m, 2 * m).reduce((a,b)=>a+b,0) - values.slice(0, m).reduce((a,b)=>a+b,0)) / (m * m)
+      : (values.length > 1 ? values[1] - values[0] : 0);
+    const season = seasonal ? values.slice(0, m).map(v => v - level) : [0];
+    const fitted = [];
+    let sse = 0;
+    for (let i = 0; i < values.length; i++) {
+      const s = season[i % m];
+      const pred = level + trend + s;
+      fitted.push(pred);
+      if (i >= m) sse += Math.pow(values[i] - pred, 2);
+      const prevLevel = level;
+      level = alpha * (values[i] - s) + (1 - alpha) * (level + trend);
+      trend = beta * (level - prevLevel) + (1 - beta) * trend;
+      if (seasonal) season[i % m] = gamma * (values[i] - level) + (1 - gamma) * s;
+    }
+    const forecast = [];
+    for (let h = 1; h <= horizon; h++) forecast.push(level + h * trend + season[(values.length + h - 1) % m]);
+    return { sse, fitted, forecast, alpha, beta, gamma };
+  }
+  const grid = [0.1, 0.3, 0.5, 0.7, 0.9];
+  let best = null;
+  for (const a of grid) for (const b of grid) for (const g of (seasonal ? grid : [0])) {
+    const res = run(a, b, g);
+    if (!best || res.sse < best.sse) best = res;
+  }
+  best.seasonal = seasonal;
+  best.period = m;
+  return best;
+}
+
+// Fit on all but the last `horizon` points and score the forecast against them.
+function backtestHoltWinters(values, period, horizon) {
+  const h = Math.min(horizon, Math.floor(values.length / 3));
+  if (h < 1) return null;
+  const train = values.slice(0, values.length - h), actual = values.slice(values.length - h);
+  const fc = holtWinters(train, period, h).forecast;
+  const errors = actual.map((v, i) => v - fc[i]);
+  const mae = errors.reduce((s, e) => s + Math.abs(e), 0) / h;
+  const rmse = Math.sqrt(errors.reduce((s, e) => s + e * e, 0) / h);
+  const nonZero = actual.map((v, i) => ({ v, e: errors[i] })).filter(o => o.v !== 0);
+  const mape = nonZero.length ? nonZero.reduce((s, o) => s + Math.abs(o.e / o.v), 0) / nonZero.length : null;
+  return { horizon: h, forecast: fc, actual, mae, rmse, mape };
+}
+
+// ------------------
+// Group-by and pivot: row keys x optional column keys, one cell per value column and aggregation
+// ------------------
+const numericAggregation = f => nums => nums.length ? f(nums) : '';
+const PIVOT_AGGREGATIONS = {
+  count: (nums, raw) => raw.length,
+  sum: numericAggregation(v => v.reduce((a,b)=>a+b,0)),
+  mean: numericAggregation(v => v.reduce((a,b)=>a+b,0) / v.length),
+  median: numericAggregation(v => {
+    const s = v.slice().sort((a,b)=>a-b), m = Math.floor(s.length / 2);
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  }),
+  min: numericAggregation(v => v.reduce((a,b)=>Math.min(a,b))),
+  max: numericAggregation(v => v.reduce((a,b)=>Math.max(a,b))),
+  distinct: (nums, raw) => unique(raw.map(v => String(v).trim())).length
+};
+const MISSING_KEY = '(missing)';
+
+// -> { rows, rowKeys, measures: [column names], groupLabels }. Without value columns each group
+// just gets a row count. Missing key values form their own '(missing)' group.
+function pivotTable(rows, { rowKeys, colKeys = [], values = [], aggs = ['count'] }, types = colTypes) {
+  const keyOf = (r, keys) => keys.map(k => isMissing(r[k]) ? MISSING_KEY : String(r[k]).trim());
+  const groups = new Map(), colCombos = new Map();
+  for (const r of rows) {
+    const rk = keyOf(r, rowKeys), ck = keyOf(r, colKeys);
+    const gid = JSON.stringify(rk), cid = JSON.stringify(ck);
+    if (!groups.has(gid)) groups.set(gid, { keys: rk, cells: new Map() });
+    colCombos.set(cid, ck);
+    const cells = groups.get(gid).cells;
+    if (!cells.has(cid)) cells.set(cid, []);
+    cells.get(cid).push(r);
+  }
+  const byKeys = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) continue;
+      if (a[i] === MISSING_KEY || b[i] === MISSING_KEY) return a[i] === MISSING_KEY ? 1 : -1;
+      return compareQueryValues(a[i], b[i]);
+    }
+    return 0;
+  };
+  const combos = [...colCombos.entries()].sort((a, b) => byKeys(a[1], b[1]));
+  const cellSpecs = values.length ? values.flatMap(v => aggs.map(agg => ({ value: v, agg }))) : [{ value: null, agg: 'count' }];
+  const measures = [];
+  for (const [cid, ck] of combos) {
+    for (const spec of cellSpecs) {
+      const base = spec.value === null ? 'count' : `${spec.agg}(${spec.value})`;
+      measures.push({ name: colKeys.length ? `${base} | ${ck.join(' / ')}` : base, cid, spec });
+    }
+  }
+  const sorted = [...groups.values()].sort((a, b) => byKeys(a.keys, b.keys));
+  const out = sorted.map(g => {
+    const row = {};
+    rowKeys.forEach((k, i) => { row[k] = g.keys[i]; });
+    for (const m of measures) {
+      const members = g.cells.get(m.cid) || [];
+      if (m.spec.value === null) { row[m.name] = members.length; continue; }
+      const raw = members.map(r => r[m.spec.value]).filter(v => !isMissing(v));
+      const nums = raw.map(v => numericValue(v, types[m.spec.value])).filter(n => !Number.isNaN(n));
+      row[m.name] = members.length ? PIVOT_AGGREGATIONS[m.spec.agg](nums, raw) : '';
+    }
+    return row;
+  });
+  return { rows: out, rowKeys, measures: measures.map(m => m.name), groupLabels: sorted.map(g => g.keys.join(' / ')) };
+}
+
+// ------------------
+// Compute worker
+// - Heavy routines above run inside a Web Worker so the page stays responsive.
+// - The worker is built from the source of the functions listed in COMPUTE_FUNCTIONS (a Blob URL),
+//   which keeps app.js self-contained and works from file:// where `new Worker('x.js')` is blocked.
+// - Each job gets a snapshot of workingData; routines read it exactly as they do on the main thread.
+// - Jobs run one at a time. Cancel terminates the worker and a fresh one is spawned for the next job.
+// - If Workers are unavailable the same functions run inline, so behaviour is identical, just blocking.
+// ------------------
+const COMPUTE_FUNCTIONS = [
+  isMissing, toNumberIfPossible, unique, transpose, matMul, matInverse, sigmoid, softmax, euclidean,
+  stratifiedSplit, rocCurve, evaluateClassifier, logisticProbabilities,
+  logGamma, betaI, tTwoSided, fUpper, tCritical, findCollinearColumn, collinearityError, varianceInflation,
+  linearRegressionClosedForm, fitLinearRegressionExpanded, kFoldIndices, logisticMatrix, fitLogisticWeights, trainLogisticRegression,
+  kMeansPlusPlusInit, kMeansFit, silhouetteScore, kMeansMatrix, kMeans, kMeansSweep,
+  jacobiEigen, computePCA, computeCorrelationMatrix,
+  shuffleIndices, regressionMetrics, growTree, predictTree, treeFeatureVector, predictTreeModel, fitTreeModel,
+  averagePathLength, buildIsolationTree, isolationPathLength, isolationScores, isolationForest,
+  hasColumn, knnImputeColumn, knnImputeFills,
+  ridgeCoefficients, hyperparameterSearch, elasticNetFit, elasticNetLambdas, fitElasticNet
+];
+
+let computeWorker = null;
+let jobQueue = [];     // pending { id, fnName, args, data, label, key, resolve, reject }
+let activeJob = null;
+let nextJobId = 1;
+
+// main-thread progress hook; the worker defines its own version that posts messages instead
+function reportProgress(fraction) {
+  if (activeJob) updateJobStatus(activeJob.label, fraction);
+}
+
+function buildWorkerSource() {
+  const names = COMPUTE_FUNCTIONS.map(f => f.name);
+  return `
+    let workingData = [];
+    let currentJobId = null;
+    let lastProgressAt = 0;
+    function reportProgress(fraction) {
+      const now = Date.now();
+      if (now - lastProgressAt < 100) return;
+      lastProgressAt = now;
+      self.postMessage({ id: currentJobId, progress: fraction });
+    }
+    ${COMPUTE_FUNCTIONS.map(f => f.toString()).join('\n\n')}
+    const jobs = { ${names.join(', ')} };
+    self.onmessage = e => {
+      const { id, fnName, args, data } = e.data;
+      currentJobId = id; lastProgressAt = 0;
+      workingData = data || [];
+      try {
+        self.postMessage({ id, result: jobs[fnName](...args) });
+      } catch (err) {
+        self.postMessage({ id, error: err.message });
+      }
+    };
+  `;
+}
+
+function getComputeWorker() {
+  if (computeWorker) return computeWorker;
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
+  try {
+    const url = URL.createObjectURL(new Blob([buildWorkerSource()], { type: 'text/javascript' }));
+    computeWorker = new Worker(url);
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.warn('Compute worker unavailable, running on main thread: ' + err.message);
+    return null;
+  }
+  computeWorker.onmessage = e => {
+    const msg = e.data;
+    if (!activeJob || msg.id !== activeJob.id) return;
+    if (msg.progress !== undefined) { updateJobStatus(activeJob.label, msg.progress); return; }
+    const job = activeJob;
+    activeJob = null;
+    if (msg.error !== undefined) job.reject(new Error(msg.error)); else job.resolve(msg.result);
+    startNextJob();
+  };
+  computeWorker.onerror = e => {
+    e.preventDefault();
+    const job = activeJob;
+    activeJob = null;
+    if (job) job.reject(new Error(e.message || 'Worker error'));
+    startNextJob();
+  };
+  return computeWorker;
+}
+
+// Queue `fnName(...args)` on the compute worker. Resolves with the result; rejects with an Error,
+// which has `cancelled: true` when the job was cancelled or superseded by a newer job with the same key.
+// opts: { label, key, data } — data defaults to the current workingData.
+function runJob(fnName, args = [], opts = {}) {
+  return new Promise((resolve, reject) => {
+    if (opts.key) {
+      // a newer request for the same output makes the queued one pointless
+      jobQueue = jobQueue.filter(j => {
+        if (j.key !== opts.key) return true;
+        j.reject(cancelledError('Superseded'));
+        return false;
+      });
+    }
+    jobQueue.push({
+      id: nextJobId++, fnName, args, data: opts.data !== undefined ? opts.data : workingData,
+      label: opts.label || fnName, key: opts.key || null, resolve, reject
+    });
+    if (!activeJob) startNextJob();
+  });
+}
+
+function startNextJob() {
+  if (activeJob) return;
+  if (jobQueue.length === 0) { updateJobStatus(null); return; }
+  activeJob = jobQueue.shift();
+  updateJobStatus(activeJob.label, 0);
+  const job = activeJob;
+  const worker = getComputeWorker();
+  if (worker) {
+    worker.postMessage({ id: job.id, fnName: job.fnName, args: job.args, data: job.data });
+    return;
+  }
+  // inline fallback: yield first so the status label paints, then run synchronously
+  setTimeout(() => {
+    if (activeJob !== job) return;
+    const fn = COMPUTE_FUNCTIONS.find(f => f.name === job.fnName);
+    // the routines read workingData, so point it at the job's snapshot as the worker does
+    const live = workingData;
+    workingData = job.data || [];
+    try {
+      const result = fn(...job.args);
+      activeJob = null;
+      job.resolve(result);
+    } catch (err) {
+      activeJob = null;
+      job.reject(err);
+    } finally {
+      workingData = live;
+    }
+    startNextJob();
+  }, 0);
+}
+
+function cancelledError(message) {
+  const err = new Error(message);
+  err.cancelled = true;
+  return err;
+}
+
+// Cancel the running job and everything queued behind it.
+function cancelJobs() {
+  if (computeWorker && activeJob) { computeWorker.terminate(); computeWorker = null; }
+  const dropped = (activeJob ? [activeJob] : []).concat(jobQueue);
+  activeJob = null; jobQueue = [];
+  for (const j of dropped) j.reject(cancelledError('Cancelled'));
+  updateJobStatus(null);
+}
+
+function updateJobStatus(label, fraction = 0) {
+  if (!label) {
+    jobProgress.value = 0;
+    jobLabel.textContent = 'Idle';
+    cancelJobBtn.disabled = true;
+    return;
+  }
+  jobProgress.value = Math.max(0, Math.min(1, fraction));
+  const queued = jobQueue.length ? ` (+${jobQueue.length} queued)` : '';
+  jobLabel.textContent = `${label} — ${Math.round(fraction * 100)}%${queued}`;
+  cancelJobBtn.disabled = false;
+}
+
+// ------------------
+// Suggestions (rule-based EDA hints)
+// ------------------
+function generateSuggestions() {
+  const suggestions = [];
+  if (!workingData || workingData.length === 0) return suggestions;
+  const n = workingData.length;
+  for (const col of columns) {
+    const type = colTypes[col];
+    const stats = summarizeColumn(workingData.map(r=>r[col]), type);
+    if (isNumericType(type)) {
+      if (stats.count < n * 0.95) suggestions.push(`Column '${col}' has ${n - stats.count} missing values — consider imputation.`);
+      if (stats.std && Math.abs(stats.std) > Math.abs(stats.mean) * 2) suggestions.push(`Column '${col}' has high variance relative to mean — consider scaling.`);
+    } else if (type === 'categorical') {
+      if (stats.unique > Math.min(50, n/2)) suggestions.push(`Column '${col}' is high-cardinality categorical (unique=${stats.unique}) — one-hot may be expensive.`);
+    } else if (type === 'boolean') {
+      if (stats.trueRate !== null && (stats.trueRate < 0.1 || stats.trueRate > 0.9)) suggestions.push(`Column '${col}' is an imbalanced flag (${(stats.trueRate * 100).toFixed(0)}% true) — watch accuracy when using it as a target.`);
+    } else if (type === 'datetime') {
+      suggestions.push(`Column '${col}' is a date (${stats.min ? stats.min.slice(0, 10) : '?'} → ${stats.max ? stats.max.slice(0, 10) : '?'}) — use it for ordering rather than as a raw feature.`);
+    } else if (type === 'identifier') {
+      suggestions.push(`Column '${col}' looks like an identifier${stats.duplicates ? ` with ${stats.duplicates} duplicate(s)` : ''} — it is excluded from stats, scaling and encoding.`);
+    } else if (type === 'text') {
+      suggestions.push(`Column '${col}' is free text (avg ${stats.avgLength.toFixed(0)} chars) — not usable as a model feature directly.`);
+    }
+    if (!isNumericType(type) && stats.count < n * 0.95) suggestions.push(`Column '${col}' has ${n - stats.count} missing values.`);
+  }
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]));
+  if (numericCols.length >= 1) suggestions.push('Try PCA for dimensionality reduction or k-means for clustering.');
+  else suggestions.push('No numeric columns detected for regression — consider numeric features or encode categoricals.');
+  return suggestions;
+}
+
+// ------------------
+// Export functions
+// ------------------
+function exportCSV(data = workingData, filename = 'export.csv') {
+  if (!data || data.length === 0) return;
+  const cols = Object.keys(data[0]);
+  const rows = [cols.join(',')];
+  for (const r of data) rows.push(cols.map(c => `"${String(r[c]).replace(/"/g, '""')}"`).join(','));
+  const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
+}
+function exportModel(names = Object.keys(models), filename = 'models.json') {
+  if (names.length === 0) return alert('No trained models to export');
+  const blob = new Blob([JSON.stringify(modelFile(names), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
+}
+
+// ------------------
+// State update and UI refresh
+// ------------------
+function postProcessState() {
+  stateGeneration++;
+  if (!workingData || workingData.length === 0) {
+    columns = []; colTypes = {};
+    summaryPre.textContent = '(no data)';
+    suggestionsList.innerHTML = '<li>No data</li>';
+    renderTable();
+    renderPipeline();
+    renderColumnTypes();
+    refreshTimeSeriesOptions();
+    refreshPivotOptions();
+    refreshOutlierOptions();
+    renderImputationOptions();
+    drawMissingness();
+    refreshFeatureBuilderOptions();
+    refreshTestOptions();
+    renderQueryStatus();
+    // destroy charts
+    Object.keys(chartInstances).forEach(k => destroyChart(k));
+    return;
+  }
+  columns = Object.keys(workingData[0]);
+  colTypes = resolveColumnTypes(workingData);
+  fillSelect(targetSelect, columns, true);
+  fillMultiSelect(featuresSelect, columns);
+  fillSelect(histColSelect, columns);
+  fillSelect(xSelect, columns);
+  fillSelect(ySelect, columns);
+
+  const lines = [`Rows: ${workingData.length}`];
+  for (const col of columns) {
+    lines.push(`${col} (${colTypes[col]}): ${JSON.stringify(summarizeColumn(workingData.map(r => r[col]), colTypes[col]))}`);
+  }
+  summaryPre.textContent = lines.join('\n');
+
+  const sugg = generateSuggestions();
+  suggestionsList.innerHTML = (sugg.length ? sugg.map(t => `<li>${escapeHtml(t)}</li>`).join('') : '<li>No suggestions</li>');
+
+  // visuals
+  const histDefault = columns.find(c => isNumericType(colTypes[c])) || columns[0];
+  drawHistogramAndBox(histColSelect.value || histDefault);
+  const x0 = columns[0], y0 = columns[1] || columns[0];
+  drawScatterWithRegression(xSelect.value || x0, ySelect.value || y0);
+  drawCorrelationHeatmap();
+  drawPCA();
+  renderTable();
+  renderPipeline();
+  renderColumnTypes();
+  refreshTimeSeriesOptions();
+  refreshPivotOptions();
+  refreshOutlierOptions();
+  renderImputationOptions();
+  drawMissingness();
+  refreshFeatureBuilderOptions();
+  refreshTestOptions();
+  renderQueryStatus();
+}
+
+// ------------------
+// Event wiring
+// ------------------
+function readFileForImport(f) {
+  const reader = new FileReader();
+  reader.onload = ev => showImportPreview({ name: f.name, buffer: ev.target.result });
+  reader.readAsArrayBuffer(f);
+}
+
+fileInput.addEventListener('change', e => {
+  const f = e.target.files[0];
+  if (!f) return;
+  readFileForImport(f);
+  e.target.value = '';
+});
+
+// drag & drop
+['dragenter','dragover'].forEach(ev => dropZone.addEventListener(ev, e => { e.preventDefault(); dropZone.style.borderColor = '#7dd3fc'; }));
+['dragleave','drop'].forEach(ev => dropZone.addEventListener(ev, e => { e.preventDefault(); dropZone.style.borderColor = ''; }));
+dropZone.addEventListener('click', () => fileInput.click());
+dropZone.addEventListener('drop', e => {
+  const f = e.dataTransfer.files[0];
+  if (!f) return;
+  readFileForImport(f);
+});
+
+parseBtn.addEventListener('click', () => {
+  const txt = pasteArea.value;
+  if (!txt.trim()) return alert('Paste CSV text first');
+  showImportPreview({ name: 'pasted text', text: txt });
+});
+
+sampleBtn.addEventListener('click', () => {
+  const sample = `name,age,years_experience,salary,department,senior
+Alice,34,10,85000,Engineering,yes
+Bob,28,4,56000,Product,no
+Carol,45,20,130000,Engineering,yes
+Dan,22,1,42000,Support,no
+Eve,39,12,98000,Product,yes
+Frank,29,3,48000,Support,no
+Grace,31,6,72000,Engineering,no`;
+  pasteArea.value = sample;
+  addDataset('sample', parseCSVtext(sample), { replay: replayOnLoad() });
+});
+
+clearBtn.addEventListener('click', () => { removeDataset(activeDataset); pasteArea.value = ''; });
+
+autoCleanBtn.addEventListener('click', () => { autoClean(); alert('Auto-clean applied (impute numeric with mean; trim strings)'); });
+scaleBtn.addEventListener('click', () => { scaleNumericColumns(); alert('Numeric columns z-scored'); });
+encodeBtn.addEventListener('click', () => { oneHotEncodeCategorical(); alert('One-hot encoding applied (skips high-cardinality)'); });
+
+histColSelect.addEventListener('change', () => drawHistogramAndBox(histColSelect.value));
+xSelect.addEventListener('change', () => drawScatterWithRegression(xSelect.value, ySelect.value));
+ySelect.addEventListener('change', () => drawScatterWithRegression(xSelect.value, ySelect.value));
+
+trainLRBtn.addEventListener('click', async () => {
+  const target = targetSelect.value; const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
+  if (!target) return alert('Choose a target');
+  if (!features.length) return alert('Choose features');
+  modelPre.textContent = 'Training linear regression…';
+  try {
+    const { diagnostics, ...model } = await runJob('linearRegressionClosedForm', [features, target], { label: 'Linear regression' });
+    const key = 'linear_' + Date.now();
+    storeModel(key, model);
+    modelPre.textContent = formatRegressionSummary(model);
+    regressionDiagnostics = { key, ...diagnostics };
+    renderRegressionDiagnostics();
+    postProcessState();
+  } catch (err) {
+    modelPre.textContent = err.cancelled ? 'Training cancelled' : 'Training failed: ' + err.message;
+  }
+});
+
+trainLogisticBtn.addEventListener('click', async () => {
+  const target = targetSelect.value; const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
+  if (!target) return alert('Choose a target');
+  if (!features.length) return alert('Choose features');
+  modelPre.textContent = 'Training logistic regression…';
+  try {
+    const model = await runJob('trainLogisticRegression', [features, target, { lr: 0.5, epochs: 300, lambda: 0, testFraction: 0.2 }], { label: 'Logistic regression' });
+    const key = 'logistic_' + Date.now();
+    storeModel(key, model);
+    modelPre.textContent = JSON.stringify({ ...model, trainingPipeline: undefined, trainingTouched: undefined }, null, 2);
+    showClassificationEvaluation(key);
+  } catch (err) {
+    modelPre.textContent = err.cancelled ? 'Training cancelled' : 'Training failed: ' + err.message;
+  }
+});
+
+kmeansBtn.addEventListener('click', async () => {
+  const k = parseInt(kInput.value) || 3;
+  const restarts = Math.max(1, parseInt(kRestarts.value) || 10);
+  const features = Array.from(featuresSelect.selectedOptions).map(o => o.value).filter(c => c !== CLUSTER_COLUMN);
+  if (!features.length) return alert('Choose numeric features for k-means');
+  modelPre.textContent = 'Running k-means…';
+  try {
+    const out = await runJob('kMeans', [k, features, 100, restarts], { label: 'k-means' });
+    storeModel('kmeans_' + Date.now(), out);
+    const { assignments, trainingPipeline, trainingTouched, ...summary } = out;
+    modelPre.textContent = JSON.stringify(summary, null, 2);
+    // the label is a category: typed as such so scale, impute, correlation and PCA leave it alone
+    colTypeOverrides[CLUSTER_COLUMN] = 'categorical';
+    // recorded as a step so the column survives undo/redo and replays on new data
+    recordStep('assignClusters', { column: CLUSTER_COLUMN, featureCols: features, centroids: out.centroids });
+  } catch (err) {
+    modelPre.textContent = err.cancelled ? 'k-means cancelled' : 'k-means failed: ' + err.message;
+  }
+});
+
+kSweepBtn.addEventListener('click', async () => {
+  const features = Array.from(featuresSelect.selectedOptions).map(o => o.value).filter(c => c !== CLUSTER_COLUMN);
+  if (!features.length) return alert('Choose numeric features for k-means');
+  const kMin = Math.max(1, parseInt(kSweepMin.value) || 2);
+  const kMax = Math.max(kMin, parseInt(kSweepMax.value) || 8);
+  const restarts = Math.max(1, parseInt(kRestarts.value) || 10);
+  modelPre.textContent = 'Running k sweep…';
+  let results;
+  try {
+    results = await runJob('kMeansSweep', [features, kMin, kMax, restarts], { label: 'k-means sweep' });
+  } catch (err) {
+    modelPre.textContent = err.cancelled ? 'k sweep cancelled' : 'k sweep failed: ' + err.message;
+    return;
+  }
+  const scored = results.filter(r => r.silhouette !== null);
+  const best = scored.length ? scored.reduce((a, b) => b.silhouette > a.silhouette ? b : a) : null;
+  if (best) kInput.value = best.k;
+  modelPre.textContent = results.map(r => `k=${r.k}  inertia=${r.inertia.toFixed(3)}  silhouette=${r.silhouette === null ? '—' : r.silhouette.toFixed(3)}`).join('\n') +
+    (best ? `\nBest silhouette at k=${best.k} (set as k)` : '');
+  destroyChart('kSweep');
+  chartInstances['kSweep'] = new Chart(kSweepCanvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: results.map(r => r.k),
+      datasets: [
+        { label: 'Inertia (elbow)', data: results.map(r => r.inertia), yAxisID: 'y' },
+        { label: 'Silhouette', data: results.map(r => r.silhouette), yAxisID: 'y1' }
+      ]
+    },
+    options: { scales: { x: { title: { display: true, text: 'k' } }, y: { position: 'left' }, y1: { position: 'right', min: -1, max: 1, grid: { drawOnChartArea: false } } }, responsive: true, maintainAspectRatio: false }
+  });
+});
+
+cancelJobBtn.addEventListener('click', () => cancelJobs());
+
+pcaStandardize.addEventListener('change', () => drawPCA());
+pcaAppendBtn.addEventListener('click', () => {
+  if (!lastPCA) return alert('PCA needs at least two numeric columns');
+  const k = Math.max(1, Math.min(parseInt(pcaAppendK.value) || 2, lastPCA.numericCols.length));
+  recordStep('appendPCs', {
+    columns: lastPCA.numericCols, means: lastPCA.means, stds: lastPCA.stds,
+    standardize: lastPCA.standardize, components: lastPCA.result.components.slice(0, k)
+  });
+});
+
+exportCsvBtn.addEventListener('click', () => exportCSV());
+exportModelBtn.addEventListener('click', () => exportModel());
+
+// ------------------
+// Additional UI: Advanced Regression controls (added dynamically so HTML unchanged)
+// - Penalty (Ridge, Lasso, ElasticNet), lambda, CV folds, test fraction
+// - Feature importance chart, and the regularization path for Lasso / ElasticNet
+// ------------------
+// |coef| per feature; features the penalty zeroed are labelled so they stay visible at zero height
+function drawFeatureImportance(features, coefficients, zeroed = []) {
+  destroyChart('featImp');
+  const ctx = document.getElementById('featureImportance').getContext('2d');
+  const labels = features.map(f => zeroed.includes(f) ? `${f} (zeroed)` : f);
+  const values = (coefficients || []).map(Math.abs);
+  chartInstances['featImp'] = new Chart(ctx, {
+    type: 'bar',
+    data: { labels, datasets: [{ label: zeroed.length ? `|coef| — ${zeroed.length} zeroed by the penalty` : '|coef|', data: values }] },
+    options: { indexAxis: 'y', responsive: true, maintainAspectRatio: false }
+  });
+}
+
+// each coefficient against λ (log scale), with the chosen λ and the CV one-standard-error λ marked
+function drawRegularizationPath(features, res) {
+  destroyChart('regPath');
+  const { lambdas, coefficients } = res.path;
+  const all = coefficients.flat();
+  const lo = Math.min(0, ...all), hi = Math.max(0, ...all);
+  const marker = (lambda, label, dash) => ({ label, data: [{ x: lambda, y: lo }, { x: lambda, y: hi }], showLine: true, pointRadius: 0, borderDash: dash, borderColor: '#64748b' });
+  const datasets = features.map((f, j) => ({
+    label: f, data: lambdas.map((l, i) => ({ x: l, y: coefficients[i][j] })), showLine: true, pointRadius: 0,
+    borderColor: CLUSTER_COLORS[j % CLUSTER_COLORS.length]
+  }));
+  datasets.push(marker(res.model.lambda, `chosen λ = ${+res.model.lambda.toPrecision(3)}`, [6, 3]));
+  if (res.cv && res.cv.oneSE !== res.cv.best) datasets.push(marker(lambdas[res.cv.oneSE], `1-SE λ = ${+lambdas[res.cv.oneSE].toPrecision(3)}`, [2, 3]));
+  document.getElementById('regPathWrap').style.display = 'block';
+  chartInstances['regPath'] = new Chart(document.getElementById('regPathChart').getContext('2d'), {
+    type: 'scatter',
+    data: { datasets },
+    options: { scales: { x: { type: 'logarithmic', reverse: true, title: { display: true, text: 'λ' } }, y: { title: { display: true, text: 'coefficient' } } }, responsive: true, maintainAspectRatio: false }
+  });
+}
+
+(function addAdvancedControls(){
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Advanced Regression</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <label>Penalty: <select id="penaltyKind"><option value="ridge">Ridge (L2)</option><option value="lasso">Lasso (L1)</option><option value="elasticnet">ElasticNet</option></select></label>
+      <label>Regularization λ: <input id="ridgeLambda" type="number" value="0" step="0.1" min="0" style="width:100px"></label>
+      <label id="autoLambdaLabel" style="display:none"><input id="autoLambda" type="checkbox" checked> choose λ by CV</label>
+      <label id="l1RatioLabel" style="display:none">L1 ratio α: <input id="l1Ratio" type="number" value="0.5" step="0.1" min="0" max="1" style="width:60px"></label>
+      <label>CV Folds: <input id="cvFolds" type="number" value="0" step="1" min="0" style="width:80px"></label>
+      <label>Test fraction: <input id="testFrac" type="number" value="0.2" step="0.05" min="0" max="0.9" style="width:80px"></label>
+      <button id="runExpandedLR">Run Expanded LR</button>
+    </div>
+    <canvas id="featureImportance" height="160" style="margin-top:8px"></canvas>
+    <div id="regPathWrap" style="display:none;height:220px;margin-top:8px"><canvas id="regPathChart"></canvas></div>
+  `;
+  const left = document.getElementById('left-panel');
+  left.appendChild(panel);
+  const penaltySel = document.getElementById('penaltyKind');
+  penaltySel.addEventListener('change', () => {
+    document.getElementById('autoLambdaLabel').style.display = penaltySel.value === 'ridge' ? 'none' : '';
+    document.getElementById('l1RatioLabel').style.display = penaltySel.value === 'elasticnet' ? '' : 'none';
+  });
+  document.getElementById('runExpandedLR').addEventListener('click', async () => {
+    const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
+    const target = targetSelect.value;
+    if (!target) return alert('Choose a target');
+    if (features.length === 0) return alert('Choose features');
+    const lambda = parseFloat(document.getElementById('ridgeLambda').value) || 0;
+    const cv = parseInt(document.getElementById('cvFolds').value) || 0;
+    const testFrac = parseFloat(document.getElementById('testFrac').value) || 0.2;
+    if (penaltySel.value !== 'ridge') {
+      const alpha = penaltySel.value === 'lasso' ? 1 : Math.min(1, Math.max(0, parseFloat(document.getElementById('l1Ratio').value) || 0));
+      const auto = document.getElementById('autoLambda').checked;
+      modelPre.textContent = `Fitting ${penaltySel.value === 'lasso' ? 'Lasso' : 'ElasticNet'} path…`;
+      try {
+        const res = await runJob('fitElasticNet', [features, target, { alpha, lambda: auto ? null : lambda, cvFolds: cv > 1 ? cv : 5 }], { label: 'Regularization path' });
+        const m = res.model;
+        storeModel(`${m.penalty}_${Date.now()}`, m);
+        modelPre.textContent = [
+          `${m.penalty === 'lasso' ? 'Lasso' : `ElasticNet (α = ${m.alpha})`}: λ = ${+m.lambda.toPrecision(4)}` +
+            (res.cv ? ` chosen by ${res.cv.folds}-fold CV (RMSE ${res.cv.mean[res.cv.best].toFixed(4)} ± ${res.cv.std[res.cv.best].toFixed(4)}; 1-SE rule λ = ${+res.path.lambdas[res.cv.oneSE].toPrecision(4)})` : ''),
+          `Train R² ${m.trainMetrics.r2.toFixed(4)} · RMSE ${m.trainMetrics.rmse.toFixed(4)} · n = ${m.nTrain}`,
+          `Zeroed (${m.zeroed.length} of ${features.length}): ${m.zeroed.length ? m.zeroed.join(', ') : 'none'}`,
+          '',
+          JSON.stringify({ ...m, trainingPipeline: undefined, trainingTouched: undefined }, null, 2)
+        ].join('\n');
+        drawFeatureImportance(features, m.coefficients, m.zeroed);
+        drawRegularizationPath(features, res);
+      } catch (err) {
+        modelPre.textContent = err.cancelled ? 'Fit cancelled' : 'Fit failed: ' + err.message;
+      }
+      return;
+    }
+    try {
+      const res = await runJob('fitLinearRegressionExpanded', [features, target, { regularization: lambda, cvFolds: cv, testFraction: testFrac }], { label: 'Expanded linear regression' });
+      storeModel('linear_exp_' + Date.now(), res);
+      modelPre.textContent = JSON.stringify({ ...res, trainingPipeline: undefined, trainingTouched: undefined }, null, 2);
+      // feature importance: absolute coefficients
+      drawFeatureImportance(features, res.coefficients);
+    } catch (err) {
+      if (!err.cancelled) alert('LR failed: ' + err.message);
+    }
+  });
+})();
+
+// ------------------
+// Hyperparameter Search panel: grid or random search over each model's parameters, scored by
+// k-fold CV in the worker; shows a results table and a validation curve and registers the best model.
+// ------------------
+// Default values per parameter; integer parameters are rounded when sampled, `min` is the smallest valid value.
+const SEARCH_SPACES = {
+  ridge: { label: 'Ridge regression', params: { lambda: { label: 'λ', values: '0, 0.01, 0.1, 1, 10, 100', min: 0 } } },
+  logistic: { label: 'Logistic regression', params: {
+    lr: { label: 'Learning rate', values: '0.01, 0.1, 0.5, 1', min: 1e-6 },
+    epochs: { label: 'Epochs', values: '100, 300', integer: true, min: 1 },
+    lambda: { label: 'Regularization λ', values: '0, 0.1, 1', min: 0 }
+  } },
+  kmeans: { label: 'k-means', params: { k: { label: 'k', values: '2, 3, 4, 5, 6, 7, 8', integer: true, min: 2 } } }
+};
+
+// Grid: every combination of the listed values. Random: `count` draws between the smallest and largest
+// listed value, log-uniform when both are positive and a decade or more apart.
+function searchConfigs(kind, values, mode, count) {
+  const params = SEARCH_SPACES[kind].params;
+  const names = Object.keys(params);
+  if (mode === 'grid') return names.reduce((acc, name) => acc.flatMap(c => values[name].map(v => ({ ...c, [name]: v }))), [{}]);
+  return Array.from({length: count}, () => Object.fromEntries(names.map(name => {
+    const lo = Math.min(...values[name]), hi = Math.max(...values[name]), u = Math.random();
+    const v = lo > 0 && hi / lo >= 10 ? Math.exp(Math.log(lo) + u * (Math.log(hi) - Math.log(lo))) : lo + u * (hi - lo);
+    return [name, params[name].integer ? Math.round(v) : +v.toPrecision(3)];
+  })));
+}
+
+let lastSearch = null;   // { kind, key, metric, higherIsBetter, folds, results, best }
+
+function formatSearchParams(params) {
+  return Object.entries(params).map(([k, v]) => `${k}=${v}`).join(', ');
+}
+
+function renderSearchParams() {
+  const kind = document.getElementById('searchModel').value;
+  const params = SEARCH_SPACES[kind].params;
+  document.getElementById('searchParams').innerHTML = Object.entries(params).map(([name, p]) =>
+    `<label>${escapeHtml(p.label)}: <input id="searchParam_${name}" type="text" value="${escapeHtml(p.values)}" style="width:180px"></label>`).join('');
+}
+
+function renderSearchResults() {
+  const s = lastSearch;
+  const wrap = document.getElementById('searchResults');
+  if (!s) { wrap.innerHTML = ''; return; }
+  const names = Object.keys(s.results[0].params);
+  const num = v => +v.toFixed(4);
+  const order = s.results.map((r, i) => i).sort((a, b) => {
+    const ra = s.results[a], rb = s.results[b];
+    if (ra.error || rb.error) return ra.error ? (rb.error ? 0 : 1) : -1;
+    return s.higherIsBetter ? rb.score - ra.score : ra.score - rb.score;
+  });
+  wrap.innerHTML = `<table class="table">
+    <thead><tr><th>#</th>${names.map(n => `<th>${escapeHtml(n)}</th>`).join('')}<th>train ${s.metric}</th><th>CV ${s.metric} (mean ± sd)</th></tr></thead>
+    <tbody>${order.map((i, rank) => {
+      const r = s.results[i];
+      const cells = names.map(n => `<td>${r.params[n]}</td>`).join('');
+      const scores = r.error ? `<td colspan="2">${escapeHtml(r.error)}</td>` : `<td>${num(r.train)}</td><td>${num(r.score)} ± ${num(r.std)}</td>`;
+      return `<tr${i === s.best ? ' style="font-weight:bold"' : ''}><td>${rank + 1}</td>${cells}${scores}</tr>`;
+    }).join('')}</tbody>
+  </table>`;
+  drawValidationCurve();
+}
+
+// Train and CV score against one parameter; each value shows its best configuration over the other parameters.
+function drawValidationCurve() {
+  const s = lastSearch;
+  destroyChart('searchCurve');
+  if (!s) return;
+  const param = document.getElementById('searchCurveParam').value;
+  const bestAt = new Map();
+  for (const r of s.results) {
+    if (r.error || !Number.isFinite(r.score)) continue;
+    const x = r.params[param], cur = bestAt.get(x);
+    if (!cur || (s.higherIsBetter ? r.score > cur.score : r.score < cur.score)) bestAt.set(x, r);
+  }
+  const points = [...bestAt.entries()].sort((a, b) => a[0] - b[0]);
+  const xs = points.map(p => p[0]);
+  const logScale = xs.length > 1 && xs[0] > 0 && xs[xs.length - 1] / xs[0] >= 100;
+  chartInstances['searchCurve'] = new Chart(document.getElementById('searchCurveChart').getContext('2d'), {
+    type: 'scatter',
+    data: { datasets: [
+      { label: `train ${s.metric}`, data: points.map(([x, r]) => ({ x, y: r.train })), showLine: true },
+      { label: `CV ${s.metric}`, data: points.map(([x, r]) => ({ x, y: r.score })), showLine: true }
+    ] },
+    options: {
+      scales: { x: { type: logScale ? 'logarithmic' : 'linear', title: { display: true, text: param } }, y: { title: { display: true, text: s.metric } } },
+      responsive: true, maintainAspectRatio: false
+    }
+  });
+}
+
+(function addHyperparameterSearch() {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Hyperparameter Search</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <label>Model: <select id="searchModel">${Object.entries(SEARCH_SPACES).map(([k, s]) => `<option value="${k}">${s.label}</option>`).join('')}</select></label>
+      <label>Strategy: <select id="searchMode"><option value="grid">Grid</option><option value="random">Random</option></select></label>
+      <label>Samples: <input id="searchIterations" type="number" value="20" step="1" min="1" style="width:60px"></label>
+      <label>Folds: <input id="searchFolds" type="number" value="5" step="1" min="2" style="width:60px"></label>
+      <button id="runSearch">Run Search</button>
+    </div>
+    <div id="searchParams" style="display:flex;gap:8px;flex-wrap:wrap;margin-top:6px"></div>
+    <div class="note">Comma-separated values. Grid tries every combination; random samples between the smallest and largest value.</div>
+    <div id="searchResults" style="max-height:220px;overflow:auto;margin-top:6px"></div>
+    <label>Validation curve over: <select id="searchCurveParam"></select></label>
+    <div style="height:200px;margin-top:6px"><canvas id="searchCurveChart"></canvas></div>
+  `;
+  document.getElementById('left-panel').appendChild(panel);
+  document.getElementById('searchModel').addEventListener('change', renderSearchParams);
+  document.getElementById('searchCurveParam').addEventListener('change', drawValidationCurve);
+  renderSearchParams();
+
+  document.getElementById('runSearch').addEventListener('click', async () => {
+    const kind = document.getElementById('searchModel').value;
+    const target = targetSelect.value;
+    const features = Array.from(featuresSelect.selectedOptions).map(o => o.value).filter(c => kind !== 'kmeans' || c !== CLUSTER_COLUMN);
+    if (kind !== 'kmeans' && !target) return alert('Choose a target');
+    if (!features.length) return alert('Choose features');
+    const values = {};
+    for (const [name, p] of Object.entries(SEARCH_SPACES[kind].params)) {
+      const list = document.getElementById('searchParam_' + name).value.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+      if (!list.length || list.some(v => !Number.isFinite(v))) return alert(`${p.label}: enter comma-separated numbers`);
+      if (list.some(v => v < p.min)) return alert(`${p.label}: values must be at least ${p.min}`);
+      values[name] = p.integer ? unique(list.map(Math.round)) : unique(list);
+    }
+    const mode = document.getElementById('searchMode').value;
+    const configs = searchConfigs(kind, values, mode, Math.max(1, parseInt(document.getElementById('searchIterations').value) || 20));
+    const folds = Math.max(2, parseInt(document.getElementById('searchFolds').value) || 5);
+    modelPre.textContent = `Searching ${configs.length} configurations with ${folds}-fold CV…`;
+    let out;
+    try {
+      out = await runJob('hyperparameterSearch', [kind, features, target, configs, folds, Math.max(1, parseInt(kRestarts.value) || 3)], { label: `${SEARCH_SPACES[kind].label} search` });
+    } catch (err) {
+      modelPre.textContent = err.cancelled ? 'Search cancelled' : 'Search failed: ' + err.message;
+      return;
+    }
+    const key = `${kind}_search_${Date.now()}`;
+    storeModel(key, out.model);
+    lastSearch = { kind, key, metric: out.metric, higherIsBetter: out.higherIsBetter, folds: out.folds, results: out.results, best: out.best };
+    const curveSel = document.getElementById('searchCurveParam');
+    fillSelect(curveSel, Object.keys(SEARCH_SPACES[kind].params));
+    renderSearchResults();
+    const best = out.results[out.best];
+    const failed = out.results.filter(r => r.error).length;
+    modelPre.textContent = `${SEARCH_SPACES[kind].label}: ${configs.length} configurations × ${out.folds}-fold CV` +
+      (failed ? ` (${failed} failed)` : '') +
+      `\nBest: ${formatSearchParams(best.params)} · CV ${out.metric} ${best.score.toFixed(4)} ± ${best.std.toFixed(4)}` +
+      `\nRefit on all rows and registered as ${key}`;
+    if (kind === 'logistic') showClassificationEvaluation(key);
+  });
+})();
+
+// ------------------
+// Import preview: shows detected format, delimiter, encoding and header row; data only replaces
+// workingData once the user confirms. Overrides re-parse the same bytes/text.
+// ------------------
+let pendingImport = null; // { name, buffer?, text?, rows }
+
+function showImportPreview(source) {
+  pendingImport = { ...source, rows: [] };
+  document.getElementById('importFormat').value = 'auto';
+  document.getElementById('importDelimiter').value = 'auto';
+  document.getElementById('importEncoding').value = 'auto';
+  document.getElementById('importDecimalComma').value = 'auto';
+  document.getElementById('importPreview').style.display = 'block';
+  refreshImportPreview();
+}
+
+function refreshImportPreview() {
+  if (!pendingImport) return;
+  const info = document.getElementById('importInfo');
+  const table = document.getElementById('importTable');
+  const encodingSel = document.getElementById('importEncoding');
+  let text = pendingImport.text, encoding = 'n/a (pasted text)';
+  if (pendingImport.buffer) ({ text, encoding } = decodeBytes(pendingImport.buffer, encodingSel.value));
+  try {
+    const res = parseDataText(text, {
+      filename: pendingImport.name,
+      format: document.getElementById('importFormat').value,
+      delimiter: document.getElementById('importDelimiter').value,
+      decimalComma: { auto: 'auto', yes: true, no: false }[document.getElementById('importDecimalComma').value]
+    });
+    pendingImport.rows = res.rows;
+    const headers = res.rows.length ? Object.keys(res.rows[0]) : [];
+    const delimName = { ',': 'comma', '\t': 'tab', ';': 'semicolon', '|': 'pipe' }[res.delimiter] || '—';
+    info.textContent = `${pendingImport.name}: ${res.rows.length} rows · format ${res.format} · delimiter ${delimName} · encoding ${encoding}` +
+      (res.decimalComma ? ' · decimal commas converted' : '') + `\nHeader (${headers.length}): ${headers.join(', ')}`;
+    const preview = res.rows.slice(0, 5);
+    table.innerHTML = preview.length ? `<table class="table"><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+      <tbody>${preview.map(r => `<tr>${headers.map(h => `<td>${escapeHtml(r[h])}</td>`).join('')}</tr>`).join('')}</tbody></table>` : '';
+    document.getElementById('confirmImport').disabled = res.rows.length === 0;
+  } catch (err) {
+    pendingImport.rows = [];
+    info.textContent = `${pendingImport.name}: could not parse — ${err.message}`;
+    table.innerHTML = '';
+    document.getElementById('confirmImport').disabled = true;
+  }
+}
+
+(function addImportPreview() {
+  const panel = document.createElement('div');
+  panel.id = 'importPreview';
+  panel.className = 'card';
+  panel.style.display = 'none';
+  panel.innerHTML = `
+    <h4>Import Preview</h4>
+    <pre id="importInfo" style="white-space:pre-wrap;font-size:12px"></pre>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <label>Format <select id="importFormat"><option value="auto">Auto</option><option value="delimited">Delimited</option><option value="json">JSON</option><option value="ndjson">NDJSON</option></select></label>
+      <label>Delimiter <select id="importDelimiter"><option value="auto">Auto</option><option value=",">Comma</option><option value="\t">Tab</option><option value=";">Semicolon</option><option value="|">Pipe</option></select></label>
+      <label>Encoding <select id="importEncoding"><option value="auto">Auto</option><option value="utf-8">UTF-8</option><option value="utf-16le">UTF-16 LE</option><option value="utf-16be">UTF-16 BE</option><option value="windows-1252">Windows-1252</option><option value="iso-8859-1">ISO-8859-1</option></select></label>
+      <label>Decimal comma <select id="importDecimalComma"><option value="auto">Auto</option><option value="yes">Yes</option><option value="no">No</option></select></label>
+    </div>
+    <div id="importTable" class="table-wrapper" style="max-height:160px"></div>
+    <div style="display:flex;gap:8px;margin-top:6px"><button id="confirmImport">Load Data</button><button id="cancelImport">Cancel</button></div>
+  `;
+  // directly below the paste/parse controls
+  parseBtn.parentElement.after(panel);
+  for (const id of ['importFormat', 'importDelimiter', 'importEncoding', 'importDecimalComma']) {
+    document.getElementById(id).addEventListener('change', refreshImportPreview);
+  }
+  document.getElementById('confirmImport').addEventListener('click', () => {
+    if (!pendingImport || !pendingImport.rows.length) return;
+    const { rows, name } = pendingImport;
+    pendingImport = null;
+    panel.style.display = 'none';
+    addDataset(name.replace(/\.[^.]+$/, ''), rows, { replay: replayOnLoad() });
+  });
+  document.getElementById('cancelImport').addEventListener('click', () => {
+    pendingImport = null;
+    panel.style.display = 'none';
+  });
+})();
+
+// ------------------
+// Workspace panel: dataset switcher, joins and appends
+// ------------------
+function renderWorkspace() {
+  const switcher = document.getElementById('datasetSwitcher');
+  if (!switcher) return;
+  stashActiveDataset();
+  const names = Object.keys(datasets);
+  fillSelect(switcher, names);
+  switcher.value = activeDataset || '';
+  for (const id of ['joinLeft', 'joinRight']) {
+    const sel = document.getElementById(id), prev = sel.value;
+    fillSelect(sel, names);
+    if (names.includes(prev)) sel.value = prev;
+  }
+  if (names.length > 1 && document.getElementById('joinLeft').value === document.getElementById('joinRight').value) {
+    document.getElementById('joinRight').value = names.find(n => n !== document.getElementById('joinLeft').value);
+  }
+  const appendSel = document.getElementById('appendDatasets');
+  const picked = Array.from(appendSel.selectedOptions).map(o => o.value);
+  fillMultiSelect(appendSel, names);
+  Array.from(appendSel.options).forEach(o => { o.selected = picked.includes(o.value); });
+  refreshJoinKeys();
+  document.getElementById('datasetRelations').innerHTML = datasetRelations.map(rel => `<li>${escapeHtml(rel.output)} ← ${escapeHtml(rel.op === 'join'
+    ? `${rel.inputs[0]} ${rel.params.how} join ${rel.inputs[1]} on ${rel.params.leftKeys.map((k, i) => `${k}=${rel.params.rightKeys[i]}`).join(', ')}`
+    : `append ${rel.inputs.join(' + ')}`)}</li>`).join('');
+}
+
+function refreshJoinKeys() {
+  for (const side of ['Left', 'Right']) {
+    const name = document.getElementById('join' + side).value;
+    const sel = document.getElementById(`join${side}Keys`);
+    const prev = Array.from(sel.selectedOptions).map(o => o.value);
+    let cols = [];
+    try { const rows = name ? datasetView(name) : []; cols = rows.length ? Object.keys(rows[0]) : []; } catch (err) { cols = []; }
+    fillMultiSelect(sel, cols);
+    Array.from(sel.options).forEach(o => { o.selected = prev.includes(o.value); });
+  }
+  // pre-select a shared column name as the key when one side has nothing chosen
+  const leftSel = document.getElementById('joinLeftKeys'), rightSel = document.getElementById('joinRightKeys');
+  if (!leftSel.selectedOptions.length || !rightSel.selectedOptions.length) {
+    const rightCols = Array.from(rightSel.options).map(o => o.value);
+    const shared = Array.from(leftSel.options).find(o => rightCols.includes(o.value));
+    if (shared) {
+      Array.from(leftSel.options).forEach(o => { o.selected = o === shared; });
+      Array.from(rightSel.options).forEach(o => { o.selected = o.value === shared.value; });
+    }
+  }
+}
+
+function formatJoinReport(r, output) {
+  const lines = [
+    `${r.how} join → ${output}: ${r.resultRows} rows (${r.leftRows} left, ${r.rightRows} right, ${r.matchedPairs} matched pairs)`,
+    `Unmatched left rows: ${r.unmatchedLeft}${r.unmatchedLeftKeys.length ? ` (e.g. ${r.unmatchedLeftKeys.join(', ')})` : ''}`,
+    `Unmatched right rows: ${r.unmatchedRight}${r.unmatchedRightKeys.length ? ` (e.g. ${r.unmatchedRightKeys.join(', ')})` : ''}`
+  ];
+  if (r.duplicateLeftKeys) lines.push(`Key collisions: ${r.duplicateLeftKeys} key value(s) repeat in the left dataset`);
+  if (r.duplicateRightKeys) lines.push(`Key collisions: ${r.duplicateRightKeys} key value(s) repeat in the right dataset, so matching left rows were duplicated`);
+  if (r.manyToManyKeys) lines.push(`Many-to-many: ${r.manyToManyKeys} key value(s) repeat on both sides`);
+  if (r.renamed.length) lines.push(`Renamed clashing columns: ${r.renamed.join(', ')}`);
+  return lines.join('\n');
+}
+
+function formatAppendReport(r, output) {
+  const lines = [`append → ${output}: ${r.resultRows} rows, ${r.columns} columns from ${r.parts.join(' + ')}`];
+  if (r.renamed.length) lines.push(`Aligned column names: ${r.renamed.join(', ')}`);
+  lines.push(...r.missing);
+  if (r.typeConflicts.length) lines.push(`Type conflicts: ${r.typeConflicts.join('; ')}`);
+  return lines.join('\n');
+}
+
+(function addWorkspacePanel() {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Workspace</h4>
+    <div class="row" style="align-items:center">
+      <label>Dataset <select id="datasetSwitcher"></select></label>
+      <button id="removeDataset">Remove</button>
+    </div>
+    <details style="margin-top:6px">
+      <summary>Join</summary>
+      <div class="row">
+        <label>Left <select id="joinLeft"></select></label>
+        <label>Right <select id="joinRight"></select></label>
+        <label>How <select id="joinHow"><option value="inner">Inner</option><option value="left">Left</option><option value="right">Right</option><option value="outer">Outer</option></select></label>
+      </div>
+      <div class="row">
+        <label>Left keys <select id="joinLeftKeys" multiple size="3"></select></label>
+        <label>Right keys <select id="joinRightKeys" multiple size="3"></select></label>
+      </div>
+      <button id="joinDatasets" style="margin-top:6px">Join</button>
+    </details>
+    <details style="margin-top:6px">
+      <summary>Append</summary>
+      <div class="row">
+        <select id="appendDatasets" multiple size="3"></select>
+        <label><input type="checkbox" id="appendSource" checked> Add source column</label>
+      </div>
+      <button id="appendDatasetsBtn" style="margin-top:6px">Append</button>
+    </details>
+    <pre id="workspaceReport" class="note" style="white-space:pre-wrap"></pre>
+    <ol id="datasetRelations" class="note" style="padding-left:18px"></ol>
+  `;
+  document.getElementById('importPreview').after(panel);
+  const report = document.getElementById('workspaceReport');
+  document.getElementById('datasetSwitcher').addEventListener('change', e => switchDataset(e.target.value));
+  document.getElementById('removeDataset').addEventListener('click', () => {
+    if (activeDataset !== null && confirm(`Remove dataset '${activeDataset}' from the workspace?`)) removeDataset(activeDataset);
+  });
+  document.getElementById('joinLeft').addEventListener('change', refreshJoinKeys);
+  document.getElementById('joinRight').addEventListener('change', refreshJoinKeys);
+  document.getElementById('joinDatasets').addEventListener('click', () => {
+    const left = document.getElementById('joinLeft').value, right = document.getElementById('joinRight').value;
+    const how = document.getElementById('joinHow').value;
+    const keys = id => Array.from(document.getElementById(id).selectedOptions).map(o => o.value);
+    const leftKeys = keys('joinLeftKeys'), rightKeys = keys('joinRightKeys');
+    if (!left || !right) return alert('Load at least one dataset to join');
+    try {
+      const result = joinRows(datasetView(left), datasetView(right), leftKeys, rightKeys, how);
+      const output = addDataset(`${left}_${how}_${right}`, result.rows);
+      datasetRelations.push({ op: 'join', inputs: [left, right], params: { how, leftKeys, rightKeys }, output });
+      renderWorkspace();
+      report.textContent = formatJoinReport(result.report, output);
+    } catch (err) {
+      report.textContent = 'Join failed: ' + err.message;
+    }
+  });
+  document.getElementById('appendDatasetsBtn').addEventListener('click', () => {
+    const names = Array.from(document.getElementById('appendDatasets').selectedOptions).map(o => o.value);
+    if (names.length < 2) return alert('Select at least two datasets to append');
+    const result = appendRows(names.map(name => ({ name, rows: datasetView(name) })),
+      { sourceColumn: document.getElementById('appendSource').checked ? 'source_dataset' : null });
+    const output = addDataset(names.join('_'), result.rows);
+    datasetRelations.push({ op: 'append', inputs: names, params: { sourceColumn: document.getElementById('appendSource').checked }, output });
+    renderWorkspace();
+    report.textContent = formatAppendReport(result.report, output);
+  });
+  renderWorkspace();
+})();
+
+// ------------------
+// Column Types card: inferred type per column with a per-column override
+// ------------------
+function renderColumnTypes() {
+  const list = document.getElementById('columnTypesList');
+  if (!list) return;
+  if (columns.length === 0) { list.innerHTML = '<div class="note">(no data)</div>'; return; }
+  const inferred = inferColumnTypes(workingData);
+  list.innerHTML = columns.map(c => `
+    <div class="row" style="align-items:center;margin-top:4px">
+      <span style="flex:1;overflow:hidden;text-overflow:ellipsis" title="${escapeHtml(c)}">${escapeHtml(c)}</span>
+      <select data-col="${escapeHtml(c)}">
+        <option value="">auto (${inferred[c]})</option>
+        ${COLUMN_TYPES.map(t => `<option value="${t}"${colTypeOverrides[c] === t ? ' selected' : ''}>${t}</option>`).join('')}
+      </select>
+    </div>`).join('');
+}
+
+(function addColumnTypesCard() {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `<h4>Column Types</h4><div id="columnTypesList" style="max-height:240px;overflow:auto"></div>`;
+  // next to the dataset summary the types drive
+  summaryPre.parentElement.after(card);
+  document.getElementById('columnTypesList').addEventListener('change', e => {
+    const col = e.target.dataset.col;
+    if (!col) return;
+    if (e.target.value) colTypeOverrides[col] = e.target.value; else delete colTypeOverrides[col];
+    postProcessState();
+  });
+})();
+
+// ------------------
+// Hypothesis Tests card: pick a test and its columns, report statistic, p-value, effect size and
+// a plain-language reading at α = 0.05
+// ------------------
+const HYPOTHESIS_TESTS = {
+  welch: { label: "Welch's t-test (two groups)", x: 'Value', y: 'Group by', levels: true },
+  mannwhitney: { label: 'Mann-Whitney U (two groups)', x: 'Value', y: 'Group by', levels: true },
+  anova: { label: 'One-way ANOVA (all groups)', x: 'Value', y: 'Group by' },
+  paired: { label: 'Paired t-test (two columns)', x: 'Before', y: 'After', yNumeric: true },
+  chisq: { label: 'Chi-square test of independence', x: 'Rows', y: 'Columns', xCategorical: true },
+  shapiro: { label: 'Shapiro-Wilk normality test', x: 'Value' }
+};
+const TEST_ALPHA = 0.05;
+
+function formatP(p) { return p < 0.0001 ? 'p < 0.0001' : `p = ${p.toFixed(4)}`; }
+
+function runHypothesisTest(kind, x, y, levelA, levelB) {
+  const types = colTypes;
+  const num = (r, c) => numericValue(r[c], types[c]);
+  const level = (r, c) => isMissing(r[c]) ? null : String(r[c]).trim();
+  const fmt = v => (+v.toFixed(4)).toString();
+  const sig = p => p < TEST_ALPHA;
+  const valuesFor = lv => workingData.filter(r => level(r, y) === lv).map(r => num(r, x)).filter(v => !Number.isNaN(v));
+  let res, text;
+  if (kind === 'welch' || kind === 'mannwhitney') {
+    if (!levelA || !levelB || levelA === levelB) throw new Error('Choose two different groups');
+    const a = valuesFor(levelA), b = valuesFor(levelB);
+    if (kind === 'welch') {
+      res = welchTTest(a, b);
+      text = `Mean ${x} is ${fmt(res.means[0])} for ${levelA} and ${fmt(res.means[1])} for ${levelB}. ` +
+        (sig(res.p) ? `The difference is statistically significant` : `There is no statistically significant difference`) +
+        ` (${formatP(res.p)}), and the effect size is ${res.effectLabel}.`;
+    } else {
+      res = mannWhitneyU(a, b);
+      text = `Median ${x} is ${fmt(res.medians[0])} for ${levelA} and ${fmt(res.medians[1])} for ${levelB}. ` +
+        (sig(res.p) ? `Values in ${res.effect > 0 ? levelA : levelB} tend to be higher, a statistically significant shift` : `There is no statistically significant difference between the two distributions`) +
+        `; the effect size is ${res.effectLabel}.`;
+    }
+  } else if (kind === 'anova') {
+    const levels = unique(workingData.map(r => level(r, y)).filter(v => v !== null));
+    if (levels.length > 50) throw new Error(`'${y}' has ${levels.length} groups; choose a column with fewer levels`);
+    res = oneWayAnova(levels.map(lv => ({ name: lv, values: valuesFor(lv) })));
+    text = `Group means: ${res.means.map(([g, m]) => `${g} ${fmt(m)}`).join(', ')}. ` +
+      (sig(res.p) ? `At least one group mean differs significantly from the others` : `There is no evidence that the group means differ`) +
+      `; group membership explains ${(res.effect * 100).toFixed(1)}% of the variance (${res.effectLabel}).`;
+  } else if (kind === 'paired') {
+    res = pairedTTest(workingData.map(r => [num(r, x), num(r, y)]).filter(([a, b]) => !Number.isNaN(a) && !Number.isNaN(b)));
+    text = `Across ${res.n[0]} complete pairs, ${x} − ${y} averages ${fmt(res.meanDifference)}. ` +
+      (sig(res.p) ? `This change is statistically significant` : `This change is not statistically significant`) + `; the effect size is ${res.effectLabel}.`;
+  } else if (kind === 'chisq') {
+    res = chiSquareIndependence(workingData.map(r => [level(r, x), level(r, y)]).filter(([a, b]) => a !== null && b !== null));
+    text = (sig(res.p) ? `${x} and ${y} are associated (statistically significant)` : `There is no evidence that ${x} and ${y} are associated`) +
+      `; the strength of association is ${res.effectLabel}.` +
+      (res.lowExpected / res.cells > 0.2 ? ` Caution: ${res.lowExpected} of ${res.cells} cells expect fewer than 5 rows, so the p-value is unreliable.` : '');
+  } else {
+    res = shapiroWilk(workingData.map(r => num(r, x)).filter(v => !Number.isNaN(v)));
+    text = sig(res.p)
+      ? `${x} departs significantly from a normal distribution${res.n[0] > 1000 ? ' (with this many rows even small departures are detected; check the histogram)' : ''}.`
+      : `${x} is consistent with a normal distribution.`;
+  }
+  return { ...res, interpretation: text };
+}
+
+function formatTestResult(res) {
+  const df = res.df === undefined ? '' : ` (df ${Array.isArray(res.df) ? res.df.map(d => +d.toFixed(2)).join(', ') : +res.df.toFixed(2)})`;
+  return [
+    res.test,
+    `n = ${res.n.join(' / ')}`,
+    `${res.statName} = ${res.statistic.toFixed(4)}${df}${res.z !== undefined ? ` · z = ${res.z.toFixed(3)}` : ''}`,
+    formatP(res.p),
+    res.effect === null ? 'Effect size: n/a (W itself measures closeness to normal, 1 = perfect)' : `Effect size: ${res.effectName} = ${res.effect.toFixed(4)} (${res.effectLabel})`,
+    '',
+    res.interpretation
+  ].join('\n');
+}
+
+function refreshTestOptions() {
+  const kindSel = document.getElementById('testKind');
+  if (!kindSel) return;
+  const spec = HYPOTHESIS_TESTS[kindSel.value];
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]));
+  // grouping columns: categoricals/booleans, plus numeric columns with only a few distinct values
+  const groupCols = columns.filter(c => isNumericType(colTypes[c])
+    ? unique(workingData.map(r => r[c])).length <= 20
+    : !['text', 'datetime', 'identifier'].includes(colTypes[c]));
+  const fill = (id, opts) => {
+    const sel = document.getElementById(id), prev = sel.value;
+    fillSelect(sel, opts);
+    if (opts.includes(prev)) sel.value = prev;
+  };
+  document.getElementById('testXLabel').textContent = spec.x;
+  document.getElementById('testYLabel').textContent = spec.y || '';
+  document.getElementById('testYWrap').style.display = spec.y ? '' : 'none';
+  document.getElementById('testLevels').style.display = spec.levels ? '' : 'none';
+  fill('testX', spec.xCategorical ? groupCols : numericCols);
+  if (spec.y) fill('testY', spec.yNumeric ? numericCols : groupCols);
+  refreshTestLevels();
+}
+
+function refreshTestLevels() {
+  const y = document.getElementById('testY').value;
+  const levels = y ? unique(workingData.map(r => isMissing(r[y]) ? null : String(r[y]).trim()).filter(v => v !== null)) : [];
+  for (const [id, idx] of [['testA', 0], ['testB', 1]]) {
+    const sel = document.getElementById(id), prev = sel.value;
+    fillSelect(sel, levels);
+    sel.value = levels.includes(prev) ? prev : (levels[idx] || '');
+  }
+}
+
+(function addHypothesisTestCard() {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `
+    <h4>Hypothesis Tests</h4>
+    <div class="row">
+      <select id="testKind">${Object.entries(HYPOTHESIS_TESTS).map(([k, t]) => `<option value="${k}">${t.label}</option>`).join('')}</select>
+    </div>
+    <div class="row">
+      <label><span id="testXLabel"></span> <select id="testX"></select></label>
+      <label id="testYWrap"><span id="testYLabel"></span> <select id="testY"></select></label>
+    </div>
+    <div class="row" id="testLevels">
+      <label>Group A <select id="testA"></select></label>
+      <label>Group B <select id="testB"></select></label>
+    </div>
+    <div class="row"><button id="runTest">Run Test</button></div>
+    <pre id="testOutput" style="white-space:pre-wrap"></pre>
+  `;
+  // under the descriptive summary it complements
+  summaryPre.parentElement.after(card);
+  document.getElementById('testKind').addEventListener('change', refreshTestOptions);
+  document.getElementById('testY').addEventListener('change', refreshTestLevels);
+  document.getElementById('runTest').addEventListener('click', () => {
+    const out = document.getElementById('testOutput');
+    const val = id => document.getElementById(id).value;
+    const spec = HYPOTHESIS_TESTS[val('testKind')];
+    if (!val('testX') || (spec.y && !val('testY'))) { out.textContent = 'Choose the columns for this test'; return; }
+    if (spec.y && val('testX') === val('testY')) { out.textContent = 'Choose two different columns'; return; }
+    try {
+      out.textContent = formatTestResult(runHypothesisTest(val('testKind'), val('testX'), val('testY'), val('testA'), val('testB')));
+    } catch (err) {
+      out.textContent = 'Test failed: ' + err.message;
+    }
+  });
+  refreshTestOptions();
+})();
+
+// ------------------
+// Ask: natural-language questions about the loaded data
+// - A provider turns the question into an intent; the built-in 'offline' provider is a keyword
+//   parser, 'endpoint' asks a local LLM server. Intents are validated against the columns and then
+//   answered by the existing operations (summaries, correlations, pivots, model training).
+// - Other providers plug in with registerAskProvider(name, { label, resolve(question, schema) }),
+//   e.g. a mock: registerAskProvider('mock', { label: 'Mock', resolve: async () => ({ kind: 'overview' }) }).
+//   resolve returns an intent, or { answer } for a plain-text reply.
+// ------------------
+// Intent shapes; sent to LLM providers so they know what to return. `where` narrows the rows
+// first and is written like the query bar, e.g. "age > 30 and department = 'Eng'".
+const ASK_INTENTS = {
+  aggregate: '{ kind: "aggregate", agg: "count"|"sum"|"mean"|"median"|"min"|"max"|"distinct", value: column|null, by: column|null, order: "desc"|"asc"|null, limit: number|null, where: filter|null }',
+  distinct: '{ kind: "distinct", column, where: filter|null }',
+  correlate: '{ kind: "correlate", column: numeric column|null, other: numeric column|null, where: filter|null }',
+  describe: '{ kind: "describe", column, where: filter|null }',
+  overview: '{ kind: "overview", where: filter|null }',
+  missing: '{ kind: "missing", where: filter|null }',
+  train: '{ kind: "train", target: column, features: [numeric columns] (empty = all numeric) }'
+};
+
+const ASK_AGGREGATION_WORDS = [
+  [/\b(average|mean|avg)\b/, 'mean'], [/\bmedian\b/, 'median'], [/\b(sum|total)\b/, 'sum'],
+  [/\b(min|minimum|lowest|smallest)\b/, 'min'], [/\b(max|maximum|highest|largest|biggest)\b/, 'max'],
+  [/\b(distinct|unique)\b/, 'distinct'], [/\b(count|how many|number of)\b/, 'count']
+];
+
+function askNormalize(s) { return String(s).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim(); }
+
+// Columns named in the question, in the order they appear. Longer names claim their words first
+// ('years experience' before 'experience'); simple plurals match too.
+function findColumnMentions(text, cols) {
+  const t = ` ${askNormalize(text)} `;
+  const taken = Array(t.length).fill(false);
+  const found = [];
+  for (const col of cols.slice().sort((a, b) => askNormalize(b).length - askNormalize(a).length)) {
+    const name = askNormalize(col);
+    if (!name) continue;
+    const forms = [name, name + 's', name + 'es', name.endsWith('y') ? name.slice(0, -1) + 'ies' : null].filter(Boolean);
+    for (const form of forms) {
+      const at = t.indexOf(` ${form} `);
+      if (at < 0 || taken.slice(at + 1, at + 1 + form.length).some(Boolean)) continue;
+      for (let i = at + 1; i <= at + form.length; i++) taken[i] = true;
+      found.push({ column: col, at });
+      break;
+    }
+  }
+  return found.sort((a, b) => a.at - b.at);
+}
+
+// Comparison phrases the offline parser rewrites as query-bar operators ('age over 35' -> `age` > 35)
+const ASK_COMPARISONS = [
+  ['>=', ['at least', 'no less than', '>=']],
+  ['<=', ['at most', 'no more than', '<=']],
+  ['!=', ['not equal to', 'other than', 'not', '!=', '<>']],
+  ['>', ['greater than', 'more than', 'higher than', 'larger than', 'bigger than', 'older than', 'over', 'above', 'after', '>']],
+  ['<', ['less than', 'fewer than', 'lower than', 'smaller than', 'younger than', 'under', 'below', 'before', '<']],
+  ['=', ['equal to', 'equals', 'is', 'are', '==', '=']]
+];
+// words after 'for' / 'in' / 'among' that do not single out rows ('for each department', 'in total')
+const ASK_FILLER_WORDS = ['each', 'every', 'all', 'this', 'that', 'these', 'those', 'it', 'them', 'total', 'general', 'data', 'dataset', 'table', 'file', 'column', 'columns', 'row', 'rows'];
+
+// '<column> <comparison> <number, date or quoted text>' phrases in `text`, in order and without
+// overlaps -> [{ at, end, expr }] with expr in query-bar syntax
+function askComparisons(text, cols) {
+  const esc = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const phrases = ASK_COMPARISONS.flatMap(([op, words]) => words.map(w => [w, op])).sort((a, b) => b[0].length - a[0].length);
+  const opOf = Object.fromEntries(phrases);
+  const phraseRe = phrases.map(([w]) => esc(w).replace(/ /g, '\\s+')).join('|');
+  const found = [];
+  // longer names claim their words first, as in findColumnMentions
+  for (const col of cols.slice().sort((a, b) => b.length - a.length)) {
+    const name = col.trim().split(/[\s_]+/).map(esc).join('[\\s_]+');
+    if (!name) continue;
+    const re = new RegExp(`(?<![\\w])${name}\\s*(?:(?:is|are)\\s+)?(${phraseRe})\\s*(\\d{4}-\\d\\d?-\\d\\d?|-?\\d+(?:\\.\\d+)?|'[^']*'|"[^"]*")`, 'gi');
+    for (const m of text.matchAll(re)) {
+      const at = m.index, end = at + m[0].length;
+      if (found.some(f => at < f.end && end > f.at)) continue;
+      const raw = m[2], op = opOf[m[1].toLowerCase().replace(/\s+/g, ' ')];
+      const value = /^-?\d+(\.\d+)?$/.test(raw) ? raw : `'${(/^['"]/.test(raw) ? raw.slice(1, -1) : raw).replace(/'/g, "''")}'`;
+      found.push({ at, end, expr: `\`${col}\` ${op} ${value}` });
+    }
+  }
+  return found.sort((a, b) => a.at - b.at);
+}
+
+// Splits the condition off a question -> { rest, where } (where: query-bar expression or null), or
+// { error } when the question holds a condition that cannot be turned into a filter; answering
+// it without the condition would answer a different question.
+function askCondition(question, cols) {
+  const q = question.replace(/[?!.]+\s*$/, '');
+  const rewrite = s => {
+    let out = '', last = 0;
+    for (const c of askComparisons(s, cols)) { out += s.slice(last, c.at) + c.expr; last = c.end; }
+    return out + s.slice(last);
+  };
+  const whereAt = q.search(/\bwhere\b/i);
+  if (whereAt >= 0) {
+    let clause = q.slice(whereAt + 'where'.length);
+    // a trailing 'by department' or 'top 3' still shapes the answer
+    const tail = clause.search(/\s(?:by|per|for each|for every|grouped by|group by|top|bottom)\s/i);
+    const rest = q.slice(0, whereAt) + (tail >= 0 ? clause.slice(tail) : '');
+    if (tail >= 0) clause = clause.slice(0, tail);
+    const where = rewrite(clause).trim();
+    try {
+      parseQuery(where, cols, 'expression');
+    } catch (err) {
+      return { error: `Could not read the condition '${clause.trim()}' (${err.message}). Write it like the query bar, e.g. "where age > 30 and department = 'Eng'"` };
+    }
+    return { rest, where };
+  }
+  const found = askComparisons(q, cols);
+  let rest = q;
+  for (const c of found.slice().reverse()) rest = rest.slice(0, c.at) + ' ' + rest.slice(c.end);
+  const unread = rest.match(/\b(whose|having|only|except|excluding|between|over|above|under|below|than|at least|at most)\b|[<>=]/i) ||
+    [...rest.matchAll(/\b(?:for|in|among)\s+(?:(?:the|a|an)\s+)?([\p{L}\p{N}_]+)/giu)].find(m =>
+      !ASK_FILLER_WORDS.includes(m[1].toLowerCase()) && !findColumnMentions(rest.slice(m.index + m[0].length - m[1].length), cols).some(x => x.at === 0));
+  if (unread) {
+    return { error: `Could not turn '${unread[0].trim()}' into a filter. Phrase conditions like "salary over 50000" or "where department = 'Eng'"` };
+  }
+  return { rest, where: found.length ? found.map(c => c.expr).join(' and ') : null };
+}
+
+// Offline intent parser. schema: [{ name, type }]. Returns an intent or { kind: 'unknown', message }.
+function parseQuestion(question, schema) {
+  const cols = schema.map(c => c.name);
+  const typeOf = Object.fromEntries(schema.map(c => [c.name, c.type]));
+  if (!askNormalize(question)) return { kind: 'unknown', message: 'Type a question first' };
+  // columns and keywords are read from the question without its condition
+  const condition = askCondition(question, cols);
+  if (condition.error) return { kind: 'unknown', message: condition.error };
+  const { where } = condition;
+  const text = askNormalize(condition.rest);
+  const mentions = findColumnMentions(condition.rest, cols);
+  const named = mentions.map(m => m.column);
+  const numeric = named.filter(c => isNumericType(typeOf[c]));
+
+  if (/\b(correlat\w*|related|relationship|associated|association)\b/.test(text)) {
+    return { kind: 'correlate', column: numeric[0] || null, other: numeric[1] || null, where };
+  }
+  if (/\b(predict|forecast|train|regress|regression|classify|model)\b/.test(text)) {
+    if (where) return { kind: 'unknown', message: 'Models train on every row in view; narrow the rows with the query bar first' };
+    if (!named.length) return { kind: 'unknown', message: 'Name the column to predict, e.g. "predict salary from age"' };
+    return { kind: 'train', target: named[0], features: named.slice(1) };
+  }
+  if (/\b(missing|null|nulls|empty|blank|incomplete)\b/.test(text)) return { kind: 'missing', where };
+
+  const aggWord = ASK_AGGREGATION_WORDS.find(([re]) => re.test(text));
+  const byMatch = text.match(/\b(?:by|per|for each|for every|across|grouped by|group by)\s/);
+  const rank = text.match(/\b(top|bottom)\s+(\d+)\b/);
+  // 'how many distinct departments' counts the values themselves; 'distinct x by y' still groups
+  if (aggWord && aggWord[1] === 'distinct' && !byMatch && named.length) return { kind: 'distinct', column: named[0], where };
+  if (aggWord || byMatch || rank) {
+    // group by the first column named after 'by' / 'per' / ..., else by the first categorical one named
+    const byAt = byMatch ? ` ${text} `.indexOf(` ${byMatch[0].trim()} `) : -1;
+    const byMention = byAt >= 0 ? mentions.find(m => m.at > byAt) : null;
+    const groupable = named.find(c => !isNumericType(typeOf[c]) && !['text', 'identifier'].includes(typeOf[c])) || null;
+    // 'top 3 departments by salary': a numeric column after 'by' is the measure, not the grouping
+    const by = byMention && !(isNumericType(typeOf[byMention.column]) && groupable) ? byMention.column : groupable;
+    const counting = aggWord && ['count', 'distinct'].includes(aggWord[1]);
+    const value = named.find(c => c !== by && (counting || isNumericType(typeOf[c]))) || null;
+    const order = rank ? (rank[1] === 'top' ? 'desc' : 'asc')
+      : /\b(highest|largest|biggest|most|top)\b/.test(text) ? 'desc' : /\b(lowest|smallest|least|fewest)\b/.test(text) ? 'asc' : null;
+    return {
+      kind: 'aggregate', agg: aggWord ? aggWord[1] : (value ? 'mean' : 'count'), value, by,
+      order: by ? order : null, limit: rank ? parseInt(rank[2]) : null, where
+    };
+  }
+  if (named.length) return { kind: 'describe', column: named[0], where };
+  if (/\b(describe|summary|summarize|summarise|overview|about|shape|size|columns|rows)\b/.test(text)) return { kind: 'overview', where };
+  return {
+    kind: 'unknown',
+    message: 'Try e.g. "average salary by department", "which columns correlate most with salary", "describe age", "predict salary from age" or "which columns have missing values"'
+  };
+}
+
+// Checks an intent (possibly from an LLM) against the current columns; returns an error message or null.
+function validateIntent(intent) {
+  if (!intent || typeof intent !== 'object' || !ASK_INTENTS[intent.kind]) return `Unrecognised intent${intent && intent.kind ? ` '${intent.kind}'` : ''}`;
+  const known = c => c === null || c === undefined || columns.includes(c);
+  const refs = [intent.value, intent.by, intent.column, intent.other, intent.target, ...(intent.features || [])];
+  const missing = refs.filter(c => !known(c));
+  if (missing.length) return `Unknown column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`;
+  if (intent.kind === 'aggregate' && !PIVOT_AGGREGATIONS[intent.agg]) return `Unknown aggregation '${intent.agg}'`;
+  if ((intent.kind === 'describe' || intent.kind === 'distinct') && !intent.column) return `Which column should be ${intent.kind === 'describe' ? 'described' : 'counted'}?`;
+  if (intent.kind === 'train' && !intent.target) return 'Which column should be predicted?';
+  if (intent.where) {
+    if (intent.kind === 'train') return 'Models train on every row in view; narrow the rows with the query bar first';
+    try { parseQuery(String(intent.where), columns, 'expression'); } catch (err) { return `Could not read the condition '${intent.where}': ${err.message}`; }
+  }
+  return null;
+}
+
+function askNumber(v) { return typeof v === 'number' ? +v.toFixed(Math.abs(v) >= 100 ? 2 : 4) : v; }
+function correlationStrength(r) {
+  const a = Math.abs(r);
+  return `${a >= 0.7 ? 'strong' : a >= 0.4 ? 'moderate' : a >= 0.2 ? 'weak' : 'negligible'} ${r >= 0 ? 'positive' : 'negative'}`;
+}
+
+// Runs an intent; resolves to { text, chart } where chart is a Chart.js config or null.
+async function answerIntent(intent) {
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]));
+  const bar = (labels, data, label, horizontal = false) => ({
+    type: 'bar', data: { labels, datasets: [{ label, data }] },
+    options: { indexAxis: horizontal ? 'y' : 'x', responsive: true, maintainAspectRatio: false }
+  });
+  // the rows in view, narrowed by the intent's condition (training always uses the whole view)
+  const where = intent.where && intent.kind !== 'train' ? parseQuery(String(intent.where), columns, 'expression') : null;
+  const view = where ? workingData.filter(r => where(r) === true) : workingData;
+  const rowsText = where ? `${view.length} of ${workingData.length} rows where ${intent.where}` : `${workingData.length} rows`;
+  if (where && !view.length) return { text: `No rows match ${intent.where}`, chart: null };
+  switch (intent.kind) {
+    case 'aggregate': {
+      const { agg, value, by } = intent;
+      if (value && !['count', 'distinct'].includes(agg) && !isNumericType(colTypes[value])) throw new Error(`'${value}' is not numeric, so its ${agg} is undefined`);
+      const res = pivotTable(view, { rowKeys: by ? [by] : [], values: value ? [value] : [], aggs: [agg] });
+      const measure = res.measures[0];
+      let rows = res.rows.map((r, i) => ({ label: res.groupLabels[i], value: r[measure] }));
+      if (!by) return { text: `${measure} = ${askNumber(rows[0] ? rows[0].value : 0)} over ${rowsText}`, chart: null };
+      if (intent.order) rows = rows.slice().sort((a, b) => intent.order === 'desc' ? b.value - a.value : a.value - b.value);
+      if (intent.limit) rows = rows.slice(0, intent.limit);
+      const shown = rows.slice(0, 30);
+      return {
+        text: `${measure} by ${by} (${res.rows.length} groups${intent.limit ? `, ${intent.order === 'asc' ? 'bottom' : 'top'} ${intent.limit} shown` : ''}${where ? ` over ${rowsText}` : ''})\n` +
+          shown.map(r => `${r.label}: ${askNumber(r.value)}`).join('\n') + (rows.length > shown.length ? `\n… ${rows.length - shown.length} more` : ''),
+        chart: bar(shown.map(r => r.label), shown.map(r => r.value === '' ? null : r.value), measure)
+      };
+    }
+    case 'distinct': {
+      const col = intent.column, counts = {};
+      for (const r of view) {
+        if (isMissing(r[col])) continue;
+        const v = String(r[col]).trim();
+        counts[v] = (counts[v] || 0) + 1;
+      }
+      const values = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+      const shown = values.slice(0, 30);
+      return {
+        text: `${col} has ${values.length} distinct value${values.length === 1 ? '' : 's'} over ${rowsText}\n` +
+          shown.map(([v, n]) => `${v}: ${n} rows`).join('\n') + (values.length > shown.length ? `\n… ${values.length - shown.length} more` : ''),
+        chart: bar(shown.map(([v]) => v), shown.map(([, n]) => n), `rows per ${col}`)
+      };
+    }
+    case 'correlate': {
+      if (numericCols.length < 2) throw new Error('Correlations need at least two numeric columns');
+      const { column, other } = intent;
+      if (column && other) {
+        const matrix = await runJob('computeCorrelationMatrix', [[column, other]], { label: 'Correlation matrix', data: view });
+        const r = matrix[0][1];
+        const points = view.map(row => ({ x: toNumberIfPossible(row[column]), y: toNumberIfPossible(row[other]) })).filter(p => !Number.isNaN(p.x) && !Number.isNaN(p.y));
+        return {
+          text: `Pearson r between ${column} and ${other} = ${r.toFixed(4)} (${correlationStrength(r)})${where ? ` over ${rowsText}` : ''}`,
+          chart: { type: 'scatter', data: { datasets: [{ label: `${other} vs ${column}`, data: points, pointRadius: 3 }] },
+            options: { scales: { x: { title: { display: true, text: column } }, y: { title: { display: true, text: other } } }, responsive: true, maintainAspectRatio: false } }
+        };
+      }
+      const matrix = await runJob('computeCorrelationMatrix', [numericCols], { label: 'Correlation matrix', data: view });
+      let pairs;
+      if (column) {
+        const i = numericCols.indexOf(column);
+        pairs = numericCols.map((c, j) => ({ label: c, r: matrix[i][j] })).filter((_, j) => j !== i);
+      } else {
+        pairs = [];
+        for (let i = 0; i < numericCols.length; i++) for (let j = i + 1; j < numericCols.length; j++) pairs.push({ label: `${numericCols[i]} × ${numericCols[j]}`, r: matrix[i][j] });
+      }
+      pairs = pairs.sort((a, b) => Math.abs(b.r) - Math.abs(a.r)).slice(0, 15);
+      return {
+        text: (column ? `Columns most correlated with ${column}` : 'Strongest correlations') + ` (Pearson r${where ? ` over ${rowsText}` : ''}):\n` +
+          pairs.map(p => `${p.label}: ${p.r.toFixed(4)} (${correlationStrength(p.r)})`).join('\n'),
+        chart: { ...bar(pairs.map(p => p.label), pairs.map(p => p.r), 'Pearson r', true), options: { indexAxis: 'y', scales: { x: { min: -1, max: 1 } }, responsive: true, maintainAspectRatio: false } }
+      };
+    }
+    case 'describe': {
+      const col = intent.column, type = colTypes[col];
+      const stats = summarizeColumn(view.map(r => r[col]), type);
+      const text = `${col} (${type}, ${view.length - stats.count} missing${where ? `, ${rowsText}` : ''})\n` +
+        Object.entries(stats).filter(([k]) => k !== 'top').map(([k, v]) => `${k}: ${askNumber(v)}`).join('\n');
+      if (isNumericType(type) && stats.count) {
+        const nums = view.map(r => toNumberIfPossible(r[col])).filter(v => !Number.isNaN(v));
+        const { labels, counts } = histogramBins(nums, 12);
+        return { text, chart: bar(labels, counts, col) };
+      }
+      const freq = {};
+      for (const r of view) if (!isMissing(r[col])) freq[r[col]] = (freq[r[col]] || 0) + 1;
+      const top = Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, 15);
+      return { text: text + (top.length ? `\nmost common: ${top.slice(0, 5).map(([v, c]) => `${v} (${c})`).join(', ')}` : ''), chart: bar(top.map(t => t[0]), top.map(t => t[1]), 'count', true) };
+    }
+    case 'overview': {
+      const byType = {};
+      for (const c of columns) (byType[colTypes[c]] = byType[colTypes[c]] || []).push(c);
+      const { counts } = missingnessStats(view, columns);
+      const missingCells = Object.values(counts).reduce((a, b) => a + b, 0);
+      return {
+        text: `${rowsText} × ${columns.length} columns · ${missingCells} missing cells\n` +
+          Object.entries(byType).map(([t, cs]) => `${t}: ${cs.join(', ')}`).join('\n'),
+        chart: bar(Object.keys(byType), Object.values(byType).map(cs => cs.length), 'columns per type')
+      };
+    }
+    case 'missing': {
+      const { counts } = missingnessStats(view, columns);
+      const withMissing = columns.filter(c => counts[c] > 0).sort((a, b) => counts[b] - counts[a]);
+      if (!withMissing.length) return { text: `No column has missing values${where ? ` over ${rowsText}` : ''}`, chart: null };
+      return {
+        text: `${withMissing.length} of ${columns.length} columns have missing values${where ? ` over ${rowsText}` : ''}:\n` +
+          withMissing.map(c => `${c}: ${counts[c]} (${(counts[c] / view.length * 100).toFixed(1)}%)`).join('\n'),
+        chart: bar(withMissing, withMissing.map(c => +(counts[c] / view.length * 100).toFixed(2)), '% missing', true)
+      };
+    }
+    case 'train': {
+      const { target } = intent;
+      const requested = intent.features && intent.features.length ? intent.features : numericCols.filter(c => c !== target && c !== CLUSTER_COLUMN);
+      const features = requested.filter(c => c !== target && isNumericType(colTypes[c]));
+      const skipped = requested.filter(c => !features.includes(c) && c !== target);
+      if (!features.length) throw new Error('No numeric feature columns to train on');
+      const note = skipped.length ? `\n(skipped non-numeric: ${skipped.join(', ')})` : '';
+      if (isNumericType(colTypes[target])) {
+        const { diagnostics, ...model } = await runJob('linearRegressionClosedForm', [features, target], { label: 'Linear regression' });
+        const key = 'linear_' + Date.now();
+        storeModel(key, model);
+        regressionDiagnostics = { key, ...diagnostics };
+        renderRegressionDiagnostics();
+        return {
+          text: `Trained ${key}: ${target} ~ ${features.join(' + ')}\nR² = ${model.r2.toFixed(4)} · adjusted R² = ${model.adjR2.toFixed(4)} · RMSE = ${askNumber(model.rmse)}\n` +
+            model.coefficientTable.slice(1).map(r => `${r.term}: ${askNumber(r.estimate)} (${formatP(r.p)})`).join('\n') + note,
+          chart: bar(features, model.coefficients, 'coefficient', true)
+        };
+      }
+      const model = await runJob('trainLogisticRegression', [features, target, { lr: 0.5, epochs: 300, lambda: 0, testFraction: 0.2 }], { label: 'Logistic regression' });
+      const key = 'logistic_' + Date.now();
+      storeModel(key, model);
+      showClassificationEvaluation(key);
+      const weights = model.theta ? model.theta.slice(1) : features.map((_, j) => Math.max(...model.thetas.map(t => Math.abs(t[j + 1]))));
+      return {
+        text: `Trained ${key}: classify ${target} (${model.classes.join(', ')}) from ${features.join(', ')}\n` +
+          (model.evaluatedOn === 'test' ? `test accuracy ${(model.accuracy * 100).toFixed(1)}% · ` : '') +
+          `train accuracy ${(model.trainAccuracy * 100).toFixed(1)}%` + (model.evaluatedOn === 'test' ? '' : ' (test split was empty)') + note,
+        chart: bar(features, weights, model.theta ? 'weight' : 'largest |weight| over classes', true)
+      };
+    }
+  }
+  throw new Error(`Unsupported intent '${intent.kind}'`);
+}
+
+const askProviders = {
+  offline: { label: 'Offline parser', resolve: async (question, schema) => parseQuestion(question, schema) },
+  // POSTs { question, schema, intents } and expects an intent (optionally wrapped as { intent }) or { answer }
+  endpoint: {
+    label: 'Local LLM endpoint',
+    resolve: async (question, schema) => {
+      const url = document.getElementById('askEndpoint').value.trim();
+      if (!url) throw new Error('Enter the endpoint URL');
+      const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ question, schema, intents: ASK_INTENTS }) });
+      if (!res.ok) throw new Error(`Endpoint replied ${res.status} ${res.statusText}`);
+      const body = await res.json();
+      return body.intent || body;
+    }
+  }
+};
+
+function refreshAskProviders() {
+  const sel = document.getElementById('askProvider');
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = Object.entries(askProviders).map(([k, p]) => `<option value="${escapeHtml(k)}">${escapeHtml(p.label)}</option>`).join('');
+  if (askProviders[current]) sel.value = current;
+  document.getElementById('askEndpointLabel').style.display = sel.value === 'endpoint' ? '' : 'none';
+}
+
+function registerAskProvider(name, provider) {
+  if (!provider || typeof provider.resolve !== 'function') throw new Error('An ask provider needs a resolve(question, schema) function');
+  askProviders[name] = { label: provider.label || name, resolve: provider.resolve };
+  refreshAskProviders();
+}
+
+async function askQuestion(question) {
+  const out = document.getElementById('askAnswer');
+  destroyChart('ask');
+  document.getElementById('askChartWrap').style.display = 'none';
+  if (!workingData.length) { out.textContent = 'Load data first'; return; }
+  const provider = askProviders[document.getElementById('askProvider').value] || askProviders.offline;
+  out.textContent = 'Thinking…';
+  try {
+    const intent = await provider.resolve(question, columns.map(c => ({ name: c, type: colTypes[c] })));
+    if (intent && typeof intent.answer === 'string' && !intent.kind) { out.textContent = intent.answer; return; }
+    if (intent && intent.kind === 'unknown') { out.textContent = intent.message || 'Sorry, I could not map that question to an analysis'; return; }
+    const problem = validateIntent(intent);
+    if (problem) { out.textContent = problem; return; }
+    const answer = await answerIntent(intent);
+    out.textContent = answer.text;
+    if (answer.chart) {
+      document.getElementById('askChartWrap').style.display = 'block';
+      chartInstances['ask'] = new Chart(document.getElementById('askChart').getContext('2d'), answer.chart);
+    }
+  } catch (err) {
+    out.textContent = err.cancelled ? 'Cancelled' : 'Could not answer: ' + err.message;
+  }
+}
+
+(function addAskCard() {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `
+    <h4>Ask</h4>
+    <div class="row">
+      <input id="askInput" type="text" placeholder="e.g. average salary by department" style="flex:1;min-width:180px">
+      <button id="askBtn">Ask</button>
+    </div>
+    <div class="row" style="margin-top:6px">
+      <label>Provider <select id="askProvider"></select></label>
+      <label id="askEndpointLabel" style="display:none">URL <input id="askEndpoint" type="text" placeholder="http://localhost:8080/ask" style="width:180px"></label>
+    </div>
+    <pre id="askAnswer" style="white-space:pre-wrap"></pre>
+    <div id="askChartWrap" style="display:none;height:220px"><canvas id="askChart"></canvas></div>
+  `;
+  // first card of the analysis panel: questions usually come before the detailed output below
+  summaryPre.parentElement.before(card);
+  refreshAskProviders();
+  document.getElementById('askProvider').addEventListener('change', refreshAskProviders);
+  const input = document.getElementById('askInput');
+  document.getElementById('askBtn').addEventListener('click', () => askQuestion(input.value));
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') askQuestion(input.value); });
+})();
+
+// ------------------
+// Classification evaluation card: confusion matrix, per-class precision/recall/F1, ROC/AUC and,
+// for binary models, a decision threshold slider. Reads the test-set probabilities of the latest
+// classifier, which storeModel sets aside in evaluationScores.
+// ------------------
+let evaluationModelKey = null;
+let evaluationScores = null; // { key, yTrue, probs }
+
+function showClassificationEvaluation(key) {
+  evaluationModelKey = key;
+  const model = models[key];
+  if (!model || !evaluationScores || evaluationScores.key !== key) return;
+  const slider = document.getElementById('thresholdSlider');
+  document.getElementById('thresholdRow').style.display = model.classes.length === 2 ? 'flex' : 'none';
+  slider.value = model.threshold !== undefined ? model.threshold : 0.5;
+  renderClassificationEvaluation();
+}
+
+function renderClassificationEvaluation() {
+  const model = models[evaluationModelKey];
+  if (!model || !evaluationScores || evaluationScores.key !== evaluationModelKey) return;
+  const threshold = parseFloat(document.getElementById('thresholdSlider').value);
+  const K = model.classes.length;
+  const { yTrue, probs } = evaluationScores;
+  const ev = evaluateClassifier(yTrue, probs, K, threshold);
+  document.getElementById('thresholdValue').textContent = threshold.toFixed(2);
+  document.getElementById('evalSummary').textContent =
+    `${evaluationModelKey} — ${model.evaluatedOn} set (n=${yTrue.length}) · accuracy ${(ev.accuracy * 100).toFixed(1)}%` +
+    ` · macro F1 ${ev.macroF1.toFixed(3)}` + (ev.auc !== null ? ` · AUC ${ev.auc.toFixed(3)}` : '') +
+    (model.evaluatedOn === 'train' ? ' (test split was empty)' : '');
+
+  const labels = model.classes.map(escapeHtml);
+  document.getElementById('confusionMatrix').innerHTML = `<table class="table">
+    <thead><tr><th>actual \\ predicted</th>${labels.map(l => `<th>${l}</th>`).join('')}</tr></thead>
+    <tbody>${ev.confusion.map((row, i) => `<tr><th>${labels[i]}</th>${row.map((v, j) => `<td${i === j ? ' style="font-weight:bold"' : ''}>${v}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+  document.getElementById('perClassMetrics').innerHTML = `<table class="table">
+    <thead><tr><th>class</th><th>precision</th><th>recall</th><th>F1</th><th>support</th></tr></thead>
+    <tbody>${ev.perClass.map((m, i) => `<tr><td>${labels[i]}</td><td>${m.precision.toFixed(3)}</td><td>${m.recall.toFixed(3)}</td><td>${m.f1.toFixed(3)}</td><td>${m.support}</td></tr>`).join('')}</tbody>
+  </table>`;
+
+  destroyChart('roc');
+  const datasets = ev.roc.filter(r => r.points.length).map(r => ({
+    label: `${model.classes[r.cls]} (AUC ${r.auc.toFixed(3)})`,
+    data: r.points.map(p => ({ x: p.x, y: p.y })), showLine: true, pointRadius: 0, fill: false
+  }));
+  datasets.push({ label: 'chance', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], showLine: true, pointRadius: 0, borderDash: [4, 4] });
+  if (K === 2) {
+    // operating point for the current threshold
+    const P = yTrue.filter(t => t === 1).length, N = yTrue.length - P;
+    const tp = yTrue.filter((t, i) => t === 1 && probs[i][1] >= threshold).length;
+    const fp = yTrue.filter((t, i) => t === 0 && probs[i][1] >= threshold).length;
+    datasets.push({ label: `threshold ${threshold.toFixed(2)}`, data: [{ x: N ? fp / N : 0, y: P ? tp / P : 0 }], pointRadius: 6 });
+  }
+  chartInstances['roc'] = new Chart(document.getElementById('rocChart').getContext('2d'), {
+    type: 'scatter',
+    data: { datasets },
+    options: { scales: { x: { min: 0, max: 1, title: { display: true, text: 'False positive rate' } }, y: { min: 0, max: 1, title: { display: true, text: 'True positive rate' } } }, responsive: true, maintainAspectRatio: false }
+  });
+}
+
+(function addEvaluationCard() {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `
+    <h4>Classification Evaluation</h4>
+    <div id="evalSummary" class="note">Train a logistic model to see its held-out evaluation.</div>
+    <div id="thresholdRow" class="row" style="display:none;align-items:center">
+      <label>Threshold <input id="thresholdSlider" type="range" min="0" max="1" step="0.01" value="0.5"></label>
+      <span id="thresholdValue">0.50</span>
+    </div>
+    <div id="confusionMatrix" style="margin-top:6px"></div>
+    <div id="perClassMetrics" style="margin-top:6px"></div>
+    <div style="height:220px;margin-top:6px"><canvas id="rocChart"></canvas></div>
+  `;
+  document.getElementById('analysis-panel').appendChild(card);
+  document.getElementById('thresholdSlider').addEventListener('input', () => {
+    const model = models[evaluationModelKey];
+    if (!model) return;
+    // the chosen threshold is kept on the model, so scoring and export use it
+    model.threshold = parseFloat(document.getElementById('thresholdSlider').value);
+    renderClassificationEvaluation();
+  });
+})();
+
+// ------------------
+// Regression diagnostics: text summary of the inferential output for modelPre, plus residuals vs fitted,
+// a normal Q-Q plot and leverage / Cook's distance for the latest closed-form linear regression.
+// ------------------
+function formatRegressionSummary(model) {
+  const num = v => v === null ? '' : !Number.isFinite(v) ? String(v)
+    : (v !== 0 && (Math.abs(v) >= 1e6 || Math.abs(v) < 1e-3) ? v.toExponential(3) : v.toFixed(4));
+  const rows = [['term', 'estimate', 'std.err', 't', 'p', '95% CI', 'VIF'],
+    ...model.coefficientTable.map(r => [r.term, num(r.estimate), num(r.se), num(r.t), r.p < 0.0001 ? '<0.0001' : r.p.toFixed(4),
+      `[${num(r.ciLow)}, ${num(r.ciHigh)}]`, num(r.vif)])];
+  const widths = rows[0].map((_, j) => Math.max(...rows.map(r => r[j].length)));
+  const table = rows.map(r => r.map((c, j) => j === 0 ? c.padEnd(widths[j]) : c.padStart(widths[j])).join('  ')).join('\n');
+  const highVif = model.coefficientTable.filter(r => r.vif !== null && r.vif > 10).map(r => r.term);
+  return [
+    `Linear regression: ${model.targetCol} ~ ${model.featureCols.join(' + ')}`,
+    `n = ${model.n} · residual df = ${model.dfResidual} · residual SE = ${num(model.sigma)}`,
+    `R² = ${model.r2.toFixed(4)} · adjusted R² = ${model.adjR2.toFixed(4)} · RMSE = ${num(model.rmse)}`,
+    `F(${model.featureCols.length}, ${model.dfResidual}) = ${num(model.fStat)}, ${formatP(model.fP)} · AIC = ${model.aic.toFixed(2)} · BIC = ${model.bic.toFixed(2)}`,
+    '',
+    table,
+    ...(highVif.length ? ['', `VIF > 10 for ${highVif.join(', ')}: these features overlap strongly, so their coefficients and p-values are unstable`] : [])
+  ].join('\n');
+}
+
+let regressionDiagnostics = null;   // { key, fitted, residuals, studentized, leverage, cooks, total } of the latest linear regression
+
+function renderRegressionDiagnostics() {
+  const d = regressionDiagnostics;
+  if (!d) return;
+  const m = d.fitted.length, cutoff = 4 / d.total;
+  const influential = d.cooks.filter(c => c > cutoff).length;
+  document.getElementById('regDiagSummary').textContent =
+    `${d.key} — ${m < d.total ? `${m} of ${d.total} rows plotted` : `${m} rows`} · ${influential} point${influential === 1 ? '' : 's'} with Cook's distance > 4/n (${cutoff.toFixed(4)})`;
+
+  const lo = Math.min(...d.fitted), hi = Math.max(...d.fitted);
+  destroyChart('regResiduals');
+  chartInstances['regResiduals'] = new Chart(document.getElementById('regResidualsChart').getContext('2d'), {
+    type: 'scatter',
+    data: { datasets: [
+      { label: 'residual', data: d.fitted.map((f, i) => ({ x: f, y: d.residuals[i] })), pointRadius: 2 },
+      { label: 'zero', data: [{ x: lo, y: 0 }, { x: hi, y: 0 }], showLine: true, pointRadius: 0, borderDash: [4, 4] }
+    ] },
+    options: { scales: { x: { title: { display: true, text: 'Fitted' } }, y: { title: { display: true, text: 'Residual' } } }, responsive: true, maintainAspectRatio: false }
+  });
+
+  // Blom plotting positions against the standardized residuals
+  const sorted = d.studentized.slice().sort((a, b) => a - b);
+  const qq = sorted.map((v, i) => ({ x: normalQuantile((i + 1 - 0.375) / (m + 0.25)), y: v }));
+  const edge = Math.max(Math.abs(qq[0].x), Math.abs(qq[m - 1].x));
+  destroyChart('regQQ');
+  chartInstances['regQQ'] = new Chart(document.getElementById('regQQChart').getContext('2d'), {
+    type: 'scatter',
+    data: { datasets: [
+      { label: 'standardized residual', data: qq, pointRadius: 2 },
+      { label: 'normal', data: [{ x: -edge, y: -edge }, { x: edge, y: edge }], showLine: true, pointRadius: 0, borderDash: [4, 4] }
+    ] },
+    options: { scales: { x: { title: { display: true, text: 'Theoretical quantile' } }, y: { title: { display: true, text: 'Standardized residual' } } }, responsive: true, maintainAspectRatio: false }
+  });
+
+  const point = i => ({ x: d.leverage[i], y: d.studentized[i], cooks: d.cooks[i] });
+  const idx = d.leverage.map((_, i) => i);
+  destroyChart('regInfluence');
+  chartInstances['regInfluence'] = new Chart(document.getElementById('regInfluenceChart').getContext('2d'), {
+    type: 'scatter',
+    data: { datasets: [
+      { label: "Cook's D ≤ 4/n", data: idx.filter(i => d.cooks[i] <= cutoff).map(point), pointRadius: 2 },
+      { label: "Cook's D > 4/n", data: idx.filter(i => d.cooks[i] > cutoff).map(point), pointRadius: 4, backgroundColor: '#ef4444' }
+    ] },
+    options: {
+      scales: { x: { title: { display: true, text: 'Leverage' } }, y: { title: { display: true, text: 'Standardized residual' } } },
+      plugins: { tooltip: { callbacks: { label: ctx => `leverage ${ctx.raw.x.toFixed(4)}, residual ${ctx.raw.y.toFixed(3)}, Cook's D ${ctx.raw.cooks.toFixed(4)}` } } },
+      responsive: true, maintainAspectRatio: false
+    }
+  });
+}
+
+(function addRegressionDiagnosticsCard() {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `
+    <h4>Regression Diagnostics</h4>
+    <div id="regDiagSummary" class="note">Train a linear regression to see residual and influence plots.</div>
+    <div style="height:200px;margin-top:6px"><canvas id="regResidualsChart"></canvas></div>
+    <div style="height:200px;margin-top:6px"><canvas id="regQQChart"></canvas></div>
+    <div style="height:200px;margin-top:6px"><canvas id="regInfluenceChart"></canvas></div>
+  `;
+  document.getElementById('analysis-panel').appendChild(card);
+})();
+
+// ------------------
+// Trees & Forests panel: CART decision tree and random forest for classification or regression
+// ------------------
+(function addTreeControls() {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Trees &amp; Forests</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <label>Task: <select id="treeTask"><option value="auto">Auto</option><option value="classification">Classification</option><option value="regression">Regression</option></select></label>
+      <label>Max depth: <input id="treeMaxDepth" type="number" value="6" step="1" min="1" style="width:60px"></label>
+      <label>Min leaf: <input id="treeMinLeaf" type="number" value="1" step="1" min="1" style="width:60px"></label>
+      <label>Trees: <input id="forestTrees" type="number" value="50" step="10" min="1" style="width:70px"></label>
+      <label>CV Folds: <input id="treeCvFolds" type="number" value="0" step="1" min="0" style="width:60px"></label>
+      <label>Test fraction: <input id="treeTestFrac" type="number" value="0.2" step="0.05" min="0" max="0.9" style="width:70px"></label>
+      <button id="trainTreeBtn">Train Decision Tree</button>
+      <button id="trainForestBtn">Train Random Forest</button>
+    </div>
+  `;
+  document.getElementById('left-panel').appendChild(panel);
+
+  function describe(model) {
+    const metrics = {};
+    for (const key of ['trainMetrics', 'testMetrics', 'r2', 'rmse', 'accuracy', 'folds', 'nTrain', 'nTest']) {
+      if (model[key] !== undefined) metrics[key] = model[key];
+    }
+    const importance = model.featureCols
+      .map((c, j) => ({ c, v: model.importances[j] }))
+      .sort((a, b) => b.v - a.v)
+      .map(({ c, v }) => `  ${c}: ${(v * 100).toFixed(1)}%`);
+    const header = `${model.type === 'random_forest' ? `Random forest (${model.trees.length} trees)` : 'Decision tree'} — ${model.task}` +
+      (model.classes ? `\nClasses: ${model.classes.join(', ')}` : '');
+    const tree = model.type === 'random_forest'
+      ? `First tree (top 3 levels):\n${formatTree(model.trees[0], model, 3)}`
+      : formatTree(model.tree, model);
+    return [header, 'Metrics: ' + JSON.stringify(metrics, null, 2), 'Feature importance:', ...importance, '', tree].join('\n');
+  }
+
+  async function train(kind) {
+    const target = targetSelect.value; const features = Array.from(featuresSelect.selectedOptions).map(o => o.value).filter(c => c !== target);
+    if (!target) return alert('Choose a target');
+    if (!features.length) return alert('Choose features');
+    const options = {
+      kind,
+      task: document.getElementById('treeTask').value,
+      // trees split numerically on integer/float columns and by level on everything else
+      featureTypes: Object.fromEntries(features.map(c => [c, isNumericType(colTypes[c]) ? 'numeric' : 'categorical'])),
+      targetType: isNumericType(colTypes[target]) ? 'numeric' : 'categorical',
+      maxDepth: parseInt(document.getElementById('treeMaxDepth').value) || 6,
+      minSamplesLeaf: parseInt(document.getElementById('treeMinLeaf').value) || 1,
+      nTrees: parseInt(document.getElementById('forestTrees').value) || 50,
+      cvFolds: parseInt(document.getElementById('treeCvFolds').value) || 0,
+      testFraction: parseFloat(document.getElementById('treeTestFrac').value) || 0.2
+    };
+    modelPre.textContent = kind === 'forest' ? 'Training random forest…' : 'Training decision tree…';
+    try {
+      const model = await runJob('fitTreeModel', [features, target, options], { label: kind === 'forest' ? 'Random forest' : 'Decision tree' });
+      storeModel((kind === 'forest' ? 'forest_' : 'tree_') + Date.now(), model);
+      modelPre.textContent = describe(model);
+    } catch (err) {
+      modelPre.textContent = err.cancelled ? 'Training cancelled' : 'Training failed: ' + err.message;
+    }
+  }
+  document.getElementById('trainTreeBtn').addEventListener('click', () => train('tree'));
+  document.getElementById('trainForestBtn').addEventListener('click', () => train('forest'));
+})();
+
+// ------------------
+// Score Dataset panel: pick a current or imported model, score the working data or a new CSV
+// ------------------
+(function addScoringPanel() {
+  let importedModels = {};  // name -> model, from an uploaded models.json
+  let scoreRowsInput = null; // rows parsed from the CSV chosen for scoring (null = use workingData)
+  let scoredRows = [];
+
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Score Dataset</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <select id="scoreModelSelect" style="min-width:160px"></select>
+      <button id="importModelsBtn">Import models.json</button>
+      <input type="file" id="importModelsInput" accept="application/json,.json" style="display:none" />
+    </div>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:6px">
+      <button id="scoreFileBtn">Choose File to Score</button>
+      <input type="file" id="scoreFileInput" accept=".csv,.tsv,.txt,.json,.ndjson,.jsonl" style="display:none" />
+      <span id="scoreFileLabel" class="note">Using current working data</span>
+    </div>
+    <label class="note" style="display:block;margin-top:6px"><input id="scoreApplyPipeline" type="checkbox" checked> Apply preprocessing to the new CSV first (the imported model's own, else the current pipeline)</label>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:6px">
+      <button id="runScoring">Score</button>
+      <button id="downloadScored" disabled>Download Scored CSV</button>
+      <button id="openScored" disabled>Open as Working Data</button>
+    </div>
+  `;
+  document.getElementById('left-panel').appendChild(panel);
+
+  const modelSelect = document.getElementById('scoreModelSelect');
+  function refreshModelOptions() {
+    const current = modelSelect.value;
+    const opts = Object.keys(models).map(k => ({ value: 'current:' + k, label: k }))
+      .concat(Object.keys(importedModels).map(k => ({ value: 'imported:' + k, label: k + ' (imported)' })));
+    modelSelect.innerHTML = opts.length
+      ? opts.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join('')
+      : '<option value="">— no models —</option>';
+    if (opts.some(o => o.value === current)) modelSelect.value = current;
+  }
+  modelSelect.addEventListener('focus', refreshModelOptions);
+  refreshModelOptions();
+
+  document.getElementById('importModelsBtn').addEventListener('click', () => document.getElementById('importModelsInput').click());
+  document.getElementById('importModelsInput').addEventListener('change', e => {
+    const f = e.target.files[0];
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = ev => {
+      let valid;
+      try { valid = Object.entries(readModelFile(JSON.parse(ev.target.result), f.name.replace(/\.json$/i, ''))); }
+      catch (err) { return alert('Invalid models file: ' + err.message); }
+      if (valid.length === 0) return alert('No models found in ' + f.name);
+      for (const [k, m] of valid) importedModels[k] = m;
+      refreshModelOptions();
+      modelSelect.value = 'imported:' + valid[0][0];
+      alert(`Imported ${valid.length} model(s)`);
+    };
+    reader.readAsText(f);
+    e.target.value = '';
+  });
+
+  document.getElementById('scoreFileBtn').addEventListener('click', () => document.getElementById('scoreFileInput').click());
+  document.getElementById('scoreFileInput').addEventListener('change', e => {
+    const f = e.target.files[0];
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = ev => {
+      try {
+        scoreRowsInput = parseDataText(ev.target.result, { filename: f.name }).rows;
+      } catch (err) {
+        return alert('Could not parse ' + f.name + ': ' + err.message);
+      }
+      document.getElementById('scoreFileLabel').textContent = `${f.name} (${scoreRowsInput.length} rows)`;
+    };
+    reader.readAsText(f);
+    e.target.value = '';
+  });
+
+  document.getElementById('runScoring').addEventListener('click', () => {
+    // models trained since the select was last opened would otherwise be missing
+    refreshModelOptions();
+    const [source, ...rest] = modelSelect.value.split(':');
+    const name = rest.join(':');
+    const model = source === 'imported' ? importedModels[name] : models[name];
+    if (!model) return alert('Choose a model to score with');
+    let rows = scoreRowsInput || workingData;
+    if (scoreRowsInput && document.getElementById('scoreApplyPipeline').checked) {
+      rows = model.preprocessing ? applyModelPreprocessing(model.preprocessing, scoreRowsInput)
+        : replayPipeline(scoreRowsInput, pipelineCursor, pipeline.map(s => s.op === 'editCell' ? { ...s, enabled: false } : s));
+    }
+    try {
+      const res = scoreRows(model, rows);
+      scoredRows = res.rows;
+      modelPre.textContent = `Scored ${res.rows.length} rows with ${name}\nAdded columns: ${res.added.join(', ')}` +
+        (res.unscored ? `\n${res.unscored} row(s) left blank (missing or non-numeric features)` : '');
+      document.getElementById('downloadScored').disabled = false;
+      document.getElementById('openScored').disabled = false;
+    } catch (err) {
+      modelPre.textContent = 'Scoring failed: ' + err.message;
+    }
+  });
+  document.getElementById('downloadScored').addEventListener('click', () => exportCSV(scoredRows, 'scored.csv'));
+  document.getElementById('openScored').addEventListener('click', () => {
+    if (!scoredRows.length) return;
+    addDataset('scored', scoredRows);
+  });
+})();
+
+(function addModelExportPanel() {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Export Model</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <select id="exportModelSelect" style="min-width:160px"></select>
+      <button id="exportModelJson">JSON</button>
+      <button id="exportModelJs">JavaScript</button>
+      <button id="exportModelPy">Python</button>
+    </div>
+    <div class="note">Scoring code embeds the preprocessing (imputation, scaling, one-hot levels), feature order and class labels.</div>
+  `;
+  document.getElementById('left-panel').appendChild(panel);
+
+  const select = document.getElementById('exportModelSelect');
+  function refresh() {
+    const current = select.value, names = Object.keys(models);
+    select.innerHTML = names.length
+      ? names.map(k => `<option value="${escapeHtml(k)}">${escapeHtml(k)}</option>`).join('')
+      : '<option value="">— no models —</option>';
+    if (names.includes(current)) select.value = current;
+  }
+  select.addEventListener('focus', refresh);
+  refresh();
+
+  function chosen() {
+    refresh();
+    const name = select.value;
+    if (!models[name]) { alert('Train a model first'); return null; }
+    return { name, file: name.replace(/[^\w-]+/g, '_') };
+  }
+  document.getElementById('exportModelJson').addEventListener('click', () => {
+    const c = chosen();
+    if (c) exportModel([c.name], `${c.file}.json`);
+  });
+  document.getElementById('exportModelJs').addEventListener('click', () => {
+    const c = chosen();
+    if (c) downloadText(modelToJavaScript(modelBundle(c.name, models[c.name])), `${c.file}.mjs`, 'text/javascript');
+  });
+  document.getElementById('exportModelPy').addEventListener('click', () => {
+    const c = chosen();
+    if (c) downloadText(modelToPython(modelBundle(c.name, models[c.name])), `${c.file}.py`, 'text/x-python');
+  });
+})();
+
+// ------------------
+// Pipeline panel: recorded cleaning steps with undo/redo, enable/disable, reorder, edit and replay
+// ------------------
+function replayOnLoad() {
+  const box = document.getElementById('replayOnLoad');
+  return !!(box && box.checked);
+}
+
+function renderPipeline() {
+  const list = document.getElementById('pipelineList');
+  if (!list) return;
+  document.getElementById('undoStep').disabled = pipelineCursor === 0;
+  document.getElementById('redoStep').disabled = pipelineCursor >= pipeline.length;
+  if (pipeline.length === 0) { list.innerHTML = '<li class="note">No steps recorded</li>'; return; }
+  list.innerHTML = pipeline.map((step, i) => {
+    const undone = i >= pipelineCursor;
+    const style = undone ? 'opacity:0.45' : (step.enabled ? '' : 'text-decoration:line-through');
+    return `<li data-index="${i}" style="${style}">
+      <span>${i + 1}. ${escapeHtml(describeStep(step))}</span>
+      <span style="display:inline-flex;gap:4px">
+        <button data-action="toggle" title="Enable/disable">${step.enabled ? 'On' : 'Off'}</button>
+        <button data-action="up" title="Move up">↑</button>
+        <button data-action="down" title="Move down">↓</button>
+        <button data-action="edit" title="Edit parameters">Edit</button>
+        <button data-action="remove" title="Remove">✕</button>
+      </span>
+    </li>`;
+  }).join('');
+}
+
+(function addPipelinePanel() {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <h4>Pipeline</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap">
+      <button id="undoStep">Undo</button>
+      <button id="redoStep">Redo</button>
+      <button id="replayPipeline">Replay on Raw Data</button>
+    </div>
+    <label class="note" style="display:block;margin-top:6px"><input id="replayOnLoad" type="checkbox"> Apply pipeline to newly loaded data</label>
+    <ol id="pipelineList" style="padding-left:18px;font-size:13px"></ol>
+    <div id="pipelineEditor" style="display:none">
+      <textarea id="pipelineParams" style="min-height:120px;font-family:monospace;font-size:12px"></textarea>
+      <div style="display:flex;gap:8px"><button id="savePipelineParams">Apply Edit</button><button id="cancelPipelineParams">Cancel</button></div>
+    </div>
+  `;
+  // sits directly under the Cleaning buttons
+  encodeBtn.parentElement.after(panel);
+
+  let editingIndex = -1;
+  const editor = document.getElementById('pipelineEditor');
+  const paramsArea = document.getElementById('pipelineParams');
+
+  document.getElementById('undoStep').addEventListener('click', () => undoStep());
+  document.getElementById('redoStep').addEventListener('click', () => redoStep());
+  document.getElementById('replayPipeline').addEventListener('click', () => rebuildFromPipeline());
+
+  document.getElementById('pipelineList').addEventListener('click', e => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const i = parseInt(btn.closest('li').dataset.index);
+    const action = btn.dataset.action;
+    if (action === 'toggle') pipeline[i].enabled = !pipeline[i].enabled;
+    else if (action === 'up' && i > 0) [pipeline[i - 1], pipeline[i]] = [pipeline[i], pipeline[i - 1]];
+    else if (action === 'down' && i < pipeline.length - 1) [pipeline[i + 1], pipeline[i]] = [pipeline[i], pipeline[i + 1]];
+    else if (action === 'remove') {
+      pipeline.splice(i, 1);
+      if (i < pipelineCursor) pipelineCursor--;
+    } else if (action === 'edit') {
+      editingIndex = i;
+      paramsArea.value = JSON.stringify(pipeline[i].params, null, 2);
+      editor.style.display = 'block';
+      return;
+    } else return;
+    rebuildFromPipeline();
+  });
+
+  document.getElementById('savePipelineParams').addEventListener('click', () => {
+    if (editingIndex < 0 || !pipeline[editingIndex]) return;
+    try {
+      pipeline[editingIndex].params = JSON.parse(paramsArea.value);
+    } catch (err) {
+      return alert('Invalid JSON: ' + err.message);
+    }
+    editingIndex = -1;
+    editor.style.display = 'none';
+    rebuildFromPipeline();
+  });
+  document.getElementById('cancelPipelineParams').addEventListener('click', () => {
+    editingIndex = -1;
+    editor.style.display = 'none';
+  });
+  renderPipeline();
+})();
+
+// ------------------
+// Query bar: filter/query expression applied above the data table
+// ------------------
+function renderQueryStatus() {
+  const status = document.getElementById('queryStatus');
+  if (!status) return;
+  const input = document.getElementById('queryInput');
+  if (input && document.activeElement !== input) input.value = activeQuery;
+  status.style.color = queryError ? '#fca5a5' : '';
+  if (queryError) status.textContent = `Query error: ${queryError} — showing all ${baseData.length} rows`;
+  else if (activeQuery.trim()) status.textContent = `Query view: ${workingData.length} of ${baseData.length} rows. Charts, summaries and models use this view.`;
+  else status.textContent = 'No query: working on all rows.';
+}
+
+(function addQueryBar() {
+  const bar = document.createElement('div');
+  bar.innerHTML = `
+    <div style="display:flex;gap:8px;align-items:center">
+      <input id="queryInput" type="text" spellcheck="false" style="flex:1;font-family:monospace"
+        placeholder="salary > 60000 and department in ('Engineering','Product')  ·  SELECT ... WHERE ... ORDER BY ... LIMIT ...">
+      <button id="runQuery">Apply Query</button>
+      <button id="clearQuery">Clear</button>
+    </div>
+    <div id="queryStatus" class="note"></div>
+  `;
+  dataTableDiv.before(bar);
+  const input = document.getElementById('queryInput');
+  document.getElementById('runQuery').addEventListener('click', () => setQuery(input.value));
+  document.getElementById('clearQuery').addEventListener('click', () => { input.value = ''; setQuery(''); });
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') setQuery(input.value); });
+  renderQueryStatus();
+})();
+
+// ------------------
+// Feature Builder panel: each builder records a pipeline step, then the new columns are typed
+// with inferColumnTypes and pre-selected in featuresSelect
+// ------------------
+function refreshFeatureBuilderOptions() {
+  if (!document.getElementById('fbTransformCol')) return;
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]));
+  const keep = (id, opts, multiple) => {
+    const sel = document.getElementById(id);
+    const prev = Array.from(sel.selectedOptions).map(o => o.value);
+    if (multiple) fillMultiSelect(sel, opts); else fillSelect(sel, opts);
+    Array.from(sel.options).forEach(o => { if (prev.includes(o.value)) o.selected = true; });
+  };
+  keep('fbTransformCol', numericCols);
+  keep('fbPolyCols', numericCols, true);
+  keep('fbBinCol', numericCols);
+  keep('fbDateCol', columns.filter(c => colTypes[c] === 'datetime'));
+}
+
+function addDerivedFeatures(opName, params, names) {
+  const note = document.getElementById('fbNote');
+  recordStep(opName, params);
+  const added = names.filter(n => columns.includes(n));
+  if (!added.length) { note.textContent = 'No columns were added'; return; }
+  const types = resolveColumnTypes(workingData);
+  Array.from(featuresSelect.options).forEach(o => { if (added.includes(o.value)) o.selected = true; });
+  const empty = added.filter(n => workingData.every(r => isMissing(r[n])));
+  note.textContent = `Added ${added.map(n => `${n} (${types[n]})`).join(', ')}` + (empty.length ? ` — ${empty.join(', ')} came out empty` : '');
+}
+
+(function addFeatureBuilder() {
+  const panel = document.createElement('div');
+  panel.innerHTML = `
+    <details>
+      <summary>Feature Builder</summary>
+      <div class="row">
+        <select id="fbTransformCol"></select>
+        <select id="fbTransformFn"><option value="log">log</option><option value="sqrt">sqrt</option><option value="boxcox">Box-Cox</option></select>
+        <button id="fbTransform">Add Transform</button>
+      </div>
+      <div class="row">
+        <select id="fbPolyCols" multiple size="3"></select>
+        <label>Degree <input id="fbPolyDegree" type="number" value="2" min="2" max="3" style="width:45px"></label>
+        <label><input id="fbPolyInteractions" type="checkbox"> Interactions only</label>
+        <button id="fbPoly">Add Terms</button>
+      </div>
+      <div class="row">
+        <select id="fbBinCol"></select>
+        <select id="fbBinMethod"><option value="width">Equal width</option><option value="quantile">Quantile</option></select>
+        <label>Bins <input id="fbBins" type="number" value="5" min="2" style="width:45px"></label>
+        <button id="fbBin">Add Bins</button>
+      </div>
+      <div class="row">
+        <select id="fbDateCol"></select>
+        <span id="fbDateParts">${Object.keys(DATE_PARTS).map(p => `<label><input type="checkbox" value="${p}"${['year', 'month', 'weekday'].includes(p) ? ' checked' : ''}> ${p}</label>`).join(' ')}</span>
+        <button id="fbDate">Add Date Parts</button>
+      </div>
+      <div class="row">
+        <input id="fbFormulaName" placeholder="new column" style="width:110px">
+        <input id="fbFormula" placeholder="salary / years_experience" spellcheck="false" style="flex:1;font-family:monospace">
+        <button id="fbFormulaAdd">Add Formula</button>
+      </div>
+      <div id="fbNote" class="note"></div>
+    </details>
+  `;
+  // between Cleaning and Modeling
+  const modelingHeading = targetSelect.closest('.row').previousElementSibling;
+  modelingHeading.before(panel);
+  const val = id => document.getElementById(id).value;
+  const fail = err => { document.getElementById('fbNote').textContent = err.message; };
+
+  document.getElementById('fbTransform').addEventListener('click', () => {
+    const col = val('fbTransformCol'), fn = val('fbTransformFn');
+    if (!col) return fail(new Error('Choose a numeric column'));
+    try {
+      const name = uniqueColumnName(columns, `${col}_${fn}`);
+      addDerivedFeatures('transformColumn', fitTransform(baseData, col, fn, name), [name]);
+    } catch (err) { fail(err); }
+  });
+  document.getElementById('fbPoly').addEventListener('click', () => {
+    const cols = Array.from(document.getElementById('fbPolyCols').selectedOptions).map(o => o.value);
+    const degree = Math.min(3, Math.max(2, parseInt(val('fbPolyDegree')) || 2));
+    const interactionsOnly = document.getElementById('fbPolyInteractions').checked;
+    if (!cols.length || (interactionsOnly && cols.length < 2)) return fail(new Error(interactionsOnly ? 'Choose at least two columns' : 'Choose one or more columns'));
+    const terms = polynomialTerms(cols, degree, interactionsOnly, columns);
+    addDerivedFeatures('polynomialFeatures', { terms }, terms.map(t => t.name));
+  });
+  document.getElementById('fbBin').addEventListener('click', () => {
+    const col = val('fbBinCol'), method = val('fbBinMethod');
+    if (!col) return fail(new Error('Choose a numeric column'));
+    try {
+      const name = uniqueColumnName(columns, `${col}_bin`);
+      // labels like "[10, 20)" would otherwise be read as numbers by type inference
+      colTypeOverrides[name] = 'categorical';
+      const edges = binEdges(baseData, col, method, Math.max(2, parseInt(val('fbBins')) || 5));
+      addDerivedFeatures('binColumn', { col, method, edges, name }, [name]);
+    } catch (err) { fail(err); }
+  });
+  document.getElementById('fbDate').addEventListener('click', () => {
+    const col = val('fbDateCol');
+    const parts = Array.from(document.querySelectorAll('#fbDateParts input:checked')).map(b => b.value);
+    if (!col) return fail(new Error('No datetime column (set one in Column Types)'));
+    if (!parts.length) return fail(new Error('Choose at least one date part'));
+    addDerivedFeatures('dateParts', { col, parts }, parts.map(p => `${col}_${p}`));
+  });
+  document.getElementById('fbFormulaAdd').addEventListener('click', () => {
+    const expr = val('fbFormula').trim(), name = val('fbFormulaName').trim();
+    if (!name) return fail(new Error('Name the new column'));
+    if (columns.includes(name)) return fail(new Error(`Column '${name}' already exists`));
+    // parse up front so errors show here rather than as a silently skipped step
+    try { parseQuery(expr, columns, 'expression'); } catch (err) { return fail(err); }
+    addDerivedFeatures('formulaColumn', { name, expr }, [name]);
+  });
+})();
+
+// ------------------
+// Imputation panel: per-column strategy, optional was-missing indicators, recorded as a step
+// ------------------
+function renderImputationOptions() {
+  const list = document.getElementById('imputeList');
+  if (!list) return;
+  const cols = columns.filter(c => workingData.some(r => isMissing(r[c]) || (isNumericType(colTypes[c]) && Number.isNaN(toNumberIfPossible(r[c])))));
+  if (!cols.length) { list.innerHTML = '<div class="note">No missing values</div>'; return; }
+  list.innerHTML = cols.map(c => {
+    const missing = workingData.filter(r => isMissing(r[c])).length;
+    const def = isNumericType(colTypes[c]) ? 'median' : 'mode';
+    return `<div data-col="${escapeHtml(c)}" style="display:flex;gap:6px;align-items:center;margin:2px 0">
+      <span style="flex:1">${escapeHtml(c)} <span class="note">(${missing} missing)</span></span>
+      <select>${IMPUTE_METHODS.map(m => `<option value="${m}"${m === def ? ' selected' : ''}>${m}</option>`).join('')}</select>
+      <input placeholder="constant" style="width:70px">
+    </div>`;
+  }).join('');
+}
+
+(function addImputationPanel() {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '8px';
+  panel.innerHTML = `
+    <details>
+      <summary>Imputation</summary>
+      <div id="imputeList" style="max-height:200px;overflow:auto;font-size:13px"></div>
+      <div class="row" style="align-items:center">
+        <label>k <input id="imputeK" type="number" value="5" min="1" style="width:50px"></label>
+        <label><input id="imputeIndicators" type="checkbox"> Add was-missing columns</label>
+        <button id="imputeApply">Impute</button>
+      </div>
+    </details>
+  `;
+  encodeBtn.parentElement.after(panel);
+  document.getElementById('imputeApply').addEventListener('click', async () => {
+    const strategies = {};
+    document.querySelectorAll('#imputeList [data-col]').forEach(div => {
+      strategies[div.dataset.col] = { method: div.querySelector('select').value, value: div.querySelector('input').value };
+    });
+    if (!Object.values(strategies).some(s => s.method !== 'none')) return alert('Choose a strategy for at least one column');
+    try {
+      const params = fitImputation(baseData, strategies, {
+        indicators: document.getElementById('imputeIndicators').checked,
+        k: Math.max(1, parseInt(document.getElementById('imputeK').value) || 5)
+      });
+      if (Object.values(params.columns).some(s => s.method === 'knn')) {
+        const rows = baseData;
+        const fills = await runJob('knnImputeFills', [params], { label: 'kNN imputation', data: rows });
+        // the data changed while the neighbours were searched
+        if (rows !== baseData) return;
+        precomputedKnnFills = { params, rows, fills };
+      }
+      recordStep('impute', params);
+    } catch (err) {
+      if (!err.cancelled) alert('Imputation failed: ' + err.message);
+    }
+  });
+})();
+
+// ------------------
+// Missing Values card: row-by-column missingness matrix and co-missingness heatmap
+// ------------------
+function drawMissingness() {
+  const matrixCanvas = document.getElementById('missingMatrix'), corrCanvasEl = document.getElementById('missingCorr');
+  const note = document.getElementById('missingNote');
+  if (!matrixCanvas) return;
+  const stats = missingnessStats(workingData, columns);
+  const total = Object.values(stats.counts).reduce((a,b)=>a+b,0);
+  note.textContent = workingData.length ? (total
+    ? `${total} missing cells · ${columns.filter(c => stats.counts[c]).map(c => `${c} ${(100 * stats.counts[c] / workingData.length).toFixed(1)}%`).join(', ')}`
+    : 'No missing values') : '';
+
+  // matrix: one column band per data column, rows binned so every row lands in a pixel band
+  const ctx = matrixCanvas.getContext('2d');
+  const w = matrixCanvas.clientWidth || 300, h = matrixCanvas.clientHeight || 160;
+  matrixCanvas.width = w * 2; matrixCanvas.height = h * 2; ctx.scale(2,2);
+  ctx.clearRect(0, 0, w, h);
+  const n = workingData.length, p = columns.length;
+  if (!n || !p) return;
+  const bands = Math.min(n, h), cellW = w / p, cellH = h / bands;
+  for (let j = 0; j < p; j++) {
+    for (let b = 0; b < bands; b++) {
+      const from = Math.floor(b * n / bands), to = Math.floor((b + 1) * n / bands);
+      let miss = 0;
+      for (let i = from; i < to; i++) miss += stats.mask[j][i];
+      const frac = miss / Math.max(1, to - from);
+      ctx.fillStyle = frac ? `rgba(248,113,113,${0.25 + 0.75 * frac})` : 'rgba(125,211,252,0.25)';
+      ctx.fillRect(j * cellW, b * cellH, cellW - 1, cellH + 0.5);
+    }
+  }
+  ctx.fillStyle = 'white';
+  ctx.font = '10px sans-serif';
+  columns.forEach((c, j) => ctx.fillText(c.slice(0, Math.max(3, Math.floor(cellW / 6))), j * cellW + 2, 10));
+
+  // co-missingness: correlation of the missing indicators, red = missing together
+  const cctx = corrCanvasEl.getContext('2d');
+  const cw = corrCanvasEl.clientWidth || 300, ch = corrCanvasEl.clientHeight || 160;
+  corrCanvasEl.width = cw * 2; corrCanvasEl.height = ch * 2; cctx.scale(2,2);
+  cctx.clearRect(0, 0, cw, ch);
+  const k = stats.partial.length;
+  if (k < 2) {
+    cctx.fillStyle = 'white'; cctx.font = '12px sans-serif';
+    cctx.fillText('Needs two or more columns with missing values', 4, 16);
+    return;
+  }
+  const cellCW = cw / k, cellCH = ch / k;
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < k; j++) {
+      const v = stats.corr[i][j];
+      cctx.fillStyle = v >= 0 ? `rgba(248,113,113,${Math.abs(v)})` : `rgba(125,211,252,${Math.abs(v)})`;
+      cctx.fillRect(j * cellCW, i * cellCH, cellCW - 1, cellCH - 1);
+      cctx.fillStyle = 'white';
+      cctx.font = '10px sans-serif';
+      cctx.fillText(v.toFixed(2), j * cellCW + 4, i * cellCH + 12);
+    }
+  }
+  cctx.font = '11px sans-serif';
+  for (let i = 0; i < k; i++) cctx.fillText(stats.partial[i], 4, i * cellCH + cellCH / 2 + 6);
+}
+
+(function addMissingnessCard() {
+  const card = document.createElement('div');
+  card.className = 'chart-card';
+  card.style.marginTop = '12px';
+  card.innerHTML = `
+    <h4>Missing Values</h4>
+    <div id="missingNote" class="note"></div>
+    <div class="row">
+      <div style="flex:1"><div class="note">Rows × columns (red = missing)</div><canvas id="missingMatrix" style="width:100%;height:160px"></canvas></div>
+      <div style="flex:1"><div class="note">Missing together (correlation)</div><canvas id="missingCorr" style="width:100%;height:160px"></canvas></div>
+    </div>
+  `;
+  const visPanel = document.getElementById('vis-panel');
+  visPanel.insertBefore(card, visPanel.querySelector('h3'));
+})();
+
+// ------------------
+// Outliers card: detect with the chosen method, preview, then flag/winsorize/remove as a step
+// ------------------
+let pendingOutliers = null; // { params, flags } from the last Detect
+
+function refreshOutlierOptions() {
+  const sel = document.getElementById('outlierCols');
+  if (!sel) return;
+  const prev = Array.from(sel.selectedOptions).map(o => o.value);
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]) && c !== CLUSTER_COLUMN && c !== OUTLIER_COLUMN);
+  fillMultiSelect(sel, numericCols);
+  Array.from(sel.options).forEach(o => { o.selected = prev.includes(o.value); });
+  pendingOutliers = null;
+  document.getElementById('outlierApply').disabled = true;
+}
+
+async function detectOutliers() {
+  const out = document.getElementById('outlierOutput');
+  const cols = Array.from(document.getElementById('outlierCols').selectedOptions).map(o => o.value);
+  const method = document.getElementById('outlierMethod').value;
+  const threshold = parseFloat(document.getElementById('outlierThreshold').value);
+  if (!cols.length) { out.textContent = 'Choose one or more numeric columns'; return; }
+  if (!(threshold > 0)) { out.textContent = 'Threshold must be positive'; return; }
+  if (method === 'isolation' && threshold >= 50) { out.textContent = 'Contamination must be below 50%'; return; }
+  const generation = stateGeneration;
+  let params;
+  try {
+    params = await fitOutlierDetector(baseData, cols, method, threshold);
+  } catch (err) {
+    if (!err.cancelled) out.textContent = 'Detection failed: ' + err.message;
+    return;
+  }
+  if (generation !== stateGeneration) return;
+  const flags = outlierFlags(workingData, params);
+  pendingOutliers = { params, flags };
+  document.getElementById('outlierApply').disabled = false;
+  const n = flags.filter(Boolean).length;
+  const lines = [`${n} of ${workingData.length} rows flagged (${(100 * n / workingData.length).toFixed(1)}%) by ${OUTLIER_METHODS[method].label}`];
+  const types = resolveColumnTypes(workingData);
+  for (const [c, b] of Object.entries(params.bounds)) {
+    const hits = workingData.filter(r => { const v = numericValue(r[c], types[c]); return !Number.isNaN(v) && (v < b.lo || v > b.hi); }).length;
+    lines.push(`${c}: bounds [${+b.lo.toFixed(4)}, ${+b.hi.toFixed(4)}]${method === 'isolation' ? ' (winsorizing only)' : ` · ${hits} outside`}`);
+  }
+  if (method === 'isolation') lines.push(`Anomaly score cutoff ${params.cutoff.toFixed(3)} (scores near 0.5 are ordinary)`);
+  const first = flags.map((f, i) => f ? i + 1 : 0).filter(Boolean).slice(0, 10);
+  if (first.length) lines.push(`First flagged rows: ${first.join(', ')}${n > first.length ? ', …' : ''}`);
+  out.textContent = lines.join('\n');
+}
+
+(function addOutlierCard() {
+  const card = document.createElement('div');
+  card.className = 'chart-card';
+  card.style.marginTop = '12px';
+  card.innerHTML = `
+    <h4>Outliers</h4>
+    <div class="row">
+      <label>Columns <select id="outlierCols" multiple size="4"></select></label>
+      <div>
+        <label>Method <select id="outlierMethod">${Object.entries(OUTLIER_METHODS).map(([k, m]) => `<option value="${k}">${m.label}</option>`).join('')}</select></label><br>
+        <label><span id="outlierThresholdLabel">${OUTLIER_METHODS.iqr.thresholdLabel}</span> <input id="outlierThreshold" type="number" step="0.1" min="0" value="${OUTLIER_METHODS.iqr.threshold}" style="width:60px"></label><br>
+        <label>Then <select id="outlierAction"><option value="keep">Keep (flag only)</option><option value="winsorize">Winsorize to bounds</option><option value="remove">Remove rows</option></select></label>
+      </div>
+    </div>
+    <div class="row"><button id="outlierDetect">Detect</button><button id="outlierApply" disabled>Apply as Step</button></div>
+    <pre id="outlierOutput" class="note" style="white-space:pre-wrap"></pre>
+  `;
+  const visPanel = document.getElementById('vis-panel');
+  visPanel.insertBefore(card, visPanel.querySelector('h3'));
+  document.getElementById('outlierMethod').addEventListener('change', e => {
+    const m = OUTLIER_METHODS[e.target.value];
+    document.getElementById('outlierThresholdLabel').textContent = m.thresholdLabel;
+    document.getElementById('outlierThreshold').value = m.threshold;
+  });
+  document.getElementById('outlierDetect').addEventListener('click', () => detectOutliers());
+  document.getElementById('outlierApply').addEventListener('click', () => {
+    if (!pendingOutliers) return;
+    const action = document.getElementById('outlierAction').value;
+    recordStep('outliers', { ...pendingOutliers.params, action, flagColumn: OUTLIER_COLUMN });
+  });
+})();
+
+// ------------------
+// Time Series card: resample, rolling mean, decomposition, Holt-Winters forecast with backtest,
+// and lag/lead features written back through the pipeline
+// ------------------
+function refreshTimeSeriesOptions() {
+  const timeSel = document.getElementById('tsTimeCol'), valueSel = document.getElementById('tsValueCol');
+  if (!timeSel) return;
+  const prevT = timeSel.value, prevV = valueSel.value;
+  const timeCols = columns.filter(c => colTypes[c] === 'datetime');
+  const valueCols = columns.filter(c => isNumericType(colTypes[c]));
+  fillSelect(timeSel, timeCols);
+  fillSelect(valueSel, valueCols);
+  if (timeCols.includes(prevT)) timeSel.value = prevT;
+  if (valueCols.includes(prevV)) valueSel.value = prevV;
+  document.getElementById('tsNote').textContent = timeCols.length ? '' : 'No datetime column detected (set one in Column Types).';
+}
+
+function drawTimeSeries() {
+  const timeCol = document.getElementById('tsTimeCol').value, valueCol = document.getElementById('tsValueCol').value;
+  const out = document.getElementById('tsOutput');
+  if (!timeCol || !valueCol) { out.textContent = 'Choose a datetime column and a numeric value column'; return; }
+  const freq = document.getElementById('tsFreq').value, agg = document.getElementById('tsAgg').value;
+  const span = Math.max(1, parseInt(document.getElementById('tsWindow').value) || 7);
+  const period = Math.max(1, parseInt(document.getElementById('tsPeriod').value) || 1);
+  const horizon = Math.max(1, parseInt(document.getElementById('tsHorizon').value) || 6);
+  const series = resampleSeries(workingData, timeCol, valueCol, freq, agg);
+  destroyChart('tsMain'); destroyChart('tsSeason');
+  if (series.length < 3) { out.textContent = 'Not enough periods to analyse'; return; }
+
+  const values = series.map(p => p.value);
+  const labels = series.map(p => formatDateTick(p.t));
+  const rolling = rollingMean(values, span);
+  const decomp = decomposeSeries(values, period);
+  const hw = holtWinters(values, period, horizon);
+  const backtest = backtestHoltWinters(values, period, horizon);
+
+  const futureLabels = [];
+  let t = series[series.length - 1].t;
+  for (let h = 0; h < horizon; h++) { t = nextPeriod(t, freq); futureLabels.push(formatDateTick(t)); }
+  const pad = arr => arr.concat(Array(horizon).fill(null));
+  const datasets = [
+    { label: `${agg}(${valueCol})`, data: pad(values), pointRadius: 1 },
+    { label: `rolling mean (${span})`, data: pad(rolling), pointRadius: 0, borderDash: [4, 2] },
+    { label: 'forecast', data: Array(values.length - 1).fill(null).concat([values[values.length - 1]], hw.forecast), pointRadius: 2 }
+  ];
+  if (decomp) datasets.push({ label: 'trend', data: pad(decomp.trend), pointRadius: 0 });
+  if (backtest) {
+    datasets.push({ label: 'backtest forecast', data: Array(values.length - backtest.horizon).fill(null).concat(backtest.forecast, Array(horizon).fill(null)), pointRadius: 2, borderDash: [2, 2] });
+  }
+  chartInstances['tsMain'] = new Chart(document.getElementById('tsMainChart').getContext('2d'), {
+    type: 'line',
+    data: { labels: labels.concat(futureLabels), datasets },
+    options: { spanGaps: false, responsive: true, maintainAspectRatio: false }
+  });
+  if (decomp) {
+    chartInstances['tsSeason'] = new Chart(document.getElementById('tsSeasonChart').getContext('2d'), {
+      type: 'line',
+      data: { labels, datasets: [
+        { label: 'seasonal', data: decomp.seasonal, pointRadius: 0 },
+        { label: 'residual', data: decomp.residual, pointRadius: 0 }
+      ] },
+      options: { responsive: true, maintainAspectRatio: false }
+    });
+  }
+  const fmt = v => v === null ? '—' : (+v.toFixed(4)).toString();
+  out.textContent = [
+    `${series.length} ${freq} periods (${labels[0]} → ${labels[labels.length - 1]})`,
+    decomp ? `Seasonal pattern (period ${period}): ${decomp.pattern.map(fmt).join(', ')}` : `No decomposition: needs at least ${2 * period} periods and period ≥ 2`,
+    `Holt-Winters ${hw.seasonal ? `additive, period ${hw.period}` : "(Holt's linear, no season)"}: α=${hw.alpha} β=${hw.beta}${hw.seasonal ? ` γ=${hw.gamma}` : ''}`,
+    `Forecast next ${horizon}: ${hw.forecast.map(fmt).join(', ')}`,
+    backtest ? `Backtest on last ${backtest.horizon} periods: MAE ${fmt(backtest.mae)} · RMSE ${fmt(backtest.rmse)} · MAPE ${backtest.mape === null ? '—' : (backtest.mape * 100).toFixed(1) + '%'}` : 'Backtest skipped: series too short'
+  ].join('\n');
+}
+
+(function addTimeSeriesCard() {
+  const card = document.createElement('div');
+  card.className = 'chart-card';
+  card.style.marginTop = '12px';
+  card.innerHTML = `
+    <h4>Time Series</h4>
+    <div class="row">
+      <label>Time <select id="tsTimeCol"></select></label>
+      <label>Value <select id="tsValueCol"></select></label>
+      <label>Resample <select id="tsFreq"><option value="day">Day</option><option value="week">Week</option><option value="month" selected>Month</option></select></label>
+      <label>Aggregate <select id="tsAgg">${Object.keys(SERIES_AGGREGATIONS).map(a => `<option value="${a}">${a}</option>`).join('')}</select></label>
+    </div>
+    <div class="row">
+      <label>Rolling window <input id="tsWindow" type="number" value="3" min="1" style="width:55px"></label>
+      <label>Season length <input id="tsPeriod" type="number" value="12" min="1" style="width:55px"></label>
+      <label>Horizon <input id="tsHorizon" type="number" value="6" min="1" style="width:55px"></label>
+      <button id="tsAnalyze">Analyze</button>
+    </div>
+    <div class="row">
+      <label>Lags <input id="tsLags" value="1" style="width:70px"></label>
+      <label>Leads <input id="tsLeads" value="" style="width:70px"></label>
+      <button id="tsAddLags">Add Lag/Lead Features</button>
+    </div>
+    <div id="tsNote" class="note"></div>
+    <div style="height:240px;margin-top:6px"><canvas id="tsMainChart"></canvas></div>
+    <div style="height:140px;margin-top:6px"><canvas id="tsSeasonChart"></canvas></div>
+    <pre id="tsOutput" class="note" style="white-space:pre-wrap"></pre>
+  `;
+  // below the existing chart rows, above the data table
+  const visPanel = document.getElementById('vis-panel');
+  visPanel.insertBefore(card, visPanel.querySelector('h3'));
+  // sensible season length for the chosen resampling
+  document.getElementById('tsFreq').addEventListener('change', e => {
+    document.getElementById('tsPeriod').value = { day: 7, week: 52, month: 12 }[e.target.value];
+  });
+  document.getElementById('tsAnalyze').addEventListener('click', () => drawTimeSeries());
+  document.getElementById('tsAddLags').addEventListener('click', () => {
+    const timeCol = document.getElementById('tsTimeCol').value, valueCol = document.getElementById('tsValueCol').value;
+    if (!timeCol || !valueCol) return alert('Choose a datetime column and a value column');
+    const parse = id => document.getElementById(id).value.split(',').map(v => parseInt(v)).filter(k => k > 0);
+    const lags = parse('tsLags'), leads = parse('tsLeads');
+    if (!lags.length && !leads.length) return alert('Enter lags and/or leads, e.g. 1,2,7');
+    recordStep('lagFeatures', { timeCol, valueCol, lags, leads });
+  });
+})();
+
+// ------------------
+// Group-by / Pivot card: result table, grouped bar chart, export and promote to a dataset
+// ------------------
+let lastPivot = null; // latest pivotTable() result shown in the card
+
+function refreshPivotOptions() {
+  const ids = ['pivotRows', 'pivotCols', 'pivotValues'];
+  if (!document.getElementById(ids[0])) return;
+  for (const id of ids) {
+    const sel = document.getElementById(id);
+    const prev = Array.from(sel.selectedOptions).map(o => o.value);
+    const options = id === 'pivotValues' ? columns.filter(c => colTypes[c] !== 'text') : columns.filter(c => !isNumericType(colTypes[c]) || unique(workingData.map(r => r[c])).length <= 50);
+    fillMultiSelect(sel, options);
+    Array.from(sel.options).forEach(o => { o.selected = prev.includes(o.value); });
+  }
+}
+
+function drawPivot() {
+  const selected = id => Array.from(document.getElementById(id).selectedOptions).map(o => o.value);
+  const rowKeys = selected('pivotRows'), colKeys = selected('pivotCols'), values = selected('pivotValues');
+  const aggs = Array.from(document.querySelectorAll('#pivotAggs input:checked')).map(b => b.value);
+  const out = document.getElementById('pivotOutput');
+  destroyChart('pivot');
+  if (!rowKeys.length) { out.innerHTML = '<div class="note">Choose at least one row key</div>'; return; }
+  if (values.length && !aggs.length) { out.innerHTML = '<div class="note">Choose at least one aggregation</div>'; return; }
+  if (colKeys.some(c => rowKeys.includes(c))) { out.innerHTML = '<div class="note">A column cannot be both a row key and a column key</div>'; return; }
+  lastPivot = pivotTable(workingData, { rowKeys, colKeys, values, aggs });
+  const fmt = v => typeof v === 'number' && !Number.isInteger(v) ? (+v.toFixed(4)).toString() : String(v);
+  const header = rowKeys.concat(lastPivot.measures);
+  out.innerHTML = `<div class="note">${lastPivot.rows.length} groups × ${lastPivot.measures.length} measures</div>
+    <div class="table-wrapper" style="max-height:240px"><table class="table">
+      <thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+      <tbody>${lastPivot.rows.map(r => `<tr>${header.map(h => `<td>${escapeHtml(fmt(r[h]))}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table></div>`;
+
+  // grouped bars: one bar per measure in each group; capped so the chart stays readable
+  const maxGroups = 40, maxSeries = 12;
+  const measures = lastPivot.measures.slice(0, maxSeries);
+  chartInstances['pivot'] = new Chart(document.getElementById('pivotChart').getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: lastPivot.groupLabels.slice(0, maxGroups),
+      datasets: measures.map((m, i) => ({
+        label: m,
+        data: lastPivot.rows.slice(0, maxGroups).map(r => r[m] === '' ? null : r[m]),
+        backgroundColor: CLUSTER_COLORS[i % CLUSTER_COLORS.length]
+      }))
+    },
+    options: { responsive: true, maintainAspectRatio: false }
+  });
+  if (lastPivot.rows.length > maxGroups || lastPivot.measures.length > maxSeries) {
+    out.insertAdjacentHTML('afterbegin', `<div class="note">Chart shows the first ${Math.min(maxGroups, lastPivot.rows.length)} groups and ${measures.length} measures</div>`);
+  }
+}
+
+(function addPivotCard() {
+  const card = document.createElement('div');
+  card.className = 'chart-card';
+  card.style.marginTop = '12px';
+  card.innerHTML = `
+    <h4>Group-by / Pivot</h4>
+    <div class="row">
+      <label>Rows <select id="pivotRows" multiple size="4"></select></label>
+      <label>Columns <select id="pivotCols" multiple size="4"></select></label>
+      <label>Values <select id="pivotValues" multiple size="4"></select></label>
+    </div>
+    <div class="row" id="pivotAggs">
+      ${Object.keys(PIVOT_AGGREGATIONS).map(a => `<label><input type="checkbox" value="${a}"${a === 'mean' ? ' checked' : ''}> ${a}</label>`).join('')}
+    </div>
+    <div class="row">
+      <button id="pivotRun">Build Pivot</button>
+      <button id="pivotExport">Export CSV</button>
+      <button id="pivotPromote">Use as Dataset</button>
+    </div>
+    <div id="pivotOutput" style="margin-top:6px"></div>
+    <div style="height:220px;margin-top:6px"><canvas id="pivotChart"></canvas></div>
+  `;
+  const visPanel = document.getElementById('vis-panel');
+  visPanel.insertBefore(card, visPanel.querySelector('h3'));
+  document.getElementById('pivotRun').addEventListener('click', () => drawPivot());
+  document.getElementById('pivotExport').addEventListener('click', () => {
+    if (!lastPivot) return alert('Build a pivot first');
+    exportCSV(lastPivot.rows, 'pivot.csv');
+  });
+  document.getElementById('pivotPromote').addEventListener('click', () => {
+    if (!lastPivot) return alert('Build a pivot first');
+    addDataset('pivot', lastPivot.rows.map(r => ({...r})));
+  });
+})();
+
+// ------------------
+// EDA report: dataset summary, per-column stats, suggestions, histograms, correlation heatmap,
+// PCA plot and trained-model metrics, exported as one self-contained HTML file (charts embedded
+// as PNG data URLs) or as Markdown. buildReport collects plain sections; the two renderers only format.
+// ------------------
+// section: { title, text?: [lines], list?: [items], table?: { head, rows }, images?: [{ caption, src }] }
+
+// Renders a Chart.js config off-screen and returns a PNG data URL ('' when it cannot be drawn).
+function chartToImage(config, width = 640, height = 300) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width; canvas.height = height;
+  try {
+    const chart = new Chart(canvas.getContext('2d'), { ...config, options: { ...(config.options || {}), animation: false, responsive: false } });
+    const url = chart.toBase64Image();
+    chart.destroy();
+    return url;
+  } catch (err) {
+    return '';
   }
 }
 
-// Logistic regression (binary) using gradient descent
-function sigmoid(z) { return 1 / (1 + Math.exp(-z)); }
+function reportValue(v) {
+  if (v === null || v === undefined || v === '') return '';
+  if (typeof v === 'number') return Number.isInteger(v) ? String(v) : String(+v.toFixed(4));
+  return String(v);
+}
 
-function trainLogisticRegression(featureCols, targetCol, opts = { lr: 0.1, epochs: 1000, lambda: 0 }) {
-  const X = [];
-  const y = [];
-  // attempt to coerce or map categorical binary targets
-  const targetVals = unique(workingData.map(r => r[targetCol]).filter(v => !isMissing(v)));
-  let mapTo01 = null;
-  if (targetVals.length === 2) {
-    mapTo01 = {};
-    mapTo01[targetVals[0]] = 0; mapTo01[targetVals[1]] = 1;
+function modelMetricsText(m) {
+  const parts = [];
+  const add = (label, v) => { if (typeof v === 'number' && Number.isFinite(v)) parts.push(`${label} ${reportValue(v)}`); };
+  add('R²', m.r2); add('adjusted R²', m.adjR2); add('RMSE', m.rmse);
+  if (m.fP !== undefined) parts.push(`F-test ${formatP(m.fP)}`);
+  add('accuracy', m.accuracy); add('train accuracy', m.trainAccuracy);
+  for (const [prefix, set] of [['train', m.trainMetrics], ['test', m.testMetrics]]) {
+    if (set) { add(`${prefix} R²`, set.r2); add(`${prefix} RMSE`, set.rmse); add(`${prefix} accuracy`, set.accuracy); }
   }
+  add('k', m.k); add('inertia', m.inertia); add('silhouette', m.silhouette);
+  add('λ', m.lambda !== undefined ? m.lambda : m.regularization || undefined);
+  if (m.cv) parts.push(`${m.folds}-fold CV`);
+  if (m.search) parts.push(`best of ${m.search.configurations} configurations (CV ${m.search.metric} ${reportValue(m.search.score)})`);
+  if (m.zeroed && m.zeroed.length) parts.push(`zeroed: ${m.zeroed.join(', ')}`);
+  return parts.join(' · ') || '—';
+}
 
-  for (const r of workingData) {
-    const row = [1]; let ok = true;
-    for (const c of featureCols) {
-      const v = toNumberIfPossible(r[c]);
-      if (Number.isNaN(v)) { ok = false; break; }
-      row.push(v);
-    }
-    if (!ok) continue;
-    const tv = r[targetCol];
-    if (isMissing(tv)) continue;
-    let yv = null;
-    if (mapTo01) yv = mapTo01[tv];
-    else if (tv === 0 || tv === '0') yv = 0;
-    else if (tv === 1 || tv === '1') yv = 1;
-    else continue;
-    X.push(row); y.push(yv);
+async function buildReport() {
+  const sections = [];
+  const name = activeDataset || 'dataset';
+  const numericCols = columns.filter(c => isNumericType(colTypes[c]));
+
+  const { counts: missing } = missingnessStats(workingData, columns);
+  const active = pipeline.slice(0, pipelineCursor).filter(s => s.enabled !== false);
+  sections.push({ title: 'Dataset', text: [
+    `${workingData.length} rows × ${columns.length} columns · ${Object.values(missing).reduce((a, b) => a + b, 0)} missing cells`,
+    ...(active.length ? [`Pipeline: ${active.map(s => PIPELINE_OPS[s.op].describe ? PIPELINE_OPS[s.op].describe(s.params) : PIPELINE_OPS[s.op].label).join(' → ')}`] : []),
+    ...(activeQuery ? [`Filtered by query: ${activeQuery}`] : [])
+  ] });
+
+  const statKeys = ['mean', 'median', 'std', 'min', 'max', 'unique'];
+  sections.push({ title: 'Columns', table: {
+    head: ['column', 'type', 'non-missing', 'missing', ...statKeys, 'most common'],
+    rows: columns.map(c => {
+      const s = summarizeColumn(workingData.map(r => r[c]), colTypes[c]);
+      return [c, colTypes[c], s.count, missing[c], ...statKeys.map(k => reportValue(s[k])), s.top ? `${s.top.value} (${s.top.count})` : (s.trueRate !== undefined && s.trueRate !== null ? `${(s.trueRate * 100).toFixed(0)}% true` : '')];
+    })
+  } });
+
+  const suggestions = generateSuggestions();
+  sections.push({ title: 'Suggestions', list: suggestions.length ? suggestions : ['No suggestions'] });
+
+  const histograms = numericCols.slice(0, 12).map(c => {
+    const values = workingData.map(r => toNumberIfPossible(r[c])).filter(v => !Number.isNaN(v));
+    if (!values.length) return null;
+    const { labels, counts } = histogramBins(values, 12);
+    return { caption: c, src: chartToImage({ type: 'bar', data: { labels, datasets: [{ label: c, data: counts, backgroundColor: '#60a5fa' }] }, options: { plugins: { legend: { display: false } } } }) };
+  }).filter(img => img && img.src);
+  if (histograms.length) {
+    sections.push({ title: 'Histograms', images: histograms,
+      text: numericCols.length > 12 ? [`First 12 of ${numericCols.length} numeric columns`] : [] });
   }
-  if (X.length === 0) throw new Error('No valid rows for logistic training');
 
-  const m = X.length;
-  const n = X[0].length;
-  let theta = Array(n).fill(0);
-
-  for (let epoch = 0; epoch < opts.epochs; epoch++) {
-    const grads = Array(n).fill(0);
-    let loss = 0;
-    for (let i=0;i<m;i++) {
-      const xi = X[i];
-      const z = xi.reduce((s,v,j) => s + v * theta[j], 0);
-      const h = sigmoid(z);
-      const err = h - y[i];
-      for (let j=0;j<n;j++) grads[j] += err * xi[j];
-      loss += - (y[i] * Math.log(h + 1e-12) + (1 - y[i]) * Math.log(1 - h + 1e-12));
-    }
-    for (let j=0;j<n;j++) theta[j] -= (opts.lr / m) * (grads[j] + opts.lambda * theta[j]);
-    // optionally monitor loss; avoid spamming console
-    if (epoch % Math.max(1, Math.floor(opts.epochs/5)) === 0) {
-      //console.log(`logistic epoch ${epoch} loss ${(loss/m).toFixed(4)}`);
-    }
-  }
-  // evaluate
-  let correct = 0;
-  for (let i=0;i<m;i++) {
-    const z = X[i].reduce((s,v,j) => s + v * theta[j], 0);
-    const p = sigmoid(z);
-    const pred = p >= 0.5 ? 1 : 0;
-    if (pred === y[i]) correct++;
-  }
-  const acc = correct / m;
-  const model = { type: 'logistic', theta, featureCols, accuracy: acc };
-  return model;
-}
+  if (numericCols.length >= 2) {
+    const matrix = await runJob('computeCorrelationMatrix', [numericCols], { label: 'Report: correlations' });
+    const canvas = document.createElement('canvas');
+    const size = Math.max(320, Math.min(800, numericCols.length * 70));
+    let src = '';
+    try {
+      paintCorrelationHeatmap(canvas, matrix, numericCols, size, size);
+      src = canvas.toDataURL('image/png');
+    } catch (err) { /* canvas unavailable: the table below still carries the numbers */ }
+    sections.push({
+      title: 'Correlation heatmap',
+      images: src ? [{ caption: 'Pearson correlation (blue −1 … red +1)', src }] : [],
+      table: { head: ['', ...numericCols], rows: numericCols.map((c, i) => [c, ...matrix[i].map(v => v.toFixed(2))]) }
+    });
+  }
 
-// k-means
-function kMeans(k = 3, featureCols = [], maxIter = 100) {
-  const X = workingData.map(r => featureCols.map(c => toNumberIfPossible(r[c]))).filter(row => row.every(v => !Number.isNaN(v)));
-  if (X.length === 0) throw new Error('No valid numeric rows for k-means');
-  // init centroids
-  const centroids = [];
-  const used = new Set();
-  while (centroids.length < k) {
-    const idx = Math.floor(Math.random() * X.length);
-    if (!used.has(idx)) { used.add(idx); centroids.push(X[idx].slice()); }
-  }
-  let changed = true, iter = 0;
-  let assignments = new Array(X.length).fill(-1);
-  while (changed && iter < maxIter) {
-    iter++; changed = false;
-    for (let i=0;i<X.length;i++) {
-      let best = -1, bestd = Infinity;
-      for (let c=0;c<k;c++) {
-        const d = euclidean(X[i], centroids[c]);
-        if (d < bestd) { bestd = d; best = c; }
-      }
-      if (assignments[i] !== best) { changed = true; assignments[i] = best; }
-    }
-    for (let c=0;c<k;c++) {
-      const members = X.filter((_,i) => assignments[i] === c);
-      if (members.length > 0) {
-        const mean = members[0].map(()=>0);
-        for (const m of members) for (let j=0;j<m.length;j++) mean[j] += m[j];
-        for (let j=0;j<mean.length;j++) mean[j] /= members.length;
-        centroids[c] = mean;
-      }
-    }
+  if (chartInstances['pca'] && lastPCA) {
+    const explained = lastPCA.result.explainedVarianceRatio || [];
+    sections.push({
+      title: 'PCA',
+      text: [`${lastPCA.numericCols.length} numeric columns${lastPCA.standardize ? ', standardized' : ''}`,
+        ...(explained.length ? [`Explained variance: ${explained.slice(0, 5).map((v, i) => `PC${i + 1} ${(v * 100).toFixed(1)}%`).join(', ')}`] : [])],
+      images: [{ caption: 'PCA biplot', src: chartInstances['pca'].toBase64Image() }]
+    });
   }
-  return { centroids, assignments };
+
+  const keys = Object.keys(models);
+  sections.push(keys.length ? { title: 'Trained models', table: {
+    head: ['model', 'type', 'target', 'features', 'metrics'],
+    rows: keys.map(k => {
+      const m = models[k];
+      return [k, modelKind(m) || '', m.targetCol || '', (m.featureCols || []).join(', '), modelMetricsText(m)];
+    })
+  } } : { title: 'Trained models', text: ['No models trained yet'] });
+
+  return { title: `EDA report — ${name}`, generated: new Date().toISOString(), sections };
 }
-function euclidean(a,b) { let s=0; for (let i=0;i<a.length;i++) s += Math.pow(a[i] - b[i], 2); return Math.sqrt(s); }
 
-// ------------------
-// Suggestions (rule-based EDA hints)
-// ------------------
-function generateSuggestions() {
-  const suggestions = [];
-  if (!workingData || workingData.length === 0) return suggestions;
-  const n = workingData.length;
-  for (const col of columns) {
-    const stats = summarizeColumn(workingData.map(r=>r[col]), colTypes[col]);
-    if (colTypes[col] === 'numeric') {
-      if (stats.count < n * 0.95) suggestions.push(`Column '${col}' has ${n - stats.count} missing values — consider imputation.`);
-      if (stats.std && Math.abs(stats.std) > Math.abs(stats.mean) * 2) suggestions.push(`Column '${col}' has high variance relative to mean — consider scaling.`);
-    } else {
-      if (stats.unique > Math.min(50, n/2)) suggestions.push(`Column '${col}' is high-cardinality categorical (unique=${stats.unique}) — one-hot may be expensive.`);
+function reportToHtml(report) {
+  const esc = escapeHtml;
+  const body = report.sections.map(s => [
+    `<h2>${esc(s.title)}</h2>`,
+    ...(s.text || []).map(t => `<p>${esc(t)}</p>`),
+    s.list ? `<ul>${s.list.map(t => `<li>${esc(t)}</li>`).join('')}</ul>` : '',
+    s.images && s.images.length ? `<div class="figures">${s.images.map(img => `<figure><img src="${img.src}" alt="${esc(img.caption)}"><figcaption>${esc(img.caption)}</figcaption></figure>`).join('')}</div>` : '',
+    s.table ? `<table><thead><tr>${s.table.head.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>${s.table.rows.map(r => `<tr>${r.map(v => `<td>${esc(reportValue(v))}</td>`).join('')}</tr>`).join('')}</tbody></table>` : ''
+  ].join('\n')).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(report.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px auto; max-width: 1100px; color: #111827; }
+  table { border-collapse: collapse; margin: 8px 0 16px; font-size: 13px; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+  th { background: #f3f4f6; }
+  .figures { display: flex; flex-wrap: wrap; gap: 12px; }
+  figure { margin: 0; } figure img { max-width: 520px; border: 1px solid #e5e7eb; }
+  figcaption { font-size: 12px; color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<p><small>Generated ${esc(report.generated)}</small></p>
+${body}
+</body>
+</html>
+`;
+}
+
+// Images are inlined as data URLs so the file stays self-contained (some viewers do not display them).
+function reportToMarkdown(report) {
+  const cell = v => reportValue(v).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const out = [`# ${report.title}`, '', `_Generated ${report.generated}_`, ''];
+  for (const s of report.sections) {
+    out.push(`## ${s.title}`, '');
+    for (const t of s.text || []) out.push(t, '');
+    if (s.list) out.push(...s.list.map(t => `- ${t}`), '');
+    for (const img of s.images || []) out.push(`![${img.caption}](${img.src})`, '');
+    if (s.table) {
+      out.push(`| ${s.table.head.map(cell).join(' | ')} |`, `| ${s.table.head.map(() => '---').join(' | ')} |`);
+      out.push(...s.table.rows.map(r => `| ${r.map(cell).join(' | ')} |`), '');
     }
   }
-  const numericCols = columns.filter(c => colTypes[c] === 'numeric');
-  if (numericCols.length >= 1) suggestions.push('Try PCA for dimensionality reduction or k-means for clustering.');
-  else suggestions.push('No numeric columns detected for regression — consider numeric features or encode categoricals.');
-  return suggestions;
+  return out.join('\n');
 }
 
-// ------------------
-// Export functions
-// ------------------
-function exportCSV() {
-  if (!workingData || workingData.length === 0) return;
-  const cols = Object.keys(workingData[0]);
-  const rows = [cols.join(',')];
-  for (const r of workingData) rows.push(cols.map(c => `"${String(r[c]).replace(/"/g, '""')}"`).join(','));
-  const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
-  const a = document.createElement('a'); a.href = url; a.download = 'export.csv'; a.click(); URL.revokeObjectURL(url);
-}
-function exportModel() {
-  const blob = new Blob([JSON.stringify(models, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a'); a.href = url; a.download = 'models.json'; a.click(); URL.revokeObjectURL(url);
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
 }
 
+(function addReportExport() {
+  const buttons = [['exportReportHtml', 'Export Report (HTML)', 'html'], ['exportReportMd', 'Export Report (Markdown)', 'md']].map(([id, label, format]) => {
+    const btn = document.createElement('button');
+    btn.id = id; btn.textContent = label;
+    btn.addEventListener('click', async () => {
+      if (!workingData.length) return alert('Load data first');
+      buttons.forEach(b => { b.disabled = true; });
+      try {
+        const report = await buildReport();
+        if (format === 'html') downloadText(reportToHtml(report), 'eda_report.html', 'text/html');
+        else downloadText(reportToMarkdown(report), 'eda_report.md', 'text/markdown');
+      } catch (err) {
+        if (!err.cancelled) alert('Report failed: ' + err.message);
+      } finally {
+        buttons.forEach(b => { b.disabled = false; });
+      }
+    });
+    return btn;
+  });
+  exportModelBtn.after(...buttons);
+})();
+
 // ------------------
-// State update and UI refresh
+// Project library (IndexedDB)
+// - Named projects, each with timestamped snapshots. Stores: `projects` { name, created, updated },
+//   `snapshots` { id, project, savedAt, label, auto, summary } and `snapshotData` { id, data }, so
+//   listing snapshots never loads the rows themselves.
+// - Payloads carry `schemaVersion`; PROJECT_MIGRATIONS upgrades older saves (unversioned = the
+//   localStorage / dcai_project.json format from before the library) before they are restored.
+// - Corrupt or unreadable saves are reported and leave the current session untouched.
 // ------------------
-function postProcessState() {
-  if (!workingData || workingData.length === 0) {
-    columns = []; colTypes = {};
-    summaryPre.textContent = '(no data)';
-    suggestionsList.innerHTML = '<li>No data</li>';
-    renderTable([]);
-    // destroy charts
-    Object.keys(chartInstances).forEach(k => destroyChart(k));
-    return;
-  }
-  columns = Object.keys(workingData[0]);
-  colTypes = inferColumnTypes(workingData);
-  fillSelect(targetSelect, columns, true);
-  fillMultiSelect(featuresSelect, columns);
-  fillSelect(histColSelect, columns);
-  fillSelect(xSelect, columns);
-  fillSelect(ySelect, columns);
+const PROJECT_DB = 'dcai_projects';
+const PROJECT_DB_VERSION = 1;      // object store layout
+const PROJECT_SCHEMA_VERSION = 1;  // project payload layout
+const AUTOSAVE_INTERVAL_MS = 30000;
+const AUTOSAVE_KEEP = 10;          // autosaves kept per project; manual snapshots are never pruned
 
-  const lines = [`Rows: ${workingData.length}`];
-  for (const col of columns) {
-    lines.push(`${col} (${colTypes[col]}): ${JSON.stringify(summarizeColumn(workingData.map(r => r[col]), colTypes[col]))}`);
-  }
-  summaryPre.textContent = lines.join('\n');
+// workingData is rebuilt from rawData, the pipeline and the query, so it is not stored
+function projectSnapshot() {
+  return { schemaVersion: PROJECT_SCHEMA_VERSION, rawData, columns, colTypes, colTypeOverrides, models, pipeline, pipelineCursor, query: activeQuery, ...workspaceSnapshot() };
+}
 
-  const sugg = generateSuggestions();
-  suggestionsList.innerHTML = (sugg.length ? sugg.map(t => `<li>${escapeHtml(t)}</li>`).join('') : '<li>No suggestions</li>');
+// PROJECT_MIGRATIONS[v] upgrades a version-v payload to v + 1.
+const PROJECT_MIGRATIONS = [
+  // 0 -> 1: old saves also stored the query view as workingData, which was all that projects
+  // without a pipeline had; saves from before the workspace held a single unnamed dataset
+  p => {
+    const { workingData, ...rest } = p;
+    const steps = Array.isArray(p.pipeline) ? p.pipeline : null;
+    const rows = steps ? p.rawData : (workingData || p.rawData);
+    return {
+      ...rest, schemaVersion: 1,
+      rawData: rows || [],
+      pipeline: steps || [],
+      pipelineCursor: steps && p.pipelineCursor !== undefined ? p.pipelineCursor : (steps || []).length,
+      datasets: p.datasets || {},
+      activeDataset: p.activeDataset !== undefined ? p.activeDataset : ((rows || []).length ? 'dataset' : null),
+      datasetRelations: p.datasetRelations || []
+    };
+  }
+];
 
-  // visuals
-  const histDefault = columns.find(c => colTypes[c] === 'numeric') || columns[0];
-  drawHistogramAndBox(histColSelect.value || histDefault);
-  const x0 = columns[0], y0 = columns[1] || columns[0];
-  drawScatterWithRegression(xSelect.value || x0, ySelect.value || y0);
-  drawCorrelationHeatmap();
-  drawPCA();
-  renderTable(workingData.slice(0, 200));
+// Throws on payloads whose shape would break the app part-way through a restore.
+function validateProject(p) {
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!Array.isArray(p.rawData) || p.rawData.some(r => !isObject(r))) throw new Error('rawData must be a list of rows');
+  if (!Array.isArray(p.pipeline) || p.pipeline.some(s => !isObject(s) || typeof s.op !== 'string')) throw new Error('pipeline must be a list of steps');
+  if (!Number.isInteger(p.pipelineCursor) || p.pipelineCursor < 0 || p.pipelineCursor > p.pipeline.length) throw new Error('pipelineCursor is out of range');
+  for (const key of ['models', 'colTypes', 'colTypeOverrides', 'datasets']) {
+    if (p[key] !== undefined && !isObject(p[key])) throw new Error(`${key} must be an object`);
+  }
+  if (!Array.isArray(p.datasetRelations)) throw new Error('datasetRelations must be a list');
+  for (const [name, d] of Object.entries(p.datasets)) {
+    if (!isObject(d) || !Array.isArray(d.rawData) || !Array.isArray(d.pipeline)) throw new Error(`Dataset '${name}' is incomplete`);
+  }
 }
 
-// ------------------
-// Event wiring
-// ------------------
-fileInput.addEventListener('change', e => {
-  const f = e.target.files[0];
-  if (!f) return;
-  const reader = new FileReader();
-  reader.onload = ev => { rawData = parseCSVtext(ev.target.result); workingData = rawData.map(r => ({...r})); postProcessState(); };
-  reader.readAsText(f);
-});
-
-// drag & drop
-['dragenter','dragover'].forEach(ev => dropZone.addEventListener(ev, e => { e.preventDefault(); dropZone.style.borderColor = '#7dd3fc'; }));
-['dragleave','drop'].forEach(ev => dropZone.addEventListener(ev, e => { e.preventDefault(); dropZone.style.borderColor = ''; }));
-dropZone.addEventListener('click', () => fileInput.click());
-dropZone.addEventListener('drop', e => {
-  const f = e.dataTransfer.files[0];
-  if (!f) return;
-  const reader = new FileReader();
-  reader.onload = ev => { rawData = parseCSVtext(ev.target.result); workingData = rawData.map(r => ({...r})); postProcessState(); };
-  reader.readAsText(f);
-});
+// Any saved payload -> a validated payload in the current schema.
+function migrateProject(obj) {
+  if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('Not a project file');
+  let version = obj.schemaVersion === undefined ? 0 : obj.schemaVersion;
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Unknown project schema version '${obj.schemaVersion}'`);
+  if (version > PROJECT_SCHEMA_VERSION) throw new Error(`Project schema version ${version} is newer than this app supports (${PROJECT_SCHEMA_VERSION})`);
+  let p = obj;
+  while (version < PROJECT_SCHEMA_VERSION) p = PROJECT_MIGRATIONS[version++](p);
+  validateProject(p);
+  return p;
+}
 
-parseBtn.addEventListener('click', () => {
-  const txt = pasteArea.value;
-  if (!txt.trim()) return alert('Paste CSV text first');
-  rawData = parseCSVtext(txt);
-  workingData = rawData.map(r => ({...r}));
-  postProcessState();
-});
+function parseProjectText(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch (err) { throw new Error('The save is not valid JSON (' + err.message + ')'); }
+  return migrateProject(obj);
+}
 
-sampleBtn.addEventListener('click', () => {
-  const sample = `name,age,years_experience,salary,department,senior
-Alice,34,10,85000,Engineering,yes
-Bob,28,4,56000,Product,no
-Carol,45,20,130000,Engineering,yes
-Dan,22,1,42000,Support,no
-Eve,39,12,98000,Product,yes
-Frank,29,3,48000,Support,no
-Grace,31,6,72000,Engineering,no`;
-  rawData = parseCSVtext(sample);
-  workingData = rawData.map(r => ({...r}));
-  pasteArea.value = sample;
+// Replace the session with a migrated payload. The pipeline is replayed before any state changes,
+// so a payload that fails here leaves the session as it was.
+function restoreProject(p) {
+  const nextBase = replayPipeline(p.rawData, p.pipelineCursor, p.pipeline);
+  rawData = p.rawData; columns = p.columns || []; colTypes = p.colTypes || {}; models = p.models || {};
+  colTypeOverrides = p.colTypeOverrides || {};
+  pipeline = p.pipeline; pipelineCursor = p.pipelineCursor;
+  baseData = nextBase;
+  activeQuery = p.query || '';
+  applyActiveQuery();
+  datasets = p.datasets; activeDataset = p.activeDataset; datasetRelations = p.datasetRelations;
   postProcessState();
-});
+  renderWorkspace();
+  renderPipeline();
+}
 
-clearBtn.addEventListener('click', () => { rawData = []; workingData = []; postProcessState(); pasteArea.value = ''; });
+// Readable differences from payload `a` to payload `b`, one per line.
+function diffProjects(a, b) {
+  const lines = [];
+  const listDiff = (label, x, y) => {
+    const added = y.filter(v => !x.includes(v)), removed = x.filter(v => !y.includes(v));
+    if (added.length) lines.push(`+ ${label}: ${added.join(', ')}`);
+    if (removed.length) lines.push(`- ${label}: ${removed.join(', ')}`);
+  };
+  const rawCols = p => p.rawData.length ? Object.keys(p.rawData[0]) : [];
+  if (a.activeDataset !== b.activeDataset) lines.push(`~ active dataset: ${a.activeDataset} → ${b.activeDataset}`);
+  if (a.rawData.length !== b.rawData.length) lines.push(`~ raw rows: ${a.rawData.length} → ${b.rawData.length}`);
+  listDiff('raw columns', rawCols(a), rawCols(b));
+  const shared = rawCols(a).filter(c => rawCols(b).includes(c));
+  let cells = 0;
+  for (let i = 0; i < Math.min(a.rawData.length, b.rawData.length); i++) {
+    for (const c of shared) if (String(a.rawData[i][c]) !== String(b.rawData[i][c])) cells++;
+  }
+  if (cells) lines.push(`~ ${cells} raw cell(s) changed`);
+  const steps = p => p.pipeline.slice(0, p.pipelineCursor).filter(s => s.enabled).map(describeStep);
+  listDiff('pipeline steps', steps(a), steps(b));
+  const qa = a.query || '', qb = b.query || '';
+  if (qa !== qb) lines.push(`~ query: ${qa ? `'${qa}'` : '(none)'} → ${qb ? `'${qb}'` : '(none)'}`);
+  listDiff('columns', a.columns || [], b.columns || []);
+  for (const c of (a.columns || []).filter(c => (b.columns || []).includes(c))) {
+    if ((a.colTypes || {})[c] !== (b.colTypes || {})[c]) lines.push(`~ type of ${c}: ${(a.colTypes || {})[c]} → ${(b.colTypes || {})[c]}`);
+  }
+  listDiff('models', Object.keys(a.models || {}), Object.keys(b.models || {}));
+  const names = p => Object.keys(p.datasets).concat(p.activeDataset !== null ? [p.activeDataset] : []);
+  listDiff('datasets', names(a), names(b));
+  if (a.datasetRelations.length !== b.datasetRelations.length) lines.push(`~ dataset relations: ${a.datasetRelations.length} → ${b.datasetRelations.length}`);
+  return lines.length ? lines : ['No differences'];
+}
 
-autoCleanBtn.addEventListener('click', () => { autoClean(); alert('Auto-clean applied (impute numeric with mean; trim strings)'); });
-scaleBtn.addEventListener('click', () => { scaleNumericColumns(); alert('Numeric columns z-scored'); });
-encodeBtn.addEventListener('click', () => { oneHotEncodeCategorical(); alert('One-hot encoding applied (skips high-cardinality)'); });
+let projectDbPromise = null;
+function openProjectDb() {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  if (!projectDbPromise) {
+    projectDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(PROJECT_DB, PROJECT_DB_VERSION);
+      req.onupgradeneeded = ev => {
+        const db = req.result;
+        // one block per layout version so older databases upgrade step by step
+        if (ev.oldVersion < 1) {
+          db.createObjectStore('projects', { keyPath: 'name' });
+          db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true }).createIndex('project', 'project');
+          db.createObjectStore('snapshotData', { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('The project library is open in another tab with an older version — close it and retry'));
+    });
+    projectDbPromise.catch(() => { projectDbPromise = null; });
+  }
+  return projectDbPromise;
+}
 
-histColSelect.addEventListener('change', () => drawHistogramAndBox(histColSelect.value));
-xSelect.addEventListener('change', () => drawScatterWithRegression(xSelect.value, ySelect.value));
-ySelect.addEventListener('change', () => drawScatterWithRegression(xSelect.value, ySelect.value));
+function idbRequest(req) {
+  return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+}
 
-trainLRBtn.addEventListener('click', () => {
-  const target = targetSelect.value; const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
-  if (!target) return alert('Choose a target');
-  if (!features.length) return alert('Choose features');
+// Run fn(...stores) in one transaction and resolve with its result once the transaction commits.
+// Storage-full errors get a message that says what to do about them.
+async function projectTx(storeNames, mode, fn) {
+  const db = await openProjectDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onabort = tx.onerror = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+  done.catch(() => {});
   try {
-    const model = linearRegressionClosedForm(features, target);
-    models['linear_' + Date.now()] = model;
-    modelPre.textContent = JSON.stringify(model, null, 2);
-    postProcessState();
+    const result = await fn(...storeNames.map(n => tx.objectStore(n)));
+    await done;
+    return result;
   } catch (err) {
-    modelPre.textContent = 'Training failed: ' + err.message;
+    try { tx.abort(); } catch (e) { /* already finished */ }
+    if (err && err.name === 'QuotaExceededError') throw new Error('Browser storage is full — delete old snapshots or projects, or download the project instead');
+    throw err;
   }
-});
+}
 
-trainLogisticBtn.addEventListener('click', () => {
-  const target = targetSelect.value; const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
-  if (!target) return alert('Choose a target');
-  if (!features.length) return alert('Choose features');
-  try {
-    const model = trainLogisticRegression(features, target, { lr: 0.5, epochs: 300 });
-    models['logistic_' + Date.now()] = model;
-    modelPre.textContent = JSON.stringify(model, null, 2);
-  } catch (err) {
-    modelPre.textContent = 'Training failed: ' + err.message;
-  }
-});
+function listProjects() {
+  return projectTx(['projects'], 'readonly', projects => idbRequest(projects.getAll()));
+}
 
-kmeansBtn.addEventListener('click', () => {
-  const k = parseInt(prompt('Number of clusters k', '3') || '3');
-  const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
-  if (!features.length) return alert('Choose numeric features for k-means');
-  try {
-    const out = kMeans(k, features, 100);
-    models['kmeans_' + Date.now()] = out;
-    modelPre.textContent = JSON.stringify(out, null, 2);
-    postProcessState();
-  } catch (err) {
-    modelPre.textContent = 'k-means failed: ' + err.message;
-  }
-});
+// Snapshot metadata for a project, newest first.
+async function listSnapshots(project) {
+  const list = await projectTx(['snapshots'], 'readonly', snapshots => idbRequest(snapshots.index('project').getAll(project)));
+  return list.sort((a, b) => b.id - a.id);
+}
 
-exportCsvBtn.addEventListener('click', () => exportCSV());
-exportModelBtn.addEventListener('click', () => exportModel());
+// Save `data` (default: the session) as a new snapshot of `project`, creating the project if needed.
+async function saveProjectSnapshot(project, { label = '', auto = false, data = projectSnapshot() } = {}) {
+  const savedAt = new Date().toISOString();
+  const summary = {
+    rows: data.rawData.length, columns: (data.columns || []).length, steps: data.pipeline.length,
+    models: Object.keys(data.models || {}).length, datasets: Object.keys(data.datasets).length + (data.activeDataset !== null ? 1 : 0)
+  };
+  return projectTx(['projects', 'snapshots', 'snapshotData'], 'readwrite', async (projects, snapshots, snapshotData) => {
+    const existing = await idbRequest(projects.get(project));
+    projects.put({ name: project, created: existing ? existing.created : savedAt, updated: savedAt });
+    const meta = { project, savedAt, label, auto, summary, schemaVersion: data.schemaVersion };
+    meta.id = await idbRequest(snapshots.add(meta));
+    await idbRequest(snapshotData.put({ id: meta.id, data }));
+    if (auto) {
+      const autos = (await idbRequest(snapshots.index('project').getAll(project))).filter(s => s.auto).sort((x, y) => x.id - y.id);
+      for (const s of autos.slice(0, Math.max(0, autos.length - AUTOSAVE_KEEP))) { snapshots.delete(s.id); snapshotData.delete(s.id); }
+    }
+    return meta;
+  });
+}
 
-// ------------------
-// Additional UI: Advanced Regression controls (added dynamically so HTML unchanged)
-// - Lambda (Ridge), CV folds, test fraction, and feature importance chart
-// ------------------
-(function addAdvancedControls(){
+// The payload of a snapshot in the current schema; throws if it is missing or corrupt.
+async function loadProjectSnapshot(id) {
+  const record = await projectTx(['snapshotData'], 'readonly', snapshotData => idbRequest(snapshotData.get(id)));
+  if (!record || !record.data) throw new Error(`Snapshot ${id} has no data`);
+  return migrateProject(record.data);
+}
+
+function deleteProjectSnapshot(id) {
+  return projectTx(['snapshots', 'snapshotData'], 'readwrite', (snapshots, snapshotData) => { snapshots.delete(id); snapshotData.delete(id); });
+}
+
+function deleteProject(name) {
+  return projectTx(['projects', 'snapshots', 'snapshotData'], 'readwrite', async (projects, snapshots, snapshotData) => {
+    const ids = await idbRequest(snapshots.index('project').getAllKeys(name));
+    for (const id of ids) { snapshots.delete(id); snapshotData.delete(id); }
+    projects.delete(name);
+  });
+}
+
+(function addProjectLibrary() {
   const panel = document.createElement('div');
   panel.style.marginTop = '8px';
   panel.innerHTML = `
-    <h4>Advanced Regression</h4>
-    <div style="display:flex;gap:8px;flex-wrap:wrap">
-      <label>Regularization (Ridge λ): <input id="ridgeLambda" type="number" value="0" step="0.1" min="0" style="width:100px"></label>
-      <label>CV Folds: <input id="cvFolds" type="number" value="0" step="1" min="0" style="width:80px"></label>
-      <label>Test fraction: <input id="testFrac" type="number" value="0.2" step="0.05" min="0" max="0.9" style="width:80px"></label>
-      <button id="runExpandedLR">Run Expanded LR</button>
+    <h4>Project</h4>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center">
+      <select id="projectSelect" style="min-width:160px"></select>
+      <button id="newProject">New</button>
+      <button id="deleteProject">Delete</button>
     </div>
-    <canvas id="featureImportance" height="160" style="margin-top:8px"></canvas>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center;margin-top:6px">
+      <button id="saveProject">Save Snapshot</button>
+      <label class="note"><input id="projectAutosave" type="checkbox" checked> Autosave</label>
+    </div>
+    <select id="snapshotSelect" multiple size="6" style="width:100%;margin-top:6px"></select>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:6px">
+      <button id="restoreSnapshot">Restore</button>
+      <button id="diffSnapshot" title="One snapshot: compare with the current session. Two: compare them.">Diff</button>
+      <button id="deleteSnapshot">Delete Snapshot</button>
+    </div>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:6px">
+      <button id="downloadProject">Download Project</button>
+      <button id="importProject">Import Project</button>
+      <input type="file" id="importProjectInput" accept="application/json,.json" style="display:none" />
+    </div>
+    <div id="projectStatus" class="note" style="margin-top:6px"></div>
+    <pre id="projectDiff" style="display:none;max-height:220px;overflow:auto;font-size:12px"></pre>
   `;
-  const left = document.getElementById('left-panel');
-  left.appendChild(panel);
-  document.getElementById('runExpandedLR').addEventListener('click', () => {
-    const features = Array.from(featuresSelect.selectedOptions).map(o => o.value);
-    const target = targetSelect.value;
-    if (!target) return alert('Choose a target');
-    if (features.length === 0) return alert('Choose features');
-    const lambda = parseFloat(document.getElementById('ridgeLambda').value) || 0;
-    const cv = parseInt(document.getElementById('cvFolds').value) || 0;
-    const testFrac = parseFloat(document.getElementById('testFrac').value) || 0.2;
+  document.getElementById('left-panel').appendChild(panel);
+
+  const projectSelect = document.getElementById('projectSelect');
+  const snapshotSelect = document.getElementById('snapshotSelect');
+  const status = document.getElementById('projectStatus');
+  const diffPre = document.getElementById('projectDiff');
+  let snapshots = [];
+  // null until this session is tied to the selected project by a save, restore, import or New;
+  // autosave stays off until then so an unrelated session never lands in that project
+  let savedFingerprint = null, saving = false;
+  // cheap "has anything changed" check for autosave
+  const fingerprint = () => `${stateGeneration}|${pipeline.length}|${pipelineCursor}|${Object.keys(models).join()}|${Object.keys(datasets).join()}`;
+  const setStatus = text => { status.textContent = text; };
+  const currentProject = () => projectSelect.value || null;
+
+  async function refreshProjects(select) {
+    const names = (await listProjects()).map(p => p.name).sort();
+    const wanted = select || projectSelect.value || localStorage.getItem('dcai_current_project');
+    fillSelect(projectSelect, names, true);
+    projectSelect.value = names.includes(wanted) ? wanted : '';
+    await refreshSnapshots();
+  }
+  async function refreshSnapshots() {
+    const project = currentProject();
+    if (project) localStorage.setItem('dcai_current_project', project);
+    snapshots = project ? await listSnapshots(project) : [];
+    snapshotSelect.innerHTML = snapshots.map(s => {
+      const when = new Date(s.savedAt).toLocaleString();
+      const text = `${when}${s.auto ? ' (auto)' : ''}${s.label ? ' — ' + s.label : ''} · ${s.summary.rows} rows, ${s.summary.steps} steps, ${s.summary.models} models`;
+      return `<option value="${s.id}">${escapeHtml(text)}</option>`;
+    }).join('');
+  }
+  const selectedIds = () => Array.from(snapshotSelect.selectedOptions).map(o => Number(o.value));
+
+  async function save(project, options) {
+    saving = true;
     try {
-      const res = fitLinearRegressionExpanded(features, target, { regularization: lambda, cvFolds: cv, testFraction: testFrac });
-      models['linear_exp_' + Date.now()] = res;
-      modelPre.textContent = JSON.stringify(res, null, 2);
-      // feature importance: absolute coefficients
-      const labels = features;
-      const values = (res.coefficients || []).map(Math.abs);
-      destroyChart('featImp');
-      const ctx = document.getElementById('featureImportance').getContext('2d');
-      chartInstances['featImp'] = new Chart(ctx, { type: 'bar', data: { labels, datasets: [{ label: '|coef|', data: values }] }, options: { indexAxis: 'y', responsive: true, maintainAspectRatio: false } });
-    } catch (err) {
-      alert('LR failed: ' + err.message);
+      const meta = await saveProjectSnapshot(project, options);
+      savedFingerprint = fingerprint();
+      await refreshProjects(project);
+      setStatus(`${meta.auto ? 'Autosaved' : 'Saved'} ${project} at ${new Date(meta.savedAt).toLocaleTimeString()}`);
+    } finally {
+      saving = false;
     }
+  }
+
+  document.getElementById('newProject').addEventListener('click', async () => {
+    const name = (prompt('Project name', activeDataset || 'project') || '').trim();
+    if (!name) return;
+    try { await save(name, { label: 'Created' }); } catch (err) { alert('Could not create project: ' + err.message); }
+  });
+  projectSelect.addEventListener('change', () => {
+    savedFingerprint = null;
+    refreshSnapshots().catch(err => setStatus(err.message));
+  });
+  document.getElementById('deleteProject').addEventListener('click', async () => {
+    const project = currentProject();
+    if (!project || !confirm(`Delete project '${project}' and all of its snapshots?`)) return;
+    try { await deleteProject(project); await refreshProjects(''); setStatus(`Deleted ${project}`); } catch (err) { alert('Delete failed: ' + err.message); }
+  });
+  document.getElementById('saveProject').addEventListener('click', async () => {
+    let project = currentProject();
+    if (!project) project = (prompt('Project name', activeDataset || 'project') || '').trim();
+    if (!project) return;
+    const label = prompt('Snapshot label (optional)', '') || '';
+    try { await save(project, { label }); } catch (err) { alert('Save failed: ' + err.message); }
   });
-})();
 
-// ------------------
-// Project save/load/download
-// ------------------
-(function addSaveLoad() {
-  const panel = document.createElement('div');
-  panel.style.marginTop = '8px';
-  panel.innerHTML = `
-    <h4>Project</h4>
-    <div style="display:flex;gap:8px;flex-wrap:wrap;"><button id="saveProject">Save Project</button><button id="loadProject">Load Project</button><button id="downloadProject">Download Project</button></div>
-  `;
-  document.getElementById('left-panel').appendChild(panel);
-  document.getElementById('saveProject').addEventListener('click', () => {
-    const project = { rawData, workingData, columns, colTypes, models };
-    localStorage.setItem('dcai_project', JSON.stringify(project));
-    alert('Project saved to localStorage');
-  });
-  document.getElementById('loadProject').addEventListener('click', () => {
-    const blob = localStorage.getItem('dcai_project');
-    if (!blob) return alert('No project saved');
-    const obj = JSON.parse(blob);
-    rawData = obj.rawData || []; workingData = obj.workingData || []; columns = obj.columns || []; colTypes = obj.colTypes || {}; models = obj.models || {};
-    postProcessState();
-    alert('Project loaded');
+  document.getElementById('restoreSnapshot').addEventListener('click', async () => {
+    const [id] = selectedIds();
+    if (id === undefined) return alert('Choose a snapshot to restore');
+    try {
+      restoreProject(await loadProjectSnapshot(id));
+      savedFingerprint = fingerprint();
+      setStatus(`Restored snapshot from ${new Date(snapshots.find(s => s.id === id).savedAt).toLocaleString()}`);
+    } catch (err) {
+      alert(`Snapshot could not be restored: ${err.message}\nThe current session is unchanged.`);
+    }
+  });
+  document.getElementById('diffSnapshot').addEventListener('click', async () => {
+    const ids = selectedIds().sort((a, b) => a - b);
+    if (ids.length === 0 || ids.length > 2) return alert('Choose one snapshot (compared with the current session) or two');
+    try {
+      const older = await loadProjectSnapshot(ids[0]);
+      const newer = ids.length === 2 ? await loadProjectSnapshot(ids[1]) : migrateProject(projectSnapshot());
+      diffPre.textContent = diffProjects(older, newer).join('\n');
+      diffPre.style.display = 'block';
+    } catch (err) {
+      alert('Diff failed: ' + err.message);
+    }
+  });
+  document.getElementById('deleteSnapshot').addEventListener('click', async () => {
+    const ids = selectedIds();
+    if (ids.length === 0 || !confirm(`Delete ${ids.length} snapshot(s)?`)) return;
+    try { for (const id of ids) await deleteProjectSnapshot(id); await refreshSnapshots(); } catch (err) { alert('Delete failed: ' + err.message); }
   });
+
   document.getElementById('downloadProject').addEventListener('click', () => {
-    const project = { rawData, workingData, columns, colTypes, models };
-    const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url; a.download = 'dcai_project.json'; a.click(); URL.revokeObjectURL(url);
+    downloadText(JSON.stringify(projectSnapshot(), null, 2), 'dcai_project.json', 'application/json');
+  });
+  document.getElementById('importProject').addEventListener('click', () => document.getElementById('importProjectInput').click());
+  document.getElementById('importProjectInput').addEventListener('change', e => {
+    const f = e.target.files[0];
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = async ev => {
+      let data;
+      try {
+        data = parseProjectText(ev.target.result);
+        restoreProject(data);
+      } catch (err) {
+        return alert(`Could not import ${f.name}: ${err.message}`);
+      }
+      // keep the import in the library as its own project
+      try {
+        const names = (await listProjects()).map(p => p.name);
+        await save(uniqueColumnName(names, f.name.replace(/\.json$/i, '')), { label: 'Imported ' + f.name, data });
+      } catch (err) {
+        setStatus(`Imported ${f.name}, but it could not be stored in the library: ${err.message}`);
+      }
+    };
+    reader.readAsText(f);
+    e.target.value = '';
   });
+
+  setInterval(async () => {
+    const project = currentProject();
+    if (!project || saving || savedFingerprint === null || !document.getElementById('projectAutosave').checked) return;
+    if (!rawData.length || fingerprint() === savedFingerprint) return;
+    try { await save(project, { auto: true }); } catch (err) { setStatus('Autosave failed: ' + err.message); }
+  }, AUTOSAVE_INTERVAL_MS);
+
+  (async () => {
+    try {
+      await openProjectDb();
+    } catch (err) {
+      setStatus(err.message + ' — use Download / Import Project instead.');
+      for (const id of ['newProject', 'deleteProject', 'saveProject', 'restoreSnapshot', 'diffSnapshot', 'deleteSnapshot']) document.getElementById(id).disabled = true;
+      return;
+    }
+    // move a save from the old single-slot localStorage store into the library
+    const legacy = localStorage.getItem('dcai_project');
+    let moved;
+    if (legacy) {
+      try {
+        moved = (await saveProjectSnapshot('Browser save', { label: 'Moved from localStorage', data: parseProjectText(legacy) })).project;
+        localStorage.removeItem('dcai_project');
+      } catch (err) {
+        setStatus(`The earlier browser save could not be moved into the library: ${err.message}`);
+      }
+    }
+    await refreshProjects(moved);
+    if (moved) setStatus(`Your earlier browser save is now the project '${moved}'`);
+  })().catch(err => setStatus('Project library unavailable: ' + err.message));
 })();
 
 
@@ -999,6 +7369,13 @@ postProcessState();
       overflow-y: auto;
       display: block;
     }
+    .compute-status { align-items: center; }
+    .compute-status progress { flex: 1; min-width: 80px; }
+    /* the virtual grid renders rows as #dataTable scrolls, so it has to be the scroll container */
+    #dataTable {
+      max-height: 360px;
+      overflow: auto;
+    }
     table.data-table {
       border-collapse: collapse;
       width: 100%;
@@ -1008,33 +7385,19 @@ postProcessState();
       padding: 4px 8px;
       text-align: left;
     }
+    .grid thead th { position: sticky; background: #0b1a30; z-index: 1; }
+    .grid thead tr:first-child th { top: 0; cursor: pointer; white-space: nowrap; }
+    .grid thead tr:nth-child(2) th { top: 27px; }
+    .grid thead input { width: 100%; min-width: 60px; background: transparent; color: inherit; border: 1px solid rgba(255,255,255,0.08); font-size: 12px; }
+    .grid tbody td { height: ${TABLE_ROW_HEIGHT}px; padding: 0 6px; white-space: nowrap; max-width: 220px; overflow: hidden; text-overflow: ellipsis; }
+    .grid td.cell-missing { background: rgba(148,163,184,0.18); }
+    .grid td.cell-invalid { background: rgba(248,113,113,0.28); }
+    .grid td.cell-outlier { background: rgba(253,224,71,0.22); }
+    .grid td input { width: 100%; background: #0b1a30; color: inherit; border: 1px solid var(--accent, #7dd3fc); }
   `;
   document.head.appendChild(style);
 })();
 
-// When rendering tables, add the data-table class
-function renderTable(data, containerId){
-  const container = document.getElementById(containerId);
-  if (!container) return;
-  container.innerHTML = '';
-  if (!data || data.length === 0) return;
-  const table = document.createElement('table');
-  table.classList.add('data-table');
-  const header = document.createElement('tr');
-  Object.keys(data[0]).forEach(col => {
-    const th = document.createElement('th'); th.textContent = col; header.appendChild(th);
-  });
-  table.appendChild(header);
-  data.forEach(row => {
-    const tr = document.createElement('tr');
-    Object.values(row).forEach(val => {
-      const td = document.createElement('td'); td.textContent = val; tr.appendChild(td);
-    });
-    table.appendChild(tr);
-  });
-  container.appendChild(table);
-}
-
 // When creating charts, ensure the container is constrained
 function renderChart(ctx, config, chartKey){
   destroyChart(chartKey);